@@ -43,6 +43,14 @@
  * @max 100
  * @default 50
  *
+ * @param MaxLightPasses
+ * @text Maximum Light Passes
+ * @type number
+ * @min 1
+ * @max 8
+ * @default 1
+ * @desc Extra render passes for scenes with more than Maximum Lights visible lights. Total = MaxLights x passes.
+ *
  * @param DefaultSunDirection
  * @text Default Sun Direction
  * @type number
@@ -134,6 +142,143 @@
  * @type boolean
  * @default true
  *
+ * @param TranslucentRegions
+ * @text Translucent Regions
+ * @type text
+ * @default
+ * @desc Occluders that let tinted light through: id:opacity:tint:scatter
+ * e.g. 5:0.2:#ff6060, 6:0.6:#60a060:0.5 (scatter optional)
+ *
+ * @param RegionHeights
+ * @text Region Heights
+ * @type text
+ * @default
+ * @desc Obstacle height in tiles per region: id:height, ...
+ * e.g. 3:0.5, 4:1, 8:4 (listed regions are obstacles in every
+ * Obstacle Detection Mode; other obstacles are unlimited)
+ *
+ * @param WallHeight
+ * @text Wall Height
+ * @type combo
+ * @option 0
+ * @option auto
+ * @default 0
+ * @desc Height of wall tiles in tiles. 0 = unlimited,
+ * auto = number of wall side tiles stacked in the column.
+ *
+ * @param DefaultLightHeight
+ * @text Light Height
+ * @type number
+ * @min 1
+ * @default 100
+ * @desc Default height of lights above the ground in pixels.
+ * Lower obstacles only cast short shadows.
+ *
+ * @param NormalMapsEnabled
+ * @text Normal Maps
+ * @type boolean
+ * @default false
+ * @desc Shade tiles and characters using img/tilesets/*_n.png and img/characters/*_n.png
+ *
+ * @param NormalMapStrength
+ * @text Normal Map Strength
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.6
+ * @desc How strongly normal maps change lighting (0 = flat)
+ *
+ * @param EmissiveEnabled
+ * @text Emissive Pixels
+ * @type boolean
+ * @default true
+ * @desc Let emissive tiles, characters and pictures ignore ambient darkness
+ *
+ * @param EmissiveRegions
+ * @text Emissive Regions
+ * @type text
+ * @default
+ * @desc Comma-separated region IDs whose tiles are emissive (e.g. 5,6)
+ *
+ * @param EmissiveTerrainTags
+ * @text Emissive Terrain Tags
+ * @type text
+ * @default
+ * @desc Comma-separated terrain tags whose tiles are emissive (e.g. 7)
+ *
+ * @param EmissiveGlow
+ * @text Emissive Glow
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 4
+ * @default 0
+ * @desc Strength of the blurred glow around emissive pixels (0 = off)
+ *
+ * @param EmissiveGlowRadius
+ * @text Emissive Glow Radius
+ * @type number
+ * @decimals 1
+ * @min 0.5
+ * @max 8
+ * @default 2.0
+ * @desc Spacing between glow blur samples in pixels
+ *
+ * @param BloomThreshold
+ * @text Bloom Threshold
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.7
+ * @desc Brightness above which lit pixels bloom
+ *
+ * @param BloomStrength
+ * @text Bloom Strength
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 4
+ * @default 0
+ * @desc How much bloom is added after lighting (0 = off)
+ *
+ * @param BloomRadius
+ * @text Bloom Radius
+ * @type number
+ * @decimals 1
+ * @min 0.5
+ * @max 8
+ * @default 2.0
+ * @desc Spacing between bloom blur samples (at half resolution)
+ *
+ * @param AmbientZoneBlend
+ * @text Ambient Zone Blend
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.5
+ * @desc How much each area on screen keeps its own zone ambient (0 = only the player's zone)
+ *
+ * @param BoatLight
+ * @text Boat Light
+ * @type text
+ * @default
+ * @desc Light carried by the boat: radius,intensity,color (empty = none)
+ *
+ * @param ShipLight
+ * @text Ship Light
+ * @type text
+ * @default
+ * @desc Light carried by the ship: radius,intensity,color (empty = none)
+ *
+ * @param AirshipLight
+ * @text Airship Light
+ * @type text
+ * @default
+ * @desc Light carried by the airship: radius,intensity,color (empty = none)
+ *
  * @help
  * ============================================================================
  * Dynamic Lighting System v4.0 - Modular Architecture
@@ -147,6 +292,110 @@
  *
  * This is the main loader plugin that initializes all modules.
  *
+ * Event Lights:
+ *   Event note or page comment: <light:radius,intensity,color>
+ *                               <spotlight:radius,intensity,color,dir,cone>
+ *   Light tags in a page's comments replace the note while that page is
+ *   active. Use <noLight> in a page comment for a page without a light.
+ *
+ * Area and Line Lights:
+ *   <areaLight:width,height,radius,intensity,color,angle>
+ *     Rectangle emitter (glowing windows, lava pools).
+ *   <lineLight:length,angle,radius,intensity,color>
+ *     Segment emitter with capsule falloff (fluorescent tubes, neon bars).
+ *   Sizes are in pixels; radius is the falloff distance from the edge.
+ *   Each counts as one light. Shadows are cast from the shape's center.
+ *   Script: LightManager.createAreaLight({ width, height, angle, ... })
+ *           LightManager.createLineLight({ length, angle, ... })
+ *           character.setLight({ shape: { type: 'line', length: 144 } })
+ *
+ * Translucent Occluders:
+ *   Translucent Regions lists regions that filter light instead of
+ *   blocking it: id:opacity:tint:scatter (opacity 0 = clear, 1 = opaque;
+ *   the tint colors the light that passes; scatter 0-1, default 0, softens
+ *   the tinted shadow, spreading it over up to two tiles). Examples:
+ *     Glass 5:0.15:#e0f0ff  Stained glass 6:0.3:#ff5050
+ *     Foliage 7:0.6:#80c060:0.4  Smoke 8:0.5:#909090:1
+ *   Point lights and the sun cast colored, partial shadows through them.
+ *   They apply in every Obstacle Detection Mode.
+ *
+ * Obstacle Heights:
+ *   Region Heights gives obstacles a height in tiles (id:height, ...);
+ *   override it per map with <regionHeight:id:height, ...> in the map note.
+ *   Wall Height does the same for wall tiles. Listing a region here makes
+ *   it an obstacle in every Obstacle Detection Mode, TileTypeDetector
+ *   included.
+ *   Sun shadows are Sun Shadow Length tiles long per tile of height, so a
+ *   0.5 fence casts half the shadow of a 1 tile crate and a 4 tile tower
+ *   four times as much. Obstacles without a height count as 1 tile.
+ *   Point lights cast only a short shadow behind obstacles lower than the
+ *   light; taller or unlimited obstacles block them completely.
+ *
+ * Normal Maps:
+ *   Enable the Normal Maps parameter and add <name>_n.png next to a tileset
+ *   or character image (tangent-space, green channel pointing up). Lights
+ *   and the sun then shade those pixels directionally. Images without a
+ *   normal map are lit exactly as before.
+ *
+ * Emissive Pixels:
+ *   Tiles: list region IDs or terrain tags in Emissive Regions / Emissive
+ *     Terrain Tags. Those whole tiles keep their own color in the dark.
+ *   Characters: <emissive> or <emissive:strength> in the event note or a
+ *     page comment, or add <name>_e.png next to a character image (opaque
+ *     where the sprite glows, transparent elsewhere).
+ *   Pictures: SetPictureEmissive command. Pictures are drawn above the
+ *     lighting, so for them emissive only feeds the glow.
+ *   Emissive Glow > 0 blurs emissive pixels and adds them back as a glow.
+ *   Script: character.setEmissive(strength)
+ *
+ * Bloom:
+ *   Bright lit pixels bleed into their surroundings. Map note:
+ *   <bloom:threshold,strength,radius>  or  <bloom:off>
+ *   FadeBloom command changes bloom over time (dream or magic sequences).
+ *
+ * Ambient Zones:
+ *   <ambientZone:regionId,color,intensity,fadeFrames>
+ *   Map note, one tag per zone (cave mouths, roofless interiors, clearings).
+ *   While the player stands on the region, ambient light fades to the
+ *   zone's color and intensity (0-1, like Ambient Light Intensity;
+ *   fadeFrames defaults to 30) and back to the map ambient when they leave. Fading needs the Effects addon; without it
+ *   the change is instant. Ambient Zone Blend also shades each area on
+ *   screen toward its own ambient, blended across zone boundaries.
+ *
+ * Light Cookies:
+ *   <lightCookie:name,scale,angle,spin>
+ *   Projects img/lights/name.png through the light (window panes, stained
+ *   glass, lens rings). The image covers 2 x radius x scale pixels around
+ *   the light, its right edge points along the light direction plus angle,
+ *   and spin rotates it in degrees per second. Up to 16 cookie images.
+ *
+ * Light Height:
+ *   Every light has a height above the ground in pixels (Light Height
+ *   parameter by default). Event note or page comment: <lightHeight:160>
+ *   Script: character.setLight({ height: 40 }), LightManager.addCustomLight
+ *   and updateCustomLight take a height option as well.
+ *   Higher lights cast shorter sprite shadows, clear more low obstacles and
+ *   fully light wall tops; lights below one tile only graze wall tops.
+ *   With the time plugin, the sun's elevation follows the time of day.
+ *
+ * Attached Lights:
+ *   Actor note: <actorLight:radius,intensity,color>
+ *     The actor carries this light as party leader or follower.
+ *   Vehicles: Boat/Ship/Airship Light plugin parameters.
+ *   Script: character.setLight({ radius: 120, color: '#ffcc88' })
+ *           character.clearLight()
+ *   Characters created by other plugins can be registered with
+ *   DynamicLighting.LightManager.registerCharacter(character).
+ *
+ * Light Registry:
+ *   Each frame LightManager.collectLights() builds one list of visible
+ *   lights used for lighting, point shadows and sprite shadows. Entries
+ *   have a stable id ('event:5', 'player', 'custom:torch', ...), the
+ *   owning character (source) and the light data they came from.
+ *   Script: DynamicLighting.LightManager.findLight('event:5')
+ *   Add-ons animate lights by overriding LightManager.adjustLight(light),
+ *   which may change a collected light without touching its data.
+ *
  * @command SetAmbientLight
  * @text Set Ambient Light
  * @arg color
@@ -190,6 +439,78 @@
  * @type text
  * @default #ffffff
  *
+ * @command SetEventLightCookie
+ * @text Set Event Light Cookie
+ * @arg eventId
+ * @type number
+ * @min 1
+ * @arg name
+ * @text Cookie Image
+ * @type file
+ * @dir img/lights/
+ * @desc Image from img/lights/. Leave empty to remove the cookie.
+ * @arg scale
+ * @type number
+ * @decimals 2
+ * @min 0.01
+ * @default 1.0
+ * @arg angle
+ * @text Angle Offset
+ * @type number
+ * @min -360
+ * @max 360
+ * @default 0
+ * @arg spin
+ * @text Spin (degrees/sec)
+ * @type number
+ * @min -3600
+ * @max 3600
+ * @default 0
+ *
+ * @command SetPlayerLightCookie
+ * @text Set Player Light Cookie
+ * @arg name
+ * @text Cookie Image
+ * @type file
+ * @dir img/lights/
+ * @desc Image from img/lights/. Leave empty to remove the cookie.
+ * @arg scale
+ * @type number
+ * @decimals 2
+ * @min 0.01
+ * @default 1.0
+ * @arg angle
+ * @text Angle Offset
+ * @type number
+ * @min -360
+ * @max 360
+ * @default 0
+ * @arg spin
+ * @text Spin (degrees/sec)
+ * @type number
+ * @min -3600
+ * @max 3600
+ * @default 0
+ *
+ * @command SetEventLightHeight
+ * @text Set Event Light Height
+ * @arg eventId
+ * @type number
+ * @min 1
+ * @arg height
+ * @text Height (pixels)
+ * @type number
+ * @min 0
+ * @default 100
+ *
+ * @command SetPlayerLightHeight
+ * @text Set Player Light Height
+ * @arg height
+ * @text Height (pixels)
+ * @type number
+ * @min 0
+ * @default 100
+ *
  * @command SetSunLight
  * @text Set Sun Light
  * @arg enabled
@@ -218,6 +539,123 @@
  * @arg enabled
  * @type boolean
  * @default true
+ *
+ * @command AddCustomLight
+ * @text Add Custom Light
+ * @desc Place a light on the current map. Replaces a light with the same ID.
+ * @arg id
+ * @type text
+ * @arg x
+ * @type number
+ * @decimals 2
+ * @default 0
+ * @arg y
+ * @type number
+ * @decimals 2
+ * @default 0
+ * @arg unit
+ * @text Coordinate Unit
+ * @type select
+ * @option Tiles (light at tile center)
+ * @value tile
+ * @option Map Pixels
+ * @value pixel
+ * @default tile
+ * @arg radius
+ * @type number
+ * @min 1
+ * @default 150
+ * @arg intensity
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 2
+ * @default 1.0
+ * @arg color
+ * @type text
+ * @default #ffffff
+ * @arg height
+ * @text Height (pixels)
+ * @type number
+ * @min 0
+ * @desc Height above the ground. Leave empty for the Light Height parameter.
+ *
+ * @command MoveCustomLight
+ * @text Move Custom Light
+ * @arg id
+ * @type text
+ * @arg x
+ * @type number
+ * @decimals 2
+ * @default 0
+ * @arg y
+ * @type number
+ * @decimals 2
+ * @default 0
+ * @arg unit
+ * @text Coordinate Unit
+ * @type select
+ * @option Tiles (light at tile center)
+ * @value tile
+ * @option Map Pixels
+ * @value pixel
+ * @default tile
+ *
+ * @command RemoveCustomLight
+ * @text Remove Custom Light
+ * @arg id
+ * @type text
+ *
+ * @command SetPictureEmissive
+ * @text Set Picture Emissive
+ * @desc Make a picture feed the emissive glow (0 = off)
+ * @arg pictureId
+ * @type number
+ * @min 1
+ * @default 1
+ * @arg strength
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 1.0
+ *
+ * @command FadeBloom
+ * @text Fade Bloom
+ * @desc Change bloom over a number of frames (0 = instantly)
+ * @arg threshold
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.7
+ * @arg strength
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 4
+ * @default 1.0
+ * @arg radius
+ * @type number
+ * @decimals 1
+ * @min 0.5
+ * @max 8
+ * @default 2.0
+ * @arg duration
+ * @text Duration (frames)
+ * @type number
+ * @min 0
+ * @default 60
+ *
+ * @command ClearCustomLights
+ * @text Clear Custom Lights
+ * @arg scope
+ * @type select
+ * @option Current Map
+ * @value map
+ * @option All Maps
+ * @value all
+ * @default map
  */
 
 (function() {
@@ -257,8 +695,16 @@
         'core/Config.js',
         'core/Debug.js',
         'shaders/ShaderLoader.js',
+        'lighting/CookieAtlas.js',
         'lighting/LightingFilter.js',
         'lighting/LightManager.js',
+        'lighting/NormalMapGenerator.js',
+        'lighting/LightAccumulator.js',
+        'lighting/EmissiveMapGenerator.js',
+        'lighting/AmbientZoneMap.js',
+        'lighting/BlurFilter.js',
+        'lighting/GlowFilter.js',
+        'lighting/BloomFilter.js',
         'shadows/RegionMap.js',
         'shadows/TileTypeDetector.js',
         'shadows/PointLightShadowFilter.js',
@@ -294,6 +740,55 @@
     // Initialize configuration from plugin parameters
     Config.initialize(pluginName);
     
+    /**
+     * Parse a comma-separated list of IDs
+     * @param {string} text - e.g. "5, 6"
+     * @returns {Array<number>} IDs
+     */
+    function parseIdList(text) {
+        return String(text || '').split(',')
+            .map(id => Number(id.trim()))
+            .filter(id => id > 0);
+    }
+
+    /**
+     * Parse translucent region entries
+     * @param {string} text - e.g. "5:0.2:#ff6060, 6:0.6:#60a060"
+     * @returns {Object} Region ID -> { opacity, tint, scatter }
+     */
+    function parseTranslucentRegions(text) {
+        const regions = {};
+        for (const entry of String(text || '').split(',')) {
+            const params = entry.split(':').map(p => p.trim());
+            const id = Number(params[0]);
+            if (id > 0) {
+                regions[id] = {
+                    opacity: params[1] ? parseFloat(params[1]) : 0.5,
+                    tint: params[2] || '#ffffff',
+                    scatter: params[3] ? parseFloat(params[3]) : 0
+                };
+            }
+        }
+        return regions;
+    }
+
+    /**
+     * Parse region height entries
+     * @param {string} text - e.g. "3:0.5, 4:1, 8:4"
+     * @returns {Object} Region ID -> height in tiles
+     */
+    function parseRegionHeights(text) {
+        const heights = {};
+        for (const entry of String(text || '').split(',')) {
+            const params = entry.split(':').map(p => p.trim());
+            const id = Number(params[0]);
+            if (id > 0 && params[1]) {
+                heights[id] = Math.max(0, parseFloat(params[1]) || 0);
+            }
+        }
+        return heights;
+    }
+
     // Parse additional shadow parameters
     const parameters = PluginManager.parameters(pluginName);
     Config.set('shadowsEnabled', parameters['ShadowsEnabled'] !== 'false');
@@ -305,6 +800,29 @@
     Config.set('sunShadowFalloff', String(parameters['SunShadowFalloff'] || 'smooth'));
     Config.set('obstacleDetectionMode', String(parameters['ObstacleDetectionMode'] || 'tiledetector'));
     Config.set('wallShadowEnabled', parameters['WallShadowEnabled'] !== 'false');
+    Config.set('translucentRegions', parseTranslucentRegions(parameters['TranslucentRegions']));
+    Config.set('regionHeights', parseRegionHeights(parameters['RegionHeights']));
+    Config.set('wallHeight', String(parameters['WallHeight']).trim().toLowerCase() === 'auto' ?
+        'auto' : Number(parameters['WallHeight'] || 0));
+    Config.set('defaultLightHeight', Number(parameters['DefaultLightHeight'] || 100));
+    Config.set('maxLightPasses', Math.max(1, Number(parameters['MaxLightPasses'] || 1)));
+    Config.set('normalMapsEnabled', parameters['NormalMapsEnabled'] === 'true');
+    Config.set('normalMapStrength', Number(parameters['NormalMapStrength'] || 0.6));
+    Config.set('emissiveEnabled', parameters['EmissiveEnabled'] !== 'false');
+    Config.set('emissiveRegions', parseIdList(parameters['EmissiveRegions']));
+    Config.set('emissiveTerrainTags', parseIdList(parameters['EmissiveTerrainTags']));
+    Config.set('emissiveGlow', Number(parameters['EmissiveGlow'] || 0));
+    Config.set('emissiveGlowRadius', Number(parameters['EmissiveGlowRadius'] || 2));
+    Config.set('bloomThreshold', Number(parameters['BloomThreshold'] || 0.7));
+    Config.set('bloomStrength', Number(parameters['BloomStrength'] || 0));
+    Config.set('bloomRadius', Number(parameters['BloomRadius'] || 2));
+    Config.set('ambientZoneBlend', parameters['AmbientZoneBlend'] !== undefined ?
+        Number(parameters['AmbientZoneBlend']) : 0.5);
+    Config.set('vehicleLights', {
+        boat: LightManager.parseLightParams(parameters['BoatLight']),
+        ship: LightManager.parseLightParams(parameters['ShipLight']),
+        airship: LightManager.parseLightParams(parameters['AirshipLight'])
+    });
 
     Debug.log('Plugin initialized, config:', Config.getAll());
 
@@ -314,6 +832,10 @@
 
     let shadowMapGenerator = null;
     let tileTypeMapGenerator = null;
+    let normalMapGenerator = null;
+    let lightAccumulator = null;
+    let emissiveMapGenerator = null;
+    let ambientZoneMap = null;
 
     function cleanupShadowResources(spriteset) {
         Debug.log('Cleaning up shadow resources...');
@@ -325,6 +847,13 @@
             filter.uniforms.uSunShadowMap = PIXI.Texture.WHITE;
             filter.uniforms.uTileTypeMap = PIXI.Texture.WHITE;
             filter.uniforms.uSpriteShadowMap = PIXI.Texture.WHITE;
+            filter.uniforms.uNormalMap = PIXI.Texture.WHITE;
+            filter.uniforms.uNormalMapEnabled = false;
+            filter.uniforms.uLightAccumulation = PIXI.Texture.WHITE;
+            filter.uniforms.uLightAccumulationEnabled = false;
+            filter.uniforms.uEmissiveMap = PIXI.Texture.WHITE;
+            filter.uniforms.uEmissiveEnabled = false;
+            filter.setAmbientZoneMap(null);
             filter.uniforms.uShadowsEnabled = false;
             filter.uniforms.uSunShadowsEnabled = false;
             filter.uniforms.uSpriteShadowsEnabled = false;
@@ -340,6 +869,31 @@
             tileTypeMapGenerator.destroy();
             tileTypeMapGenerator = null;
         }
+        
+        if (normalMapGenerator) {
+            normalMapGenerator.destroy();
+            normalMapGenerator = null;
+        }
+        
+        if (lightAccumulator) {
+            lightAccumulator.destroy();
+            lightAccumulator = null;
+        }
+        
+        if (spriteset && spriteset._glowFilter) {
+            spriteset._glowFilter.setGlowMask(null);
+            spriteset._glowFilter.enabled = false;
+        }
+        
+        if (emissiveMapGenerator) {
+            emissiveMapGenerator.destroy();
+            emissiveMapGenerator = null;
+        }
+        
+        if (ambientZoneMap) {
+            ambientZoneMap.destroy();
+            ambientZoneMap = null;
+        }
     }
 
     // =========================================================================
@@ -368,12 +922,15 @@
             length: config.sunShadowLength,
             falloff: config.sunShadowFalloff
         };
+        this.setupBloom();
+        this.setupAmbientZones();
     };
 
     const _Game_Map_setup = Game_Map.prototype.setup;
     Game_Map.prototype.setup = function(mapId) {
         _Game_Map_setup.call(this, mapId);
         this._playerLight = null;
+        LightManager.clearCharacters();
         this.setupMapLighting();
     };
 
@@ -381,6 +938,8 @@
         const config = Config.getAll();
         this._ambientColor = config.ambientColor;
         this._ambientIntensity = config.ambientIntensity;
+        this.setupBloom();
+        this.setupAmbientZones();
         
         this._sunLight = {
             enabled: false,
@@ -430,6 +989,20 @@
                 Debug.log('Sun shadow settings from map:', this._sunShadowSettings);
             }
             
+            // Parse bloom: <bloom:threshold,strength,radius> or <bloom:off>
+            const bloomMatch = $dataMap.note.match(/<bloom[:\s]*([^>]*)>/i);
+            if (bloomMatch) {
+                const bloomParams = bloomMatch[1].trim();
+                if (bloomParams.toLowerCase() === 'off') {
+                    this._bloom.strength = 0;
+                } else {
+                    const params = bloomParams.split(',').map(p => p.trim());
+                    if (params[0]) this._bloom.threshold = parseFloat(params[0]);
+                    if (params[1]) this._bloom.strength = parseFloat(params[1]);
+                    if (params[2]) this._bloom.radius = parseFloat(params[2]);
+                }
+            }
+            
             // Parse shadows on/off
             if ($dataMap.note.match(/<shadows\s*:\s*off>/i)) {
                 this._shadowsEnabled = false;
@@ -439,6 +1012,20 @@
         }
     };
 
+    /**
+     * Get obstacle heights per region: plugin parameter, overridden by
+     * <regionHeight:id:height, ...> in the map note
+     * @returns {Object} Region ID -> height in tiles
+     */
+    Game_Map.prototype.regionHeights = function() {
+        const heights = Object.assign({}, Config.get('regionHeights'));
+        const match = $dataMap && $dataMap.note ? $dataMap.note.match(/<regionHeight[:\s]*([^>]*)>/i) : null;
+        if (match) {
+            Object.assign(heights, parseRegionHeights(match[1]));
+        }
+        return heights;
+    };
+
     Game_Map.prototype.setAmbientLight = function(color, intensity) {
         this._ambientColor = color;
         this._ambientIntensity = intensity;
@@ -464,6 +1051,16 @@
         this._playerLight = LightManager.getPlayerLight();
     };
 
+    Game_Map.prototype.setPlayerLightCookie = function(cookie) {
+        LightManager.setPlayerLightCookie(cookie);
+        this._playerLight = LightManager.getPlayerLight();
+    };
+
+    Game_Map.prototype.setPlayerLightHeight = function(height) {
+        LightManager.setPlayerLightHeight(height);
+        this._playerLight = LightManager.getPlayerLight();
+    };
+
     Game_Map.prototype.setSunLight = function(enabled) {
         this._sunLight.enabled = enabled;
     };
@@ -477,6 +1074,148 @@
         }
     };
 
+    /**
+     * Reset bloom to the plugin parameters and stop any fade
+     */
+    Game_Map.prototype.setupBloom = function() {
+        const config = Config.getAll();
+        this._bloom = {
+            threshold: config.bloomThreshold,
+            strength: config.bloomStrength,
+            radius: config.bloomRadius
+        };
+        this._bloomTarget = null;
+        this._bloomDuration = 0;
+    };
+
+    /**
+     * Change bloom over time, like Game_Screen.startTint
+     * @param {Object} target - { threshold, strength, radius }
+     * @param {number} duration - Frames (0 = instantly)
+     */
+    Game_Map.prototype.fadeBloom = function(target, duration) {
+        this._bloomTarget = Object.assign({}, this._bloom, target);
+        this._bloomDuration = duration;
+        if (this._bloomDuration <= 0) {
+            this._bloom = this._bloomTarget;
+            this._bloomTarget = null;
+        }
+    };
+
+    Game_Map.prototype.updateBloom = function() {
+        if (this._bloomDuration > 0) {
+            const d = this._bloomDuration;
+            for (const key in this._bloom) {
+                this._bloom[key] = (this._bloom[key] * (d - 1) + this._bloomTarget[key]) / d;
+            }
+            this._bloomDuration--;
+            if (this._bloomDuration === 0) this._bloomTarget = null;
+        }
+    };
+
+    /**
+     * Parse <ambientZone:regionId,color,intensity,fadeFrames> map notes
+     */
+    Game_Map.prototype.setupAmbientZones = function() {
+        this._ambientZones = {};
+        this._ambientZoneWeights = {};
+        // null until the player's zone is known, so the first zone is entered without a fade
+        this._ambientZoneId = null;
+        if (!$dataMap || !$dataMap.note) return;
+
+        const tags = $dataMap.note.match(/<ambientZone[:\s]*[^>]*>/gi) || [];
+        for (const tag of tags) {
+            const params = tag.match(/<ambientZone[:\s]*([^>]*)>/i)[1].split(',').map(p => p.trim());
+            const regionId = Number(params[0]);
+            if (!regionId || !params[1]) continue;
+            let intensity = params[2] ? parseFloat(params[2]) : this._ambientIntensity;
+            if (!(intensity >= 0 && intensity <= 1)) {
+                console.warn('[DynamicLighting] Ambient zone intensity must be 0-1:', tag);
+                intensity = Utils.clamp(intensity || 0, 0, 1);
+            }
+            this._ambientZones[regionId] = {
+                color: params[1],
+                intensity: intensity,
+                fadeFrames: params[3] ? Number(params[3]) : 30
+            };
+        }
+        Debug.log('Ambient zones:', this._ambientZones);
+    };
+
+    /**
+     * Check whether the map has ambient zones
+     * @returns {boolean} True if any <ambientZone> tag was found
+     */
+    Game_Map.prototype.hasAmbientZones = function() {
+        return !!this._ambientZones && Object.keys(this._ambientZones).length > 0;
+    };
+
+    /**
+     * Fade a zone's share of the ambient light. Instant here; the Effects
+     * addon replaces this with a transition.
+     * @param {number} regionId - Zone region ID
+     * @param {number} weight - Target weight (0 = map ambient, 1 = zone ambient)
+     * @param {number} duration - Frames
+     */
+    Game_Map.prototype.fadeAmbientZone = function(regionId, weight, duration) {
+        this._ambientZoneWeights[regionId] = weight;
+    };
+
+    Game_Map.prototype.updateAmbientZone = function() {
+        if (!this.hasAmbientZones()) return;
+
+        const regionId = $gamePlayer.regionId();
+        const zoneId = this._ambientZones[regionId] ? regionId : 0;
+        if (zoneId === this._ambientZoneId) return;
+
+        const instant = this._ambientZoneId === null;
+        const previous = this._ambientZones[this._ambientZoneId];
+        const next = this._ambientZones[zoneId];
+        if (previous) {
+            this.fadeAmbientZone(this._ambientZoneId, 0, instant ? 0 : previous.fadeFrames);
+        }
+        if (next) {
+            this.fadeAmbientZone(zoneId, 1, instant ? 0 : next.fadeFrames);
+        }
+        this._ambientZoneId = zoneId;
+    };
+
+    /**
+     * Get the ambient light around the player: the map ambient blended
+     * toward each zone by its current weight
+     * @returns {Object} { color, intensity }
+     */
+    Game_Map.prototype.effectiveAmbient = function() {
+        let color = Utils.hexToRgb(this._ambientColor);
+        let intensity = this._ambientIntensity;
+        for (const regionId in this._ambientZoneWeights) {
+            const zone = this._ambientZones[regionId];
+            const weight = this._ambientZoneWeights[regionId];
+            if (!zone || !(weight > 0)) continue;
+            color = Utils.lerpColor(color, Utils.hexToRgb(zone.color), weight);
+            intensity = Utils.lerp(intensity, zone.intensity, weight);
+        }
+        return { color: Utils.rgbToHex(color.r, color.g, color.b), intensity: intensity };
+    };
+
+    /**
+     * Get the sun as rendered this frame. Addons adjust the result (weather)
+     * without changing the sun set by map notes, commands or the time
+     * system. Optional shadowSoftness and shadowStrength override the sun
+     * shadow settings.
+     * @returns {Object} Sun light
+     */
+    Game_Map.prototype.effectiveSun = function() {
+        return this._sunLight;
+    };
+
+    const _Game_Map_update = Game_Map.prototype.update;
+    Game_Map.prototype.update = function(sceneActive) {
+        _Game_Map_update.call(this, sceneActive);
+        this.updateBloom();
+        this.updateAmbientZone();
+    };
+
     Game_Map.prototype.areShadowsEnabled = function() {
         return this._shadowsEnabled !== false;
     };
@@ -485,33 +1224,181 @@
         this._shadowsEnabled = enabled;
     };
 
+    // =========================================================================
+    // Game_CharacterBase Extensions - Attached Lights
+    // =========================================================================
+
+    /**
+     * Create light data from script options
+     * @param {Object} options - Light options (see LightManager.createLight)
+     * @returns {Object} Light data
+     */
+    function createLightFromOptions(options) {
+        return options.isSpotlight ? LightManager.createSpotlight(options) : LightManager.createLight(options);
+    }
+
+    Game_CharacterBase.prototype.setLight = function(options) {
+        this._attachedLight = createLightFromOptions(options || {});
+    };
+
+    Game_CharacterBase.prototype.clearLight = function() {
+        this._attachedLight = null;
+    };
+
+    Game_CharacterBase.prototype.attachedLight = function() {
+        return this._attachedLight || null;
+    };
+
+    /**
+     * Set how strongly this character ignores ambient darkness
+     * @param {number} strength - 0 (lit normally) to 1 (fully emissive)
+     */
+    Game_CharacterBase.prototype.setEmissive = function(strength) {
+        this._emissive = Number(strength) || 0;
+    };
+
+    Game_CharacterBase.prototype.emissive = function() {
+        return this._emissive || 0;
+    };
+
+    // Actor notes are static, so parsed actor lights are cached per actor
+    const actorLightCache = {};
+
+    function actorLight(actor) {
+        if (!actor) return null;
+        const actorId = actor.actorId();
+        if (!(actorId in actorLightCache)) {
+            const meta = actor.actor().meta.actorLight;
+            let light = null;
+            if (meta === true) {
+                light = LightManager.createLight();
+            } else if (meta) {
+                light = LightManager.createLight(LightManager.parseLightParams(meta) || {});
+            }
+            actorLightCache[actorId] = light;
+        }
+        return actorLightCache[actorId];
+    }
+
+    Game_Player.prototype.attachedLight = function() {
+        if (this._attachedLight) return this._attachedLight;
+        if (this.isInVehicle() || this.isTransparent()) return null;
+        return actorLight($gameParty.leader());
+    };
+
+    Game_Follower.prototype.attachedLight = function() {
+        if (this._attachedLight) return this._attachedLight;
+        return this.isVisible() ? actorLight(this.actor()) : null;
+    };
+
+    const vehicleLightCache = {};
+
+    Game_Vehicle.prototype.attachedLight = function() {
+        if (this._attachedLight) return this._attachedLight;
+        if (this._mapId !== $gameMap.mapId()) return null;
+        if (!(this._type in vehicleLightCache)) {
+            const options = Config.get('vehicleLights')[this._type];
+            vehicleLightCache[this._type] = options ? LightManager.createLight(options) : null;
+        }
+        return vehicleLightCache[this._type];
+    };
+
     // =========================================================================
     // Game_Event Extensions
     // =========================================================================
 
-    const _Game_Event_initialize = Game_Event.prototype.initialize;
-    Game_Event.prototype.initialize = function(mapId, eventId) {
-        _Game_Event_initialize.call(this, mapId, eventId);
+    // Any tag that defines (or removes) an event light. A page whose comments
+    // contain one of these replaces the event note as the light source.
+    const LIGHT_TAG_PATTERN = /<(?:light|spotlight|areaLight|lineLight|noLight)(?:[:\s][^>]*)?>/i;
+
+    // initialize runs setupPage through refresh, so this also covers map load
+    const _Game_Event_setupPage = Game_Event.prototype.setupPage;
+    Game_Event.prototype.setupPage = function() {
+        _Game_Event_setupPage.call(this);
+        this.refreshEventLight();
+        this.setupEmissive();
+    };
+
+    /**
+     * Rebuild the light for the current page and apply any stored override
+     */
+    Game_Event.prototype.refreshEventLight = function() {
         this._lightData = null;
         this.setupEventLight();
+        this.applyLightOverride();
     };
 
-    Game_Event.prototype.setupEventLight = function() {
+    /**
+     * Get the comment text of the current page
+     * @returns {string} Joined comment lines
+     */
+    Game_Event.prototype.pageComments = function() {
+        const page = this.page();
+        if (!page) return '';
+        return page.list
+            .filter(command => command.code === 108 || command.code === 408)
+            .map(command => command.parameters[0])
+            .join('\n');
+    };
+
+    /**
+     * Get the text light tags are read from: the current page's comments
+     * if they contain light tags, otherwise the event note
+     * @returns {string} Tag source text
+     */
+    Game_Event.prototype.lightTagSource = function() {
+        const comments = this.pageComments();
+        if (LIGHT_TAG_PATTERN.test(comments)) {
+            return comments;
+        }
         const event = this.event();
-        if (!event) return;
+        return event ? event.note || '' : '';
+    };
 
-        const note = event.note || '';
+    Game_Event.prototype.setupEventLight = function() {
+        const note = this.lightTagSource();
+        
+        if (note.match(/<noLight>|<light\s*:\s*off\s*>/i)) {
+            return;
+        }
         
         const spotMatch = note.match(/<spotlight[:\s]*([^>]*)>/i);
+        const areaMatch = note.match(/<areaLight[:\s]*([^>]*)>/i);
+        const lineMatch = note.match(/<lineLight[:\s]*([^>]*)>/i);
+        const lightMatch = note.match(/<light(?:[:\s]([^>]*))?>/i);
         if (spotMatch) {
             this._setupSpotlight(spotMatch[1]);
+        } else if (areaMatch) {
+            this._setupAreaLight(areaMatch[1]);
+        } else if (lineMatch) {
+            this._setupLineLight(lineMatch[1]);
+        } else if (lightMatch) {
+            this._setupPointLight(lightMatch[1] || '');
+        } else {
             return;
         }
         
-        const lightMatch = note.match(/<light(?:[:\s]([^>]*))?>/i);
-        if (lightMatch) {
-            this._setupPointLight(lightMatch[1] || '');
+        // Parse cookie: <lightCookie:name,scale,angle,spin>
+        const cookieMatch = note.match(/<lightCookie:([^>]+)>/i);
+        if (cookieMatch) {
+            this._lightData.cookie = LightManager.parseCookieParams(cookieMatch[1]);
         }
+        
+        // Parse height: <lightHeight:pixels>
+        const heightMatch = note.match(/<lightHeight[:\s]*([\d.]+)\s*>/i);
+        if (heightMatch) {
+            this._lightData.height = parseFloat(heightMatch[1]);
+        }
+    };
+
+    /**
+     * Read <emissive> or <emissive:strength> from the page comments or note
+     */
+    Game_Event.prototype.setupEmissive = function() {
+        const event = this.event();
+        const source = this.pageComments() + '\n' + (event ? event.note || '' : '');
+        const match = source.match(/<emissive(?::\s*([\d.]+))?\s*>/i);
+        this.setEmissive(match ? numberParam(match[1], 1) : 0);
     };
 
     Game_Event.prototype._setupPointLight = function(paramsStr) {
@@ -563,6 +1450,41 @@
         };
     };
 
+    // Trailing parameters may be effect names, so non-numbers fall back
+    function numberParam(value, fallback) {
+        const number = parseFloat(value);
+        return isNaN(number) ? fallback : number;
+    }
+
+    // <areaLight:width,height,radius,intensity,color,angle>
+    Game_Event.prototype._setupAreaLight = function(paramsStr) {
+        const config = Config.getAll();
+        const params = paramsStr.split(',').map(p => p.trim()).filter(p => p);
+        
+        this._lightData = LightManager.createAreaLight({
+            width: numberParam(params[0], 48),
+            height: numberParam(params[1], 48),
+            radius: numberParam(params[2], config.defaultRadius),
+            intensity: numberParam(params[3], config.defaultIntensity),
+            color: params[4] || config.defaultColor,
+            angle: numberParam(params[5], 0)
+        });
+    };
+
+    // <lineLight:length,angle,radius,intensity,color>
+    Game_Event.prototype._setupLineLight = function(paramsStr) {
+        const config = Config.getAll();
+        const params = paramsStr.split(',').map(p => p.trim()).filter(p => p);
+        
+        this._lightData = LightManager.createLineLight({
+            length: numberParam(params[0], 96),
+            angle: numberParam(params[1], 0),
+            radius: numberParam(params[2], config.defaultRadius),
+            intensity: numberParam(params[3], config.defaultIntensity),
+            color: params[4] || config.defaultColor
+        });
+    };
+
     Game_Event.prototype.hasLight = function() {
         return this._lightData && this._lightData.enabled;
     };
@@ -571,6 +1493,51 @@
         return this._lightData;
     };
 
+    // Events keep their light in _lightData so overrides and effects apply
+    Game_Event.prototype.setLight = function(options) {
+        this._lightData = createLightFromOptions(options || {});
+        this.storeLightOverride();
+    };
+
+    Game_Event.prototype.clearLight = function() {
+        this.setLightEnabled(false);
+    };
+
+    Game_Event.prototype.attachedLight = function() {
+        return null;
+    };
+
+    Game_Event.prototype.applyLightOverride = function() {
+        const override = LightManager.getEventLightOverride(this._mapId, this._eventId, this._pageIndex);
+        if (override) {
+            this._lightData = override;
+        }
+    };
+
+    Game_Event.prototype.storeLightOverride = function() {
+        LightManager.setEventLightOverride(this._mapId, this._eventId, this._lightData, this._pageIndex);
+    };
+
+    /**
+     * Set or remove the cookie of this event's light
+     * @param {string|Object|null} cookie - Image name, cookie options or null
+     */
+    Game_Event.prototype.setLightCookie = function(cookie) {
+        if (!this._lightData) return;
+        this._lightData.cookie = LightManager.createCookie(cookie);
+        this.storeLightOverride();
+    };
+
+    /**
+     * Set the height of this event's light above the ground
+     * @param {number} height - Height in pixels
+     */
+    Game_Event.prototype.setLightHeight = function(height) {
+        if (!this._lightData) return;
+        this._lightData.height = height;
+        this.storeLightOverride();
+    };
+
     Game_Event.prototype.setLightEnabled = function(enabled) {
         if (this._lightData) {
             this._lightData.enabled = enabled;
@@ -589,12 +1556,66 @@
                 innerRadius: 0
             };
         }
+        this.storeLightOverride();
+    };
+
+    // =========================================================================
+    // Game_Picture Extensions
+    // =========================================================================
+
+    /**
+     * Set how strongly this picture feeds the emissive glow
+     * @param {number} strength - 0 (off) to 1
+     */
+    Game_Picture.prototype.setEmissive = function(strength) {
+        this._emissive = Number(strength) || 0;
+    };
+
+    Game_Picture.prototype.emissive = function() {
+        return this._emissive || 0;
+    };
+
+    // =========================================================================
+    // DataManager Extensions - Save/Load
+    // =========================================================================
+
+    const _DataManager_createGameObjects = DataManager.createGameObjects;
+    DataManager.createGameObjects = function() {
+        _DataManager_createGameObjects.call(this);
+        LightManager.reset();
+    };
+
+    // Ambient, sun, shadow, bloom and zone fields live on $gameMap and are
+    // saved with it; only LightManager state needs its own entry
+    const _DataManager_makeSaveContents = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents.call(this);
+        contents.dynamicLighting = LightManager.makeSaveContents();
+        return contents;
+    };
+
+    const _DataManager_extractSaveContents = DataManager.extractSaveContents;
+    DataManager.extractSaveContents = function(contents) {
+        _DataManager_extractSaveContents.call(this, contents);
+        LightManager.extractSaveContents(contents.dynamicLighting);
+        $gameMap._playerLight = LightManager.getPlayerLight();
     };
 
     // =========================================================================
     // Scene_Map Extensions
     // =========================================================================
 
+    // Saves from before bloom and ambient zones get them once the saved
+    // map's data is loaded ($dataMap is still the previous map on load)
+    const _Scene_Map_onMapLoaded = Scene_Map.prototype.onMapLoaded;
+    Scene_Map.prototype.onMapLoaded = function() {
+        _Scene_Map_onMapLoaded.call(this);
+        if ($gameMap.mapId() > 0) {
+            if (!$gameMap._bloom) $gameMap.setupBloom();
+            if (!$gameMap._ambientZones) $gameMap.setupAmbientZones();
+        }
+    };
+
     const _Scene_Map_terminate = Scene_Map.prototype.terminate;
     Scene_Map.prototype.terminate = function() {
         if (this._spriteset) {
@@ -621,15 +1642,17 @@
         try {
             const config = Config.getAll();
             this._lightingFilter = new DL.LightingFilter(config.maxLights);
-            this._lightingFilter.setAmbientColor($gameMap._ambientColor);
-            this._lightingFilter.setAmbientIntensity($gameMap._ambientIntensity);
+            const ambient = $gameMap.effectiveAmbient();
+            this._lightingFilter.setAmbientColor(ambient.color);
+            this._lightingFilter.setAmbientIntensity(ambient.intensity);
             
-            if ($gameMap._sunLight) {
+            const sun = $gameMap.effectiveSun();
+            if (sun) {
                 this._lightingFilter.setSunParams(
-                    $gameMap._sunLight.enabled,
-                    $gameMap._sunLight.direction,
-                    $gameMap._sunLight.intensity,
-                    $gameMap._sunLight.color
+                    sun.enabled,
+                    sun.direction,
+                    sun.intensity,
+                    sun.color
                 );
             }
             
@@ -638,6 +1661,11 @@
             }
             this._baseSprite.filters.push(this._lightingFilter);
             
+            // Bloom runs right after lighting; disabled while strength is 0
+            this._bloomFilter = new DL.BloomFilter();
+            this._bloomFilter.enabled = false;
+            this._baseSprite.filters.push(this._bloomFilter);
+            
             // Create shadow map generator
             shadowMapGenerator = new DL.ShadowMapGenerator(
                 config.shadowMapResolution,
@@ -654,6 +1682,29 @@
                 console.warn('[DynamicLighting] TileTypeMapGenerator not found! Wall shadows will not work.');
             }
             
+            // Create accumulator for lights beyond the first batch
+            if (config.maxLightPasses > 1) {
+                lightAccumulator = new DL.LightAccumulator(config.maxLights);
+            }
+            
+            // Create normal map generator (opt-in)
+            if (config.normalMapsEnabled) {
+                normalMapGenerator = new DL.NormalMapGenerator();
+            }
+            
+            // Create emissive mask
+            if (config.emissiveEnabled) {
+                emissiveMapGenerator = new DL.EmissiveMapGenerator(
+                    config.emissiveRegions,
+                    config.emissiveTerrainTags
+                );
+            }
+            
+            // Create per-tile ambient for maps with ambient zones
+            if ($gameMap.hasAmbientZones() && config.ambientZoneBlend > 0) {
+                ambientZoneMap = new DL.AmbientZoneMap();
+            }
+            
             // Set up shadow uniforms
             const regionPadding = shadowMapGenerator.regionPadding;
             this._lightingFilter.uniforms.uShadowMapResolution = config.shadowMapResolution;
@@ -670,6 +1721,22 @@
         }
     };
 
+    // The glow runs as the first overall filter, before screen tone and flash
+    const _Spriteset_Map_createOverallFilters = Spriteset_Map.prototype.createOverallFilters;
+    Spriteset_Map.prototype.createOverallFilters = function() {
+        _Spriteset_Map_createOverallFilters.call(this);
+        const config = Config.getAll();
+        if (config.emissiveEnabled && config.emissiveGlow > 0) {
+            try {
+                this._glowFilter = new DL.GlowFilter();
+                this._glowFilter.setGlowParams(config.emissiveGlow, config.emissiveGlowRadius);
+                this.filters = [this._glowFilter].concat(this.filters || []);
+            } catch (e) {
+                console.error('[DynamicLighting] Failed to create glow filter:', e);
+            }
+        }
+    };
+
     const _Spriteset_Map_update = Spriteset_Map.prototype.update;
     Spriteset_Map.prototype.update = function() {
         _Spriteset_Map_update.call(this);
@@ -718,25 +1785,58 @@
             }
         }
         
+        // Render normal pass
+        if (normalMapGenerator && renderer) {
+            normalMapGenerator.update(this._tilemap, this._characterSprites, renderer);
+            this._lightingFilter.setNormalMap(normalMapGenerator.texture, normalMapGenerator.isReady());
+        }
+        
+        // Update bloom
+        const bloom = $gameMap._bloom;
+        if (this._bloomFilter && bloom) {
+            this._bloomFilter.setBloomParams(bloom.threshold, bloom.strength, bloom.radius);
+        }
+        
+        // Render emissive mask (and glow mask when the glow pass is active);
+        // maps without emissive tiles, characters or pictures skip both
+        if (emissiveMapGenerator && renderer) {
+            const glow = !!this._glowFilter;
+            const pictureSprites = glow && this._pictureContainer ?
+                this._pictureContainer.children.filter(sprite => sprite instanceof Sprite_Picture) : [];
+            const active = emissiveMapGenerator.update(this._characterSprites, pictureSprites, glow, renderer);
+            this._lightingFilter.setEmissiveMap(active ? emissiveMapGenerator.texture : PIXI.Texture.EMPTY, active);
+            if (glow) {
+                this._glowFilter.setGlowMask(active ? emissiveMapGenerator.glowTexture : null);
+                this._glowFilter.enabled = active;
+            }
+        }
+        
         // Update ambient light
-        this._lightingFilter.setAmbientColor($gameMap._ambientColor);
-        this._lightingFilter.setAmbientIntensity($gameMap._ambientIntensity);
+        const ambient = $gameMap.effectiveAmbient();
+        this._lightingFilter.setAmbientColor(ambient.color);
+        this._lightingFilter.setAmbientIntensity(ambient.intensity);
+        if (ambientZoneMap) {
+            ambientZoneMap.update($gameMap._ambientZones, $gameMap._ambientColor, $gameMap._ambientIntensity);
+            this._lightingFilter.setAmbientZoneMap(ambientZoneMap, config.ambientZoneBlend);
+        }
         
         // Update sun light
-        if ($gameMap._sunLight) {
+        const sun = $gameMap.effectiveSun();
+        if (sun) {
             this._lightingFilter.setSunParams(
-                $gameMap._sunLight.enabled,
-                $gameMap._sunLight.direction,
-                $gameMap._sunLight.intensity,
-                $gameMap._sunLight.colorRgb
+                sun.enabled,
+                sun.direction,
+                sun.intensity,
+                sun.colorRgb
             );
+            this._lightingFilter.setSunElevation(sun.elevation || 0.5);
         }
         
         // Generate sun shadows
         const sunShadowThreshold = 0.1;
-        const sunIntensity = $gameMap._sunLight ? $gameMap._sunLight.intensity : 0;
-        const shouldRenderSunShadows = $gameMap._sunLight &&
-                                       $gameMap._sunLight.enabled &&
+        const sunIntensity = sun ? sun.intensity : 0;
+        const shouldRenderSunShadows = sun &&
+                                       sun.enabled &&
                                        sunIntensity >= sunShadowThreshold;
         
         if (shouldRenderSunShadows && renderer) {
@@ -756,21 +1856,43 @@
             const settings = $gameMap._sunShadowSettings || {};
             const intensityFactor = Math.min(1.0, (sunIntensity - sunShadowThreshold) / (1.0 - sunShadowThreshold));
             const adjustedSettings = Object.assign({}, settings);
-            adjustedSettings.strength = (settings.strength || config.sunShadowStrength) * intensityFactor;
+            const baseStrength = sun.shadowStrength !== undefined ? sun.shadowStrength :
+                (settings.strength || config.sunShadowStrength);
+            adjustedSettings.strength = baseStrength * intensityFactor;
+            if (sun.shadowSoftness !== undefined) {
+                adjustedSettings.softness = sun.shadowSoftness;
+            }
             
-            shadowMapGenerator.generateSunShadows($gameMap._sunLight.direction, adjustedSettings, renderer);
+            shadowMapGenerator.generateSunShadows(sun.direction, adjustedSettings, renderer);
             
             this._lightingFilter.setSunShadowMap(shadowMapGenerator.sunShadowTexture, true);
         } else {
             this._lightingFilter.setSunShadowMap(null, false);
         }
         
-        // Collect lights
+        // Collect lights and split them into passes by screen contribution
         const screenWidth = Graphics.width;
         const screenHeight = Graphics.height;
-        const lights = LightManager.collectLights(screenWidth, screenHeight);
+        const visibleLights = LightManager.collectLights(screenWidth, screenHeight);
+        const batches = LightManager.prioritizeLights(
+            visibleLights,
+            this._lightingFilter.maxLights,
+            config.maxLightPasses,
+            screenWidth,
+            screenHeight
+        );
+        const lights = batches[0] || [];
         this._activeLights = lights;
         
+        const shadowsEnabled = $gameMap.areShadowsEnabled();
+        this._lightingFilter.uniforms.uShadowsEnabled = shadowsEnabled && lights.length > 0;
+        
+        // Extra passes render first: they reuse the point light shadow map,
+        // which must hold the first batch when the main filter runs
+        const accumulated = lightAccumulator && renderer ?
+            lightAccumulator.render(batches.slice(1), this._lightingFilter, shadowMapGenerator, renderer) : false;
+        this._lightingFilter.setLightAccumulation(accumulated ? lightAccumulator.texture : null, accumulated);
+        
         // Generate point light shadows
         // The region map includes both region obstacles and wall tiles as shadow casters.
         // Wall lighting (which part is lit) is handled in the main lighting shader.
@@ -779,9 +1901,7 @@
         }
         
         // Update light uniforms
-        const shadowsEnabled = $gameMap.areShadowsEnabled();
         this._lightingFilter.uniforms.uShadowMap = shadowMapGenerator.pointLightTexture || PIXI.Texture.WHITE;
-        this._lightingFilter.uniforms.uShadowsEnabled = shadowsEnabled && lights.length > 0;
         
         this._lightingFilter.updateLights(lights, screenWidth, screenHeight);
     };
@@ -811,6 +1931,38 @@
         );
     });
 
+    /**
+     * Build cookie options from command arguments (empty name removes it)
+     */
+    function cookieFromArgs(args) {
+        const name = String(args.name || '');
+        if (!name) return null;
+        return {
+            name: name,
+            scale: Number(args.scale || 1),
+            angle: Number(args.angle || 0),
+            spin: Number(args.spin || 0)
+        };
+    }
+
+    PluginManager.registerCommand(pluginName, 'SetEventLightCookie', args => {
+        const event = $gameMap.event(Number(args.eventId));
+        if (event) event.setLightCookie(cookieFromArgs(args));
+    });
+
+    PluginManager.registerCommand(pluginName, 'SetPlayerLightCookie', args => {
+        $gameMap.setPlayerLightCookie(cookieFromArgs(args));
+    });
+
+    PluginManager.registerCommand(pluginName, 'SetEventLightHeight', args => {
+        const event = $gameMap.event(Number(args.eventId));
+        if (event) event.setLightHeight(Number(args.height));
+    });
+
+    PluginManager.registerCommand(pluginName, 'SetPlayerLightHeight', args => {
+        $gameMap.setPlayerLightHeight(Number(args.height));
+    });
+
     PluginManager.registerCommand(pluginName, 'SetSunLight', args => {
         $gameMap.setSunLight(args.enabled === 'true');
     });
@@ -827,6 +1979,63 @@
         $gameMap.setShadowsEnabled(args.enabled === 'true');
     });
 
+    /**
+     * Convert command coordinates to map pixels
+     * Tile coordinates point at the tile center.
+     */
+    function toMapPixels(x, y, unit) {
+        if (unit === 'pixel') {
+            return { x: x, y: y };
+        }
+        return {
+            x: (x + 0.5) * $gameMap.tileWidth(),
+            y: (y + 0.5) * $gameMap.tileHeight()
+        };
+    }
+
+    PluginManager.registerCommand(pluginName, 'AddCustomLight', args => {
+        const pos = toMapPixels(Number(args.x), Number(args.y), String(args.unit));
+        LightManager.addCustomLight(String(args.id), {
+            space: 'map',
+            x: pos.x,
+            y: pos.y,
+            radius: Number(args.radius),
+            intensity: Number(args.intensity),
+            color: String(args.color),
+            height: args.height ? Number(args.height) : undefined
+        });
+    });
+
+    PluginManager.registerCommand(pluginName, 'MoveCustomLight', args => {
+        const pos = toMapPixels(Number(args.x), Number(args.y), String(args.unit));
+        LightManager.updateCustomLight(String(args.id), pos);
+    });
+
+    PluginManager.registerCommand(pluginName, 'RemoveCustomLight', args => {
+        LightManager.removeCustomLight(String(args.id));
+    });
+
+    PluginManager.registerCommand(pluginName, 'SetPictureEmissive', args => {
+        const picture = $gameScreen.picture(Number(args.pictureId));
+        if (picture) picture.setEmissive(Number(args.strength));
+    });
+
+    PluginManager.registerCommand(pluginName, 'FadeBloom', args => {
+        $gameMap.fadeBloom({
+            threshold: Number(args.threshold),
+            strength: Number(args.strength),
+            radius: Number(args.radius)
+        }, Number(args.duration));
+    });
+
+    PluginManager.registerCommand(pluginName, 'ClearCustomLights', args => {
+        if (args.scope === 'all') {
+            LightManager.clearCustomLights();
+        } else {
+            LightManager.clearCustomLights($gameMap.mapId());
+        }
+    });
+
     // =========================================================================
     // Public API
     // =========================================================================
@@ -853,6 +2062,11 @@
         return tileTypeMapGenerator;
     };
     
+    // Visible, rendered and dropped light counts for the last frame
+    DL.getLightStats = function() {
+        return LightManager.getStats();
+    };
+    
     // Expose tile type constants and methods for external use
     DL.getTileType = function(x, y) {
         return $gameMap ? $gameMap.getTileType(x, y) : DL.TILE_TYPE.NONE;
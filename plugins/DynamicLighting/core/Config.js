@@ -21,6 +21,7 @@
         defaultIntensity: 1.0,
         defaultColor: '#ffffff',
         maxLights: 50,
+        maxLightPasses: 1,
         
         // Sun light
         sunDirection: 135,
@@ -42,6 +43,29 @@
         // Obstacle detection
         obstacleDetectionMode: 'tiledetector', // 'regions', 'tiledetector', 'both'
         wallShadowEnabled: true,
+        translucentRegions: {},   // region ID -> { opacity, tint }
+        regionHeights: {},        // region ID -> height in tiles
+        wallHeight: 0,            // tiles, 0 = unlimited, 'auto' = wall column
+        defaultLightHeight: 100,  // pixels above the ground
+        
+        // Normal maps
+        normalMapsEnabled: false,
+        normalMapStrength: 0.6,
+        
+        // Emissive pixels
+        emissiveEnabled: true,
+        emissiveRegions: [],
+        emissiveTerrainTags: [],
+        emissiveGlow: 0,
+        emissiveGlowRadius: 2.0,
+        
+        // Bloom
+        bloomThreshold: 0.7,
+        bloomStrength: 0,
+        bloomRadius: 2.0,
+        
+        // Ambient zones
+        ambientZoneBlend: 0.5,
         
         // Debug
         debug: false
@@ -0,0 +1,170 @@
+/**
+ * DynamicLighting - Curve Effects Module
+ * Light effects defined as data (keyframe or noise curves), e.g. from a
+ * JSON file in data/
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL || !DL.Effects || !DL.Effects.register) {
+        console.error('[CurveEffects] LightEffects not loaded!');
+        return;
+    }
+
+    const Utils = DL.Utils;
+    const seededRandom = DL.Effects.seededRandom;
+
+    // Properties a curve can scale
+    const TARGETS = ['intensity', 'radius'];
+
+    // Easing between two keyframes
+    const INTERPOLATIONS = {
+        linear: t => t,
+        smooth: t => t * t * (3 - 2 * t),
+        step: t => 0
+    };
+
+    // Every curve effect takes speed and amount (how strongly the curve
+    // departs from 1.0)
+    const CURVE_PARAMS = [
+        { name: 'speed', default: 1 },
+        { name: 'amount', default: 1 }
+    ];
+
+    /**
+     * Smooth value noise in -1..1
+     * @param {number} x - Position
+     * @returns {number} Noise value
+     */
+    function valueNoise(x) {
+        const i = Math.floor(x);
+        const f = x - i;
+        const t = f * f * (3 - 2 * f);
+        return Utils.lerp(seededRandom(i), seededRandom(i + 1), t) * 2 - 1;
+    }
+
+    /**
+     * Build a sampler for a keyframe curve
+     * @param {object} definition - {keyframes: [[time, value]...], duration, interpolation}
+     * @returns {Function|null} time -> value, or null without keyframes
+     */
+    function keyframeCurve(definition) {
+        const keyframes = (definition.keyframes || [])
+            .map(frame => Array.isArray(frame) ? { time: frame[0], value: frame[1] } : frame)
+            .map(frame => ({ time: Number(frame.time) || 0, value: Number(frame.value) }))
+            .filter(frame => !isNaN(frame.value))
+            .sort((a, b) => a.time - b.time);
+        if (keyframes.length === 0) return null;
+
+        const last = keyframes[keyframes.length - 1];
+        const duration = Number(definition.duration) || last.time || 1;
+        const ease = INTERPOLATIONS[definition.interpolation] || INTERPOLATIONS.linear;
+
+        return time => {
+            const position = ((time % duration) + duration) % duration;
+            const first = keyframes[0];
+            if (position < first.time || position >= last.time) {
+                // Wrap from the last keyframe back to the first
+                const span = duration - last.time + first.time;
+                const elapsed = position >= last.time ? position - last.time : position + duration - last.time;
+                const t = span > 0 ? elapsed / span : 0;
+                return Utils.lerp(last.value, first.value, ease(Utils.clamp(t, 0, 1)));
+            }
+            let index = 0;
+            while (keyframes[index + 1].time <= position) {
+                index++;
+            }
+            const from = keyframes[index];
+            const to = keyframes[index + 1];
+            const t = (position - from.time) / (to.time - from.time);
+            return Utils.lerp(from.value, to.value, ease(Utils.clamp(t, 0, 1)));
+        };
+    }
+
+    /**
+     * Build a sampler for a noise curve
+     * @param {object} definition - {amplitude, frequency, octaves}
+     * @returns {Function} (time, seed) -> value around 1.0
+     */
+    function noiseCurve(definition) {
+        const amplitude = definition.amplitude !== undefined ? Number(definition.amplitude) : 0.2;
+        const frequency = Number(definition.frequency) || 4;
+        const octaves = Math.max(1, Math.min(4, Number(definition.octaves) || 1));
+
+        return (time, seed) => {
+            let value = 0;
+            let scale = 1;
+            let total = 0;
+            for (let octave = 0; octave < octaves; octave++) {
+                // Offset each octave so they do not line up
+                value += valueNoise(time * frequency * Math.pow(2, octave) + octave * 31.7 + seed) * scale;
+                total += scale;
+                scale /= 2;
+            }
+            return 1 + amplitude * value / total;
+        };
+    }
+
+    /**
+     * Create an effect function from a curve definition
+     * @param {string} name - Effect name (for warnings)
+     * @param {object} definition - {type: 'keyframes'|'noise', target, min, max, ...}
+     * @returns {Function|null} Effect function, or null if invalid
+     */
+    function createCurveEffect(name, definition) {
+        let curve = null;
+        if (definition.type === 'keyframes') {
+            curve = keyframeCurve(definition);
+        } else if (definition.type === 'noise') {
+            curve = noiseCurve(definition);
+        }
+        if (!curve) {
+            console.warn('[CurveEffects] Invalid curve effect:', name);
+            return null;
+        }
+
+        const target = TARGETS.includes(definition.target) ? definition.target : 'intensity';
+        const min = definition.min !== undefined ? Number(definition.min) : 0;
+        const max = definition.max !== undefined ? Number(definition.max) : Infinity;
+
+        return function(intensity, time, params, state) {
+            const amount = params.amount !== undefined ? params.amount : 1;
+            const speed = params.speed !== undefined ? params.speed : 1;
+            const factor = Utils.clamp(1 + (curve(time * speed, state.seed) - 1) * amount, min, max);
+            if (target === 'radius') {
+                state.radius = Math.max(1, state.radius * factor);
+                return undefined;
+            }
+            return intensity * factor;
+        };
+    }
+
+    /**
+     * Register curve effects from data: { name: definition }
+     * @param {object} data - Curve effect definitions
+     * @returns {number} Number of effects registered
+     */
+    function registerCurveEffects(data) {
+        let count = 0;
+        for (const name in data || {}) {
+            const fn = createCurveEffect(name, data[name] || {});
+            if (fn) {
+                DL.Effects.register(name, fn, CURVE_PARAMS);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    //==========================================================================
+    // Export
+    //==========================================================================
+
+    DL.Effects.createCurveEffect = createCurveEffect;
+    DL.Effects.registerCurveEffects = registerCurveEffects;
+
+    console.log('[DynamicLighting] CurveEffects module loaded');
+
+})();
@@ -5,6 +5,128 @@
  * @base DynamicLighting/DynamicLighting
  * @orderAfter DynamicLighting/DynamicLighting
  *
+ * @param EffectFile
+ * @text Effect File
+ * @type text
+ * @default
+ * @desc JSON file in data/ with curve effects (e.g. LightEffects.json).
+ * Blank = none.
+ *
+ * @param ScaleEffectsWithTime
+ * @text Scale Effects with Game Time
+ * @type boolean
+ * @default false
+ * @desc With the time plugin, effects run faster at higher time speeds
+ * and stop while time is paused
+ *
+ * @param WeatherLighting
+ * @text Weather Lighting
+ * @type boolean
+ * @default true
+ * @desc Adjust lighting to the current weather (rain, storm, snow)
+ *
+ * @param WeatherFadeFrames
+ * @text Weather Fade (frames)
+ * @parent WeatherLighting
+ * @type number
+ * @min 0
+ * @default 60
+ * @desc Minimum frames for lighting to follow a weather change
+ *
+ * @param RainSunScale
+ * @text Rain Sun Scale
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.6
+ * @desc Sun intensity multiplier in full-power rain
+ *
+ * @param RainDesaturation
+ * @text Rain Desaturation
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.4
+ * @desc How much ambient color is grayed in full-power rain
+ *
+ * @param StormSunScale
+ * @text Storm Sun Scale
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.3
+ * @desc Sun intensity multiplier in a full-power storm
+ *
+ * @param StormDesaturation
+ * @text Storm Desaturation
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.6
+ * @desc How much ambient color is grayed in a full-power storm
+ *
+ * @param LightningFrequency
+ * @text Lightning Frequency
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 6
+ * @desc Average lightning flashes per minute in a full-power storm (0 = none)
+ *
+ * @param LightningIntensity
+ * @text Lightning Intensity
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 3
+ * @default 1.5
+ * @desc Sun intensity at the peak of a lightning flash
+ *
+ * @param LightningColor
+ * @text Lightning Color
+ * @parent WeatherLighting
+ * @type text
+ * @default #e6ecff
+ * @desc Color of lightning flashes
+ *
+ * @param LightningDuration
+ * @text Lightning Duration (frames)
+ * @parent WeatherLighting
+ * @type number
+ * @min 1
+ * @default 20
+ * @desc Frames for a lightning flash to fade out
+ *
+ * @param SnowSunScale
+ * @text Snow Sun Scale
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.8
+ * @desc Sun intensity multiplier in full-power snow
+ *
+ * @param SnowBrightness
+ * @text Snow Brightness
+ * @parent WeatherLighting
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default 0.3
+ * @desc How much full-power snow brightens ambient light toward white
+ *
  * @help
  * ============================================================================
  * Dynamic Lighting Effects Addon v2.0 - Modular Architecture
@@ -52,8 +174,133 @@
  * SPARK (electrical sparks/lightning):
  *   <light:200,1.0,#00ffff,spark>
  *   <light:200,1.0,#00ffff,spark:0.02>       - flash chance
+ *
+ * COLOR CYCLE (police lights, disco): speed, blend (0 = hard switch,
+ * 1 = smooth), then the colors
+ *   <light:200,1.0,#ff0000,colorCycle:2,0,#ff0000,#0000ff>
+ *
+ * RAINBOW (hue rotation): speed, saturation
+ *   <light:200,1.0,#ffffff,rainbow:0.5,1>
+ *
+ * BREATHE (radius grows and shrinks): amount (0.0-1.0), speed
+ *   <light:200,1.0,#88ccff,breathe:0.15,0.5>
+ *
+ * SWEEP (spotlight swings across an arc): arc degrees, speed
+ *   <spotlight:300,1.0,#ffffff,90,30,sweep:120,0.2>
+ *
+ * ROTATE (spotlight turns, lighthouse): degrees per second
+ *   <spotlight:400,1.0,#fff4cc,0,20,rotate:45>
+ *
+ * SWING (hanging lantern): distance in pixels, speed
+ *   <light:150,1.0,#ffaa55,swing:6,0.5>
+ *
+ * JITTER (restless position): amount in pixels, speed
+ *   <light:150,1.0,#ff6600,jitter:2,8>
+ *
+ * STACKING: join effects with + and they run in order; intensity
+ * effects compound and each modifier animates its own property:
+ *   <light:150,1.0,#ffaa55,fire:0.4 + swing:6,0.5 + breathe:0.1,1>
+ *   <spotlight:300,1.0,#ff0000,0,30,rotate:90 + colorCycle:1,0,#ff0000,#0000ff>
+ *
+ * Effects can also follow <spotlight:...>, <areaLight:...> and
+ * <lineLight:...> tags, e.g.
+ *   <lineLight:144,0,80,1.0,#ccf0ff,fluorescent>
+ *
+ * ============================================================================
+ * Custom Effects:
+ * ============================================================================
+ *
+ * Effects from Effect File (a JSON file in data/) work like built-in ones
+ * and take two parameters, speed and amount (how strongly the curve
+ * departs from 1.0), e.g. <light:150,1.0,#ffaa55,gust:1.5,0.8>
+ *
+ *   {
+ *     "gust": {
+ *       "type": "keyframes",
+ *       "target": "intensity",
+ *       "duration": 2,
+ *       "interpolation": "smooth",
+ *       "keyframes": [[0, 1.0], [0.4, 0.5], [0.7, 1.15], [1.2, 0.9]]
+ *     },
+ *     "gaslamp": {
+ *       "type": "noise",
+ *       "target": "intensity",
+ *       "amplitude": 0.15,
+ *       "frequency": 3,
+ *       "octaves": 2
+ *     }
+ *   }
+ *
+ *   keyframes - [seconds, multiplier] pairs looping every duration
+ *               seconds; interpolation is linear, smooth or step
+ *   noise     - smooth random multiplier 1 +/- amplitude, changing
+ *               frequency times per second (octaves 1-4 add detail)
+ *   target    - intensity or radius; min/max clamp the multiplier
+ *
+ * Effect timing:
+ *   Effects run on game frames: they stop in menus and while the map is
+ *   not updating, and each light has its own random pattern derived from
+ *   its id, so the same light flickers the same way every time.
+ *   Script: DynamicLighting.Effects.effectClock.time (seconds)
+ *
+ * Plugins register effects with
+ *   DynamicLighting.Effects.register(name, fn, paramSchema)
+ *   fn(intensity, time, params, state) returns the new intensity, or
+ *   changes state.radius, colorRgb, directionOffset, offsetX or offsetY.
+ *   paramSchema lists the tag parameters in order:
+ *   [{ name: 'speed', default: 1 }, { name: 'colors', rest: true }]
+ *
+ * All tags also work in page comments, so each event page can use its
+ * own light and effect (e.g. a lamp that becomes "broken" on page 2).
+ *
+ * ============================================================================
+ * Map Note Tags:
+ * ============================================================================
+ *
+ * <ambientZone:regionId,color,intensity,fadeFrames> (see DynamicLighting
+ * help) fades ambient light over fadeFrames as the player enters or
+ * leaves the region. Without this addon the change is instant.
+ *
+ * ============================================================================
+ * Weather:
+ * ============================================================================
+ *
+ * Set Weather Effect (Change Weather) also changes lighting, scaled by
+ * the weather power and faded over the weather duration (at least
+ * Weather Fade frames):
+ *   Rain  - dimmer sun, grayer ambient
+ *   Storm - darker and grayer still, with random lightning flashes that
+ *           light the map along the sun direction with sharp shadows
+ *   Snow  - slightly dimmer sun, brighter and whiter ambient
+ * Turn Weather Lighting off to keep lighting independent of weather.
  * 
  * ============================================================================
+ * Transitions:
+ * ============================================================================
+ *
+ * Easing: linear, easeIn, easeOut, easeInOut, and sine, quad, cubic,
+ * expo, back, elastic or bounce followed by In, Out or InOut (e.g.
+ * sineInOut, backOut, bounceOut). steps(n) jumps in n equal steps.
+ *
+ * Loop repeats a transition after its first play (-1 = forever); with
+ * Yoyo every other repeat runs backwards, so Loop 1 + Yoyo fades there
+ * and back. Wait for Completion holds the event like Move Picture's
+ * wait; it is skipped for endless loops.
+ *
+ * Transitions stop when the player transfers to another map, except
+ * ambient fades with Persistent on, which carry on across maps.
+ *
+ * Script:
+ *   const tm = DynamicLighting.Effects.transitionManager;
+ *   const id = tm.sequence([
+ *       { key: { type: 'ambient' }, property: 'ambientIntensity',
+ *         endValue: 0.1, duration: 120, easing: 'sineInOut' },
+ *       { key: { type: 'ambient' }, property: 'ambientIntensity',
+ *         endValue: 0.6, duration: 120, easing: 'sineInOut' }
+ *   ], { loop: true });
+ *   tm.stop(id);
+ *
+ * ============================================================================
  * Plugin Commands:
  * ============================================================================
  *
@@ -62,7 +309,9 @@
  * FadeEventLightColor - Smoothly change event light color
  * FadeEventLightRadius- Smoothly change event light radius
  * TransitionEventLight- Smoothly transition all light parameters at once
- * SetLightEffect      - Change light effect at runtime
+ * EventLightSequence  - Run event light transitions one after another
+ * SetLightEffect      - Change light effect at runtime (one effect, or a
+ *                       + separated list in Effect List)
  *
  * ============================================================================
  * 
@@ -92,6 +341,36 @@
  * @default 60
  * @desc Transition duration in frames (60 = 1 second)
  *
+ * @arg easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
+ * @desc Easing curve (see help for all names)
+ *
+ * @arg persistent
+ * @text Persistent
+ * @type boolean
+ * @default false
+ * @desc Keep fading after a map transfer
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
  * @command FadeEventLight
  * @text Fade Event Light
  * @desc Smoothly fades event light intensity
@@ -117,6 +396,43 @@
  * @min 1
  * @default 30
  *
+ * @arg easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
+ * @desc Easing curve (see help for all names)
+ *
+ * @arg loop
+ * @text Loop
+ * @type number
+ * @min -1
+ * @default 0
+ * @desc Times to repeat after the first play (-1 = forever)
+ *
+ * @arg yoyo
+ * @text Yoyo
+ * @type boolean
+ * @default false
+ * @desc Play every other repeat backwards
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
  * @command FadeEventLightColor
  * @text Fade Event Light Color
  * @desc Smoothly transitions event light color
@@ -139,6 +455,43 @@
  * @min 1
  * @default 30
  *
+ * @arg easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
+ * @desc Easing curve (see help for all names)
+ *
+ * @arg loop
+ * @text Loop
+ * @type number
+ * @min -1
+ * @default 0
+ * @desc Times to repeat after the first play (-1 = forever)
+ *
+ * @arg yoyo
+ * @text Yoyo
+ * @type boolean
+ * @default false
+ * @desc Play every other repeat backwards
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
  * @command FadeEventLightRadius
  * @text Fade Event Light Radius
  * @desc Smoothly transitions event light radius
@@ -162,6 +515,43 @@
  * @min 1
  * @default 30
  *
+ * @arg easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
+ * @desc Easing curve (see help for all names)
+ *
+ * @arg loop
+ * @text Loop
+ * @type number
+ * @min -1
+ * @default 0
+ * @desc Times to repeat after the first play (-1 = forever)
+ *
+ * @arg yoyo
+ * @text Yoyo
+ * @type boolean
+ * @default false
+ * @desc Play every other repeat backwards
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
  * @command TransitionEventLight
  * @text Transition Event Light
  * @desc Smoothly transitions all event light parameters at once
@@ -200,6 +590,72 @@
  * @min 1
  * @default 60
  *
+ * @arg easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
+ * @desc Easing curve (see help for all names)
+ *
+ * @arg loop
+ * @text Loop
+ * @type number
+ * @min -1
+ * @default 0
+ * @desc Times to repeat after the first play (-1 = forever)
+ *
+ * @arg yoyo
+ * @text Yoyo
+ * @type boolean
+ * @default false
+ * @desc Play every other repeat backwards
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
+ * @command EventLightSequence
+ * @text Event Light Sequence
+ * @desc Runs event light transitions one after another
+ *
+ * @arg eventId
+ * @text Event ID
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @arg steps
+ * @text Steps
+ * @type struct<TransitionStep>[]
+ * @default []
+ * @desc Each step starts where the previous one ended
+ *
+ * @arg loop
+ * @text Loop
+ * @type boolean
+ * @default false
+ * @desc Start over after the last step (until the map changes)
+ *
+ * @arg wait
+ * @text Wait for Completion
+ * @type boolean
+ * @default false
+ * @desc Wait until the transition ends before the next event
+ * command (ignored for endless loops)
+ *
  * @command SetLightEffect
  * @text Set Light Effect
  * @desc Changes the effect type for an event's light
@@ -212,7 +668,7 @@
  *
  * @arg effectType
  * @text Effect Type
- * @type select
+ * @type combo
  * @option none
  * @option flicker
  * @option pulse
@@ -222,7 +678,16 @@
  * @option broken
  * @option neon
  * @option spark
+ * @option colorCycle
+ * @option rainbow
+ * @option breathe
+ * @option sweep
+ * @option rotate
+ * @option swing
+ * @option jitter
  * @default none
+ * @desc Built-in or registered effect name. colorCycle takes its
+ * colors from Effect List, e.g. colorCycle:2,0,#ff0000,#0000ff
  *
  * @arg param1
  * @text Parameter 1
@@ -237,6 +702,51 @@
  * @decimals 2
  * @default 5
  * @desc Effect-specific parameter (speed)
+ *
+ * @arg effects
+ * @text Effect List
+ * @type text
+ * @default
+ * @desc Stacked effects, e.g. fire:0.4 + swing:6,0.5. Replaces
+ * Effect Type and its parameters when set.
+ */
+
+/*~struct~TransitionStep:
+ * @param Property
+ * @text Property
+ * @type select
+ * @option intensity
+ * @option color
+ * @option radius
+ * @default intensity
+ *
+ * @param Target
+ * @text Target
+ * @type text
+ * @default 1.0
+ * @desc Target value (hex color for color)
+ *
+ * @param Duration
+ * @text Duration (frames)
+ * @type number
+ * @min 1
+ * @default 30
+ *
+ * @param Easing
+ * @text Easing
+ * @type combo
+ * @option linear
+ * @option easeInOut
+ * @option easeIn
+ * @option easeOut
+ * @option sineInOut
+ * @option cubicInOut
+ * @option expoInOut
+ * @option backOut
+ * @option elasticOut
+ * @option bounceOut
+ * @option steps(4)
+ * @default easeInOut
  */
 
 (function() {
@@ -281,7 +791,11 @@
     // Load effects modules
     const modules = [
         'LightEffects.js',
-        'TransitionManager.js'
+        'CurveEffects.js',
+        'EffectClock.js',
+        'Easing.js',
+        'TransitionManager.js',
+        'WeatherLighting.js'
     ];
 
     console.log('[DynamicLighting_Effects] Loading modules...');
@@ -297,38 +811,273 @@
     console.log('[DynamicLighting_Effects] All modules loaded successfully');
 
     // Get references
-    const LightEffects = DL.Effects.LightEffects;
+    const Utils = DL.Utils;
     const transitionManager = DL.Effects.transitionManager;
     const parseEffectParams = DL.Effects.parseEffectParams;
+    const parseModifiers = DL.Effects.parseModifiers;
+    const applyEffect = DL.Effects.applyEffect;
+
+    // Parse plugin parameters
+    const parameters = PluginManager.parameters(pluginName);
+
+    /**
+     * Load and register curve effects from a JSON file in data/
+     * @param {string} fileName - File name ('' = none)
+     */
+    function loadEffectFile(fileName) {
+        if (!fileName) return;
+        const path = 'data/' + fileName;
+        try {
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', path, false);
+            xhr.send();
+            if (xhr.status === 200 || (xhr.status === 0 && xhr.responseText)) {
+                const count = DL.Effects.registerCurveEffects(JSON.parse(xhr.responseText));
+                Debug.log('Loaded', count, 'effects from', path);
+            } else {
+                console.error('[DynamicLighting_Effects] Failed to load effect file:', path);
+            }
+        } catch (e) {
+            console.error('[DynamicLighting_Effects] Invalid effect file:', path, e);
+        }
+    }
+
+    loadEffectFile(String(parameters['EffectFile'] || ''));
+
+    const effectClock = new DL.Effects.EffectClock(parameters['ScaleEffectsWithTime'] === 'true');
+    DL.Effects.effectClock = effectClock;
+
+    // Zero is a meaningful value for most weather parameters
+    function numberParam(name, fallback) {
+        const value = parameters[name];
+        return value !== undefined && value !== '' ? Number(value) : fallback;
+    }
+
+    const WEATHER_CONFIG = {
+        enabled: parameters['WeatherLighting'] !== 'false',
+        fadeFrames: numberParam('WeatherFadeFrames', 60),
+        rainSunScale: numberParam('RainSunScale', 0.6),
+        rainDesaturation: numberParam('RainDesaturation', 0.4),
+        stormSunScale: numberParam('StormSunScale', 0.3),
+        stormDesaturation: numberParam('StormDesaturation', 0.6),
+        lightningFrequency: numberParam('LightningFrequency', 6),
+        lightningIntensity: numberParam('LightningIntensity', 1.5),
+        lightningColor: String(parameters['LightningColor'] || '#e6ecff'),
+        lightningDuration: numberParam('LightningDuration', 20),
+        snowSunScale: numberParam('SnowSunScale', 0.8),
+        snowBrightness: numberParam('SnowBrightness', 0.3)
+    };
+
+    const weatherLighting = new DL.Effects.WeatherLighting(WEATHER_CONFIG);
+    DL.Effects.weatherLighting = weatherLighting;
+
+    //==========================================================================
+    // Transition Binding
+    //==========================================================================
+
+    /**
+     * Resolve the object a transition key points to.
+     * Keys are plain data so transitions can be saved and rebuilt on load:
+     *   { type: 'ambient' }
+     *   { type: 'ambientZone', regionId }
+     *   { type: 'weather' }
+     *   { type: 'event', mapId, eventId }
+     * @param {object} key - Transition key
+     * @returns {object|null} Game_Map or Game_Event, or null if unavailable
+     */
+    function resolveTransitionTarget(key) {
+        if (!key || !$gameMap) return null;
+        switch (key.type) {
+            case 'ambient':
+            case 'ambientZone':
+                return $gameMap;
+            case 'weather':
+                return $gameScreen;
+            case 'event': {
+                if ($gameMap.mapId() !== key.mapId) return null;
+                const event = $gameMap.event(key.eventId);
+                return event && event._lightData ? event : null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Build the callbacks for a keyed transition
+     * @param {object} key - Transition key
+     * @param {string} property - Animated property
+     * @param {*} endValue - Target value
+     * @returns {object} {onUpdate, onComplete, getValue}
+     */
+    function bindTransition(key, property, endValue) {
+        const onUpdate = (value) => {
+            const target = resolveTransitionTarget(key);
+            if (!target) return;
+            
+            // Back and elastic easings overshoot
+            if (typeof value === 'number') {
+                value = Math.max(property === 'radius' ? 1 : 0, value);
+            }
+            
+            if (key.type === 'ambient') {
+                if (property === 'ambientColor') {
+                    target._ambientColor = rgbToHex(value);
+                } else if (property === 'ambientIntensity') {
+                    target._ambientIntensity = value;
+                }
+                return;
+            }
+            
+            if (key.type === 'ambientZone') {
+                target._ambientZoneWeights[key.regionId] = value;
+                return;
+            }
+            
+            if (key.type === 'weather') {
+                target.weatherLighting()[property] = value;
+                return;
+            }
+            
+            const lightData = target._lightData;
+            if (property === 'intensity') {
+                lightData.intensity = value;
+                lightData.baseIntensity = value;
+            } else if (property === 'color') {
+                lightData.color = rgbToHex(value);
+                lightData.colorRgb = value;
+            } else if (property === 'radius') {
+                lightData.radius = value;
+            }
+            target.storeLightOverride();
+        };
+        
+        // A light faded out is turned off, unless a sequence continues
+        const onComplete = (value, transition) => {
+            if (property !== 'intensity' || value > 0) return;
+            const sequence = transition && transition.sequence;
+            if (sequence && (sequence.loop || sequence.index < sequence.steps.length - 1)) return;
+            const target = resolveTransitionTarget(key);
+            if (target && target._lightData) {
+                target._lightData.enabled = false;
+                target.storeLightOverride();
+            }
+        };
+        
+        // Current value, for transitions that start where the light is
+        const getValue = () => {
+            const target = resolveTransitionTarget(key);
+            if (!target) return undefined;
+            switch (key.type) {
+                case 'ambient':
+                    return property === 'ambientColor' ?
+                        DL.hexToRgb(target._ambientColor) : target._ambientIntensity;
+                case 'ambientZone':
+                    return target._ambientZoneWeights[key.regionId] || 0;
+                case 'weather':
+                    return target.weatherLighting()[property];
+                default:
+                    return property === 'color' ?
+                        DL.hexToRgb(target._lightData.color) : target._lightData[property];
+            }
+        };
+        
+        return { onUpdate, onComplete, getValue };
+    }
+
+    transitionManager.setBinder(bindTransition);
+
+    /**
+     * Start a keyed transition
+     * @param {object} key - Transition key
+     * @param {string} property - Animated property
+     * @param {*} startValue - Start value
+     * @param {*} endValue - Target value
+     * @param {number} duration - Duration in frames
+     * @param {object} [options] - {easing, loop, yoyo, persistent}
+     * @returns {number} Transition id
+     */
+    function addLightTransition(key, property, startValue, endValue, duration, options) {
+        return transitionManager.add(Object.assign({ easing: 'easeInOut' }, options, {
+            key: key,
+            property: property,
+            startValue: startValue,
+            endValue: endValue,
+            duration: duration
+        }));
+    }
+
+    /**
+     * Read the easing, loop, yoyo and persistent command arguments
+     * @param {object} args - Plugin command arguments
+     * @returns {object} Transition options
+     */
+    function transitionOptions(args) {
+        return {
+            easing: String(args.easing || 'easeInOut'),
+            loop: Number(args.loop || 0),
+            yoyo: args.yoyo === 'true',
+            persistent: args.persistent === 'true'
+        };
+    }
+
+    /**
+     * Make an interpreter wait for transitions when the wait argument is on
+     * @param {Game_Interpreter} interpreter - Running interpreter
+     * @param {object} args - Plugin command arguments
+     * @param {Array} ids - Transition ids
+     */
+    function waitForTransitions(interpreter, args, ids) {
+        if (args.wait !== 'true' || Number(args.loop) < 0 || args.loop === 'true') return;
+        interpreter._lightTransitionIds = ids.filter(id => id > 0);
+        interpreter.setWaitMode('lightTransition');
+    }
+
+    /**
+     * Transition key for an event light
+     * @param {Game_Event} event - Event
+     * @returns {object} Transition key
+     */
+    function eventTransitionKey(event) {
+        return { type: 'event', mapId: event._mapId, eventId: event.eventId() };
+    }
 
     //==========================================================================
     // Extended Game_Event - Effect Support
     //==========================================================================
 
+    /**
+     * Cut the effect list off a light tag: everything from the first
+     * parameter that names an effect
+     * @param {string} paramsStr - Light tag parameters
+     * @returns {string} Effect list ('' if none)
+     */
+    function effectListFromTag(paramsStr) {
+        const parts = paramsStr.split(',');
+        for (let i = 0; i < parts.length; i++) {
+            const name = parts[i].trim().split(/[:\s+]/)[0];
+            if (DL.Effects.effectTypeName(name)) {
+                return parts.slice(i).join(',');
+            }
+        }
+        return '';
+    }
+
     const _Game_Event_setupEventLight = Game_Event.prototype.setupEventLight;
     Game_Event.prototype.setupEventLight = function() {
         _Game_Event_setupEventLight.call(this);
         
         if (!this._lightData) return;
         
-        const event = this.event();
-        if (!event) return;
-        
-        const note = event.note || '';
+        const note = this.lightTagSource();
         
-        // Parse effect from note tag
-        // Format: <light:radius,intensity,color,effect:param1,param2>
-        const effectMatch = note.match(/<light[^>]*,(flicker|pulse|strobe|fire|fluorescent|broken|neon|spark)(?::([^,>]+))?(?:,([^>]+))?/i);
+        // Parse effects from note tag or page comment
+        // Format: <light:radius,intensity,color,effect:param1,param2 + effect:...>
+        const tagMatch = note.match(/<(?:light|spotlight|areaLight|lineLight)[:\s]([^>]*)>/i);
+        const modifiers = tagMatch ? parseModifiers(effectListFromTag(tagMatch[1])) : [];
         
-        if (effectMatch) {
-            const effectType = effectMatch[1].toLowerCase();
-            const param1 = effectMatch[2] ? parseFloat(effectMatch[2]) : undefined;
-            const param2 = effectMatch[3] ? parseFloat(effectMatch[3]) : undefined;
-            
-            this._lightData.effect = {
-                type: effectType,
-                params: parseEffectParams(effectType, param1, param2)
-            };
+        if (modifiers.length > 0) {
+            this._lightData.effect = modifiers;
             
             // Store base intensity for effect calculations
             this._lightData.baseIntensity = this._lightData.intensity;
@@ -337,92 +1086,189 @@
         }
     };
 
+    /**
+     * Set a single light effect (effectType 'none' removes effects)
+     * @param {string} effectType - Effect or modifier name
+     * @param {object} [params] - Effect params (defaults if omitted)
+     */
     Game_Event.prototype.setLightEffect = function(effectType, params) {
+        if (effectType === 'none' || !effectType) {
+            this.setLightEffects([]);
+        } else {
+            this.setLightEffects([{ type: effectType, params: params || parseEffectParams(effectType) }]);
+        }
+    };
+
+    /**
+     * Set a stack of light effects
+     * @param {Array|string} modifiers - [{type, params}] or "fire:0.4 + swing:6"
+     */
+    Game_Event.prototype.setLightEffects = function(modifiers) {
         if (!this._lightData) return;
         
-        if (effectType === 'none' || !effectType) {
+        const list = typeof modifiers === 'string' ? parseModifiers(modifiers) : (modifiers || []);
+        if (list.length === 0) {
             this._lightData.effect = null;
             this._lightData.intensity = this._lightData.baseIntensity || this._lightData.intensity;
         } else {
-            this._lightData.effect = {
-                type: effectType,
-                params: params || parseEffectParams(effectType)
-            };
+            this._lightData.effect = list;
             this._lightData.baseIntensity = this._lightData.baseIntensity || this._lightData.intensity;
         }
+        this.storeLightOverride();
     };
 
+    /**
+     * Intensity of the event light with its effects applied
+     * @param {number} [time] - Effect time in seconds (default: the effect clock)
+     * @returns {number} Intensity
+     */
     Game_Event.prototype.getEffectiveIntensity = function(time) {
         if (!this._lightData) return 0;
         
-        const baseIntensity = this._lightData.baseIntensity || this._lightData.intensity;
-        
         if (!this._lightData.effect) {
             return this._lightData.intensity;
         }
         
-        const effectFunc = LightEffects[this._lightData.effect.type];
-        if (effectFunc) {
-            return effectFunc(baseIntensity, time, this._lightData.effect.params);
-        }
-        
-        return this._lightData.intensity;
+        const seed = DL.Effects.lightSeed(this._mapId + ':event:' + this.eventId());
+        const effectTime = time !== undefined ? time : effectClock.time;
+        return applyEffect(this._lightData.effect, this._lightData, effectTime, seed).intensity;
     };
 
     //==========================================================================
     // Extended Game_Map - Ambient Transitions
     //==========================================================================
 
-    Game_Map.prototype.fadeAmbientLight = function(targetColor, targetIntensity, duration) {
-        const startColor = DL.hexToRgb(this._ambientColor);
-        const endColor = DL.hexToRgb(targetColor);
-        const startIntensity = this._ambientIntensity;
-        
-        // Color transition
-        transitionManager.add({
-            target: this,
-            property: 'ambientColor',
-            startValue: startColor,
-            endValue: endColor,
-            duration: duration,
-            easing: 'easeInOut',
-            onUpdate: (value) => {
-                const r = Math.round(value.r * 255).toString(16).padStart(2, '0');
-                const g = Math.round(value.g * 255).toString(16).padStart(2, '0');
-                const b = Math.round(value.b * 255).toString(16).padStart(2, '0');
-                this._ambientColor = `#${r}${g}${b}`;
-            }
-        });
-        
-        // Intensity transition
-        transitionManager.add({
-            target: this,
-            property: 'ambientIntensity',
-            startValue: startIntensity,
-            endValue: targetIntensity,
-            duration: duration,
-            easing: 'easeInOut',
-            onUpdate: (value) => {
-                this._ambientIntensity = value;
+    /**
+     * Fade the map ambient light
+     * @param {string} targetColor - Hex color
+     * @param {number} targetIntensity - Intensity
+     * @param {number} duration - Frames
+     * @param {object} [options] - {easing, loop, yoyo, persistent}
+     * @returns {Array} Transition ids
+     */
+    Game_Map.prototype.fadeAmbientLight = function(targetColor, targetIntensity, duration, options) {
+        const key = { type: 'ambient' };
+        transitionManager.cancel(key, 'ambientColor');
+        transitionManager.cancel(key, 'ambientIntensity');
+        return [
+            addLightTransition(key, 'ambientColor', DL.hexToRgb(this._ambientColor), DL.hexToRgb(targetColor), duration, options),
+            addLightTransition(key, 'ambientIntensity', this._ambientIntensity, targetIntensity, duration, options)
+        ];
+    };
+
+    // Zone weights fade from wherever they are, so leaving a zone mid-fade
+    // turns back smoothly
+    Game_Map.prototype.fadeAmbientZone = function(regionId, weight, duration) {
+        const key = { type: 'ambientZone', regionId: regionId };
+        transitionManager.cancel(key, 'weight');
+        if (duration > 0) {
+            addLightTransition(key, 'weight', this._ambientZoneWeights[regionId] || 0, weight, duration);
+        } else {
+            this._ambientZoneWeights[regionId] = weight;
+        }
+    };
+
+    //==========================================================================
+    // Weather Lighting
+    //==========================================================================
+
+    /**
+     * Get the weather lighting state (saved with the screen)
+     * @returns {object} {sunScale, saturation, brightness, flash}
+     */
+    Game_Screen.prototype.weatherLighting = function() {
+        if (!this._weatherLighting) {
+            this._weatherLighting = weatherLighting.clearState();
+        }
+        return this._weatherLighting;
+    };
+
+    /**
+     * Fade the weather lighting state toward targets
+     * @param {object} targets - Property -> target value
+     * @param {number} duration - Frames (0 = instantly)
+     */
+    Game_Screen.prototype.fadeWeatherLighting = function(targets, duration) {
+        const key = { type: 'weather' };
+        const state = this.weatherLighting();
+        for (const property in targets) {
+            transitionManager.cancel(key, property);
+            if (duration > 0) {
+                addLightTransition(key, property, state[property], targets[property], duration);
+            } else {
+                state[property] = targets[property];
             }
-        });
+        }
+    };
+
+    /**
+     * Start a lightning flash that fades out
+     */
+    Game_Screen.prototype.startLightning = function() {
+        this.fadeWeatherLighting({ flash: 1 }, 0);
+        this.fadeWeatherLighting({ flash: 0 }, WEATHER_CONFIG.lightningDuration);
+    };
+
+    /**
+     * Follow weather changes and roll for lightning
+     * @param {boolean} instant - Apply the current weather without fading
+     */
+    Game_Screen.prototype.updateWeatherLighting = function(instant) {
+        if (!WEATHER_CONFIG.enabled) return;
+
+        const type = this.weatherType();
+        const weatherKey = type + ':' + this._weatherPowerTarget;
+        if (instant || this._weatherLightingKey !== weatherKey) {
+            this._weatherLightingKey = weatherKey;
+            const duration = instant ? 0 : Math.max(this._weatherDuration, WEATHER_CONFIG.fadeFrames);
+            this.fadeWeatherLighting(weatherLighting.targets(type, this._weatherPowerTarget), duration);
+            if (instant) this.weatherLighting().flash = 0;
+        }
+
+        if (Math.random() < weatherLighting.lightningChance(type, this.weatherPower())) {
+            this.startLightning();
+        }
+    };
+
+    const _Game_Map_update_effects = Game_Map.prototype.update;
+    Game_Map.prototype.update = function(sceneActive) {
+        _Game_Map_update_effects.call(this, sceneActive);
+        effectClock.update();
+        $gameScreen.updateWeatherLighting(false);
+    };
+
+    const _Game_Map_effectiveAmbient = Game_Map.prototype.effectiveAmbient;
+    Game_Map.prototype.effectiveAmbient = function() {
+        const ambient = _Game_Map_effectiveAmbient.call(this);
+        if (!WEATHER_CONFIG.enabled) return ambient;
+        return weatherLighting.applyAmbient(ambient, $gameScreen.weatherLighting());
+    };
+
+    const _Game_Map_effectiveSun = Game_Map.prototype.effectiveSun;
+    Game_Map.prototype.effectiveSun = function() {
+        const sun = _Game_Map_effectiveSun.call(this);
+        if (!WEATHER_CONFIG.enabled || !sun) return sun;
+        return weatherLighting.applySun(sun, $gameScreen.weatherLighting());
     };
 
     //==========================================================================
     // Extended Game_Map - Player Light Effects
     //==========================================================================
 
+    /**
+     * Set the player light effect
+     * @param {string} effectType - Effect name, a + separated list, or 'none'
+     * @param {object} [params] - Params for a single effect (defaults if omitted)
+     */
     Game_Map.prototype.setPlayerLightEffect = function(effectType, params) {
         if (!this._playerLight) return;
         
-        if (effectType === 'none' || !effectType) {
+        const modifiers = params ? [{ type: effectType, params: params }] : parseModifiers(effectType);
+        if (modifiers.length === 0) {
             this._playerLight.effect = null;
             this._playerLight.intensity = this._playerLight.baseIntensity || this._playerLight.intensity;
         } else {
-            this._playerLight.effect = {
-                type: effectType,
-                params: params || {}
-            };
+            this._playerLight.effect = modifiers;
             this._playerLight.baseIntensity = this._playerLight.baseIntensity || this._playerLight.intensity;
         }
     };
@@ -431,81 +1277,39 @@
     // Extended Spriteset_Map - Effect Processing (via update hook)
     //==========================================================================
 
-    // Hook into Spriteset_Map.update to apply effects BEFORE lighting system updates
+    // Hook into Spriteset_Map.update to run transitions BEFORE lighting system updates
     const _Spriteset_Map_update_effects = Spriteset_Map.prototype.update;
     Spriteset_Map.prototype.update = function() {
         // Update transitions before base update
         transitionManager.update();
         
-        // Apply light effects to event lights before base lighting system runs
-        const time = performance.now() / 1000;
-        
-        // Apply effects to event lights
-        const events = $gameMap.events();
-        for (const event of events) {
-            if (event && event._lightData && event._lightData.effect) {
-                const baseIntensity = event._lightData.baseIntensity || event._lightData.intensity;
-                const effectFunc = LightEffects[event._lightData.effect.type];
-                if (effectFunc) {
-                    // Temporarily store effective intensity for LightManager to pick up
-                    event._lightData._effectiveIntensity = effectFunc(baseIntensity, time, event._lightData.effect.params);
-                }
-            }
-        }
-        
-        // Apply effects to player light
-        if ($gameMap._playerLight && $gameMap._playerLight.effect) {
-            const pl = $gameMap._playerLight;
-            const baseIntensity = pl.baseIntensity || pl.intensity;
-            const effectFunc = LightEffects[pl.effect.type];
-            if (effectFunc) {
-                pl._effectiveIntensity = effectFunc(baseIntensity, time, pl.effect.params);
-            }
-        }
-        
         // Call original update which will call updateLightingSystem
         _Spriteset_Map_update_effects.call(this);
     };
     
     //==========================================================================
-    // LightManager Extension - Use effective intensity
+    // LightManager Extension - Apply effects to collected lights
     //==========================================================================
     
-    // Extend LightManager.collectLights to use effective intensity
-    if (DL.LightManager && DL.LightManager.collectLights) {
-        const _LightManager_collectLights = DL.LightManager.collectLights;
-        DL.LightManager.collectLights = function(screenWidth, screenHeight) {
-            const lights = _LightManager_collectLights.call(this, screenWidth, screenHeight);
+    // Any light with an effect (events, player, followers, custom lights)
+    // renders its animated state; the light data keeps its base values
+    if (DL.LightManager) {
+        const _LightManager_adjustLight = DL.LightManager.adjustLight;
+        DL.LightManager.adjustLight = function(light) {
+            _LightManager_adjustLight.call(this, light);
+            if (!light.data.effect) return;
             
-            // Apply effective intensities from effects
-            const events = $gameMap.events();
-            for (let i = 0; i < lights.length; i++) {
-                const light = lights[i];
-                
-                // Find matching event and apply effect
-                for (const event of events) {
-                    if (event && event._lightData && 
-                        event._lightData._effectiveIntensity !== undefined &&
-                        Math.abs(event.screenX() - light.x) < 1 &&
-                        Math.abs((event.screenY() - 24) - light.y) < 1) {
-                        light.intensity = event._lightData._effectiveIntensity;
-                        break;
-                    }
-                }
+            const seed = DL.Effects.lightSeed($gameMap.mapId() + ':' + light.id);
+            const state = applyEffect(light.data.effect, light.data, effectClock.time, seed);
+            light.intensity = state.intensity;
+            light.radius = state.radius;
+            light.direction += state.directionOffset;
+            light.x += state.offsetX;
+            light.y += state.offsetY;
+            if (state.colorRgb !== light.colorRgb) {
+                light.colorRgb = state.colorRgb;
+                light.color = Utils.rgbToHex(state.colorRgb.r, state.colorRgb.g, state.colorRgb.b);
             }
-            
-            // Apply player light effect
-            if ($gameMap._playerLight && $gameMap._playerLight._effectiveIntensity !== undefined) {
-                for (const light of lights) {
-                    if (Math.abs($gamePlayer.screenX() - light.x) < 1 &&
-                        Math.abs(($gamePlayer.screenY() - 24) - light.y) < 1) {
-                        light.intensity = $gameMap._playerLight._effectiveIntensity;
-                        break;
-                    }
-                }
-            }
-            
-            return lights;
         };
     }
 
@@ -513,6 +1317,21 @@
     // Helper Functions
     //==========================================================================
 
+    /**
+     * Parse a plugin list argument (stored as a JSON string)
+     * @param {string} text - Argument value
+     * @returns {Array} Parsed list, or an empty array
+     */
+    function parseList(text) {
+        try {
+            const list = JSON.parse(text || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            console.warn('[DynamicLighting_Effects] Invalid list argument:', text);
+            return [];
+        }
+    }
+
     function rgbToHex(rgb) {
         const r = Math.round(rgb.r * 255).toString(16).padStart(2, '0');
         const g = Math.round(rgb.g * 255).toString(16).padStart(2, '0');
@@ -524,200 +1343,200 @@
     // Plugin Commands
     //==========================================================================
 
-    PluginManager.registerCommand(pluginName, 'FadeAmbientLight', args => {
-        $gameMap.fadeAmbientLight(
+    // Commands are regular functions so `this` is the running interpreter
+
+    PluginManager.registerCommand(pluginName, 'FadeAmbientLight', function(args) {
+        const ids = $gameMap.fadeAmbientLight(
             String(args.targetColor),
             Number(args.targetIntensity),
-            Number(args.duration)
+            Number(args.duration),
+            transitionOptions(args)
         );
+        waitForTransitions(this, args, ids);
     });
 
-    PluginManager.registerCommand(pluginName, 'FadeEventLight', args => {
+    PluginManager.registerCommand(pluginName, 'FadeEventLight', function(args) {
         const event = $gameMap.event(Number(args.eventId));
         if (!event || !event._lightData) return;
         
-        const startIntensity = event._lightData.intensity;
-        const targetIntensity = Number(args.targetIntensity);
-        const duration = Number(args.duration);
-        
-        transitionManager.add({
-            target: event._lightData,
-            property: 'intensity',
-            startValue: startIntensity,
-            endValue: targetIntensity,
-            duration: duration,
-            easing: 'easeInOut',
-            onUpdate: (value) => {
-                event._lightData.intensity = value;
-                event._lightData.baseIntensity = value;
-            },
-            onComplete: () => {
-                if (targetIntensity <= 0) {
-                    event._lightData.enabled = false;
-                }
-            }
-        });
+        const id = addLightTransition(
+            eventTransitionKey(event),
+            'intensity',
+            event._lightData.intensity,
+            Number(args.targetIntensity),
+            Number(args.duration),
+            transitionOptions(args)
+        );
+        waitForTransitions(this, args, [id]);
     });
 
-    PluginManager.registerCommand(pluginName, 'FadeEventLightColor', args => {
+    PluginManager.registerCommand(pluginName, 'FadeEventLightColor', function(args) {
         const event = $gameMap.event(Number(args.eventId));
         if (!event || !event._lightData) return;
         
-        const startColor = DL.hexToRgb(event._lightData.color);
-        const endColor = DL.hexToRgb(String(args.targetColor));
-        const duration = Number(args.duration);
-        
-        transitionManager.add({
-            target: event._lightData,
-            property: 'color',
-            startValue: startColor,
-            endValue: endColor,
-            duration: duration,
-            easing: 'easeInOut',
-            onUpdate: (value) => {
-                event._lightData.color = rgbToHex(value);
-                event._lightData.colorRgb = value;
-            }
-        });
+        const id = addLightTransition(
+            eventTransitionKey(event),
+            'color',
+            DL.hexToRgb(event._lightData.color),
+            DL.hexToRgb(String(args.targetColor)),
+            Number(args.duration),
+            transitionOptions(args)
+        );
+        waitForTransitions(this, args, [id]);
     });
 
-    PluginManager.registerCommand(pluginName, 'FadeEventLightRadius', args => {
+    PluginManager.registerCommand(pluginName, 'FadeEventLightRadius', function(args) {
         const event = $gameMap.event(Number(args.eventId));
         if (!event || !event._lightData) return;
         
-        const startRadius = event._lightData.radius;
-        const targetRadius = Number(args.targetRadius);
-        const duration = Number(args.duration);
-        
-        transitionManager.add({
-            target: event._lightData,
-            property: 'radius',
-            startValue: startRadius,
-            endValue: targetRadius,
-            duration: duration,
-            easing: 'easeInOut',
-            onUpdate: (value) => {
-                event._lightData.radius = value;
-            }
-        });
+        const id = addLightTransition(
+            eventTransitionKey(event),
+            'radius',
+            event._lightData.radius,
+            Number(args.targetRadius),
+            Number(args.duration),
+            transitionOptions(args)
+        );
+        waitForTransitions(this, args, [id]);
     });
 
-    PluginManager.registerCommand(pluginName, 'TransitionEventLight', args => {
+    PluginManager.registerCommand(pluginName, 'TransitionEventLight', function(args) {
         const event = $gameMap.event(Number(args.eventId));
         if (!event || !event._lightData) return;
         
+        const key = eventTransitionKey(event);
         const duration = Number(args.duration);
+        const options = transitionOptions(args);
         const targetRadius = Number(args.targetRadius);
         const targetIntensity = Number(args.targetIntensity);
         const targetColor = String(args.targetColor);
+        const ids = [];
         
         // Transition radius if specified (> 0)
         if (targetRadius > 0) {
-            transitionManager.add({
-                target: event._lightData,
-                property: 'radius',
-                startValue: event._lightData.radius,
-                endValue: targetRadius,
-                duration: duration,
-                easing: 'easeInOut',
-                onUpdate: (value) => {
-                    event._lightData.radius = value;
-                }
-            });
+            ids.push(addLightTransition(key, 'radius', event._lightData.radius, targetRadius, duration, options));
         }
         
         // Transition intensity if specified (>= 0)
         if (targetIntensity >= 0) {
-            transitionManager.add({
-                target: event._lightData,
-                property: 'intensity',
-                startValue: event._lightData.intensity,
-                endValue: targetIntensity,
-                duration: duration,
-                easing: 'easeInOut',
-                onUpdate: (value) => {
-                    event._lightData.intensity = value;
-                    event._lightData.baseIntensity = value;
-                },
-                onComplete: () => {
-                    if (targetIntensity <= 0) {
-                        event._lightData.enabled = false;
-                    }
-                }
-            });
+            ids.push(addLightTransition(key, 'intensity', event._lightData.intensity, targetIntensity, duration, options));
         }
         
         // Transition color if specified (not empty)
         if (targetColor && targetColor.length > 0) {
-            const startColor = DL.hexToRgb(event._lightData.color);
-            const endColor = DL.hexToRgb(targetColor);
-            
-            transitionManager.add({
-                target: event._lightData,
-                property: 'color',
-                startValue: startColor,
-                endValue: endColor,
-                duration: duration,
-                easing: 'easeInOut',
-                onUpdate: (value) => {
-                    event._lightData.color = rgbToHex(value);
-                    event._lightData.colorRgb = value;
-                }
-            });
+            ids.push(addLightTransition(
+                key,
+                'color',
+                DL.hexToRgb(event._lightData.color),
+                DL.hexToRgb(targetColor),
+                duration,
+                options
+            ));
         }
+        waitForTransitions(this, args, ids);
+    });
+
+    PluginManager.registerCommand(pluginName, 'EventLightSequence', function(args) {
+        const event = $gameMap.event(Number(args.eventId));
+        if (!event || !event._lightData) return;
+        
+        const key = eventTransitionKey(event);
+        const steps = parseList(args.steps).map(entry => {
+            const step = typeof entry === 'string' ? JSON.parse(entry) : entry;
+            const property = String(step.Property || 'intensity');
+            return {
+                key: key,
+                property: property,
+                endValue: property === 'color' ? DL.hexToRgb(String(step.Target)) : Number(step.Target),
+                duration: Number(step.Duration || 30),
+                easing: String(step.Easing || 'easeInOut')
+            };
+        });
+        const id = transitionManager.sequence(steps, { loop: args.loop === 'true' });
+        waitForTransitions(this, args, [id]);
     });
 
     PluginManager.registerCommand(pluginName, 'SetLightEffect', args => {
         const event = $gameMap.event(Number(args.eventId));
         if (!event) return;
         
-        const effectType = String(args.effectType);
-        const params = {};
-        
-        switch (effectType) {
-            case 'flicker':
-                params.intensity = Number(args.param1);
-                params.speed = Number(args.param2);
-                break;
-            case 'pulse':
-                params.amplitude = Number(args.param1);
-                params.speed = Number(args.param2);
-                break;
-            case 'strobe':
-                params.frequency = Number(args.param1);
-                break;
-            case 'fire':
-                params.variation = Number(args.param1);
-                break;
-            case 'fluorescent':
-                params.chance = Number(args.param1);
-                params.maxOff = Number(args.param2);
-                break;
-            case 'broken':
-                params.onChance = Number(args.param1);
-                params.sparkDuration = Number(args.param2);
-                break;
-            case 'neon':
-                params.flickerSpeed = Number(args.param1);
-                params.failChance = Number(args.param2);
-                break;
-            case 'spark':
-                params.flashChance = Number(args.param1);
-                params.baseLevel = Number(args.param2);
-                break;
+        if (args.effects) {
+            event.setLightEffects(String(args.effects));
+            return;
         }
         
-        event.setLightEffect(effectType, params);
+        const effectType = DL.Effects.effectTypeName(String(args.effectType));
+        if (!effectType) {
+            if (String(args.effectType) !== 'none') {
+                console.warn('[DynamicLighting_Effects] Unknown light effect:', args.effectType);
+            }
+            event.setLightEffect('none');
+            return;
+        }
+        if (effectType === 'colorCycle') {
+            console.warn('[DynamicLighting_Effects] colorCycle needs colors; set them in Effect List');
+            return;
+        }
+        event.setLightEffect(effectType, parseEffectParams(effectType, Number(args.param1), Number(args.param2)));
     });
 
     //==========================================================================
-    // Scene_Map Hooks - Clear transitions on map change
+    // Game_Map Hooks - Clear transitions on map change
     //==========================================================================
 
-    const _Scene_Map_terminate = Scene_Map.prototype.terminate;
-    Scene_Map.prototype.terminate = function() {
+    // Transitions are cleared when a new map is set up rather than when
+    // Scene_Map terminates, so they survive opening the menu and saving.
+    // Persistent transitions also survive the transfer.
+    const _Game_Map_setup_effects = Game_Map.prototype.setup;
+    Game_Map.prototype.setup = function(mapId) {
         transitionManager.clear();
-        _Scene_Map_terminate.call(this);
+        _Game_Map_setup_effects.call(this, mapId);
+        // Weather carries over between maps, so finish its fade instantly
+        $gameScreen.updateWeatherLighting(true);
+    };
+
+    //==========================================================================
+    // Game_Interpreter Hooks - Wait for transitions
+    //==========================================================================
+
+    const _Game_Interpreter_updateWaitMode_effects = Game_Interpreter.prototype.updateWaitMode;
+    Game_Interpreter.prototype.updateWaitMode = function() {
+        if (this._waitMode !== 'lightTransition') {
+            return _Game_Interpreter_updateWaitMode_effects.call(this);
+        }
+        const ids = this._lightTransitionIds || [];
+        if (ids.some(id => transitionManager.isRunning(id))) {
+            return true;
+        }
+        this._lightTransitionIds = null;
+        this._waitMode = '';
+        return false;
+    };
+
+    //==========================================================================
+    // DataManager Hooks - Save/Load in-flight transitions
+    //==========================================================================
+
+    const _DataManager_createGameObjects_effects = DataManager.createGameObjects;
+    DataManager.createGameObjects = function() {
+        _DataManager_createGameObjects_effects.call(this);
+        transitionManager.clearAll();
+        effectClock.reset();
+    };
+
+    const _DataManager_makeSaveContents_effects = DataManager.makeSaveContents;
+    DataManager.makeSaveContents = function() {
+        const contents = _DataManager_makeSaveContents_effects.call(this);
+        contents.lightTransitions = transitionManager.makeSaveContents();
+        contents.lightEffectTime = effectClock.makeSaveContents();
+        return contents;
+    };
+
+    const _DataManager_extractSaveContents_effects = DataManager.extractSaveContents;
+    DataManager.extractSaveContents = function(contents) {
+        _DataManager_extractSaveContents_effects.call(this, contents);
+        transitionManager.extractSaveContents(contents.lightTransitions, bindTransition);
+        effectClock.extractSaveContents(contents.lightEffectTime);
     };
 
     //==========================================================================
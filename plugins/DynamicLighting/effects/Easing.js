@@ -0,0 +1,102 @@
+/**
+ * DynamicLighting - Easing Module
+ * Easing curves for transitions
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL) {
+        console.error('[Easing] DynamicLighting not found!');
+        return;
+    }
+
+    // Initialize effects namespace
+    DL.Effects = DL.Effects || {};
+
+    //==========================================================================
+    // Easing Curves
+    //==========================================================================
+
+    const BACK = 1.70158;
+    const ELASTIC_PERIOD = (2 * Math.PI) / 3;
+
+    function bounceOut(t) {
+        if (t < 1 / 2.75) return 7.5625 * t * t;
+        if (t < 2 / 2.75) return 7.5625 * (t -= 1.5 / 2.75) * t + 0.75;
+        if (t < 2.5 / 2.75) return 7.5625 * (t -= 2.25 / 2.75) * t + 0.9375;
+        return 7.5625 * (t -= 2.625 / 2.75) * t + 0.984375;
+    }
+
+    // In-curves; Out and InOut variants are derived from them
+    const IN_CURVES = {
+        sine: t => 1 - Math.cos((t * Math.PI) / 2),
+        quad: t => t * t,
+        cubic: t => t * t * t,
+        expo: t => t === 0 ? 0 : Math.pow(2, 10 * t - 10),
+        back: t => (BACK + 1) * t * t * t - BACK * t * t,
+        elastic: t => t === 0 || t === 1 ? t :
+            -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_PERIOD),
+        bounce: t => 1 - bounceOut(1 - t)
+    };
+
+    /**
+     * Easing functions by name: progress (0-1) -> eased progress.
+     * Back and elastic overshoot past 0 and 1.
+     */
+    const EASINGS = {
+        linear: t => t,
+        // Original names (quadratic)
+        easeIn: IN_CURVES.quad,
+        easeOut: t => t * (2 - t),
+        easeInOut: t => t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t
+    };
+
+    for (const name in IN_CURVES) {
+        const easeIn = IN_CURVES[name];
+        EASINGS[name + 'In'] = easeIn;
+        EASINGS[name + 'Out'] = t => 1 - easeIn(1 - t);
+        EASINGS[name + 'InOut'] = t => t < 0.5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2;
+    }
+
+    /**
+     * Get an easing function. 'steps(n)' jumps in n equal steps.
+     * @param {string} name - Easing name
+     * @returns {Function} Easing function (linear if unknown)
+     */
+    function getEasing(name) {
+        if (EASINGS.hasOwnProperty(name)) {
+            return EASINGS[name];
+        }
+        const stepsMatch = String(name || '').match(/^steps\s*\(\s*(\d+)\s*\)$/i);
+        if (stepsMatch) {
+            const steps = Math.max(1, Number(stepsMatch[1]));
+            return t => t >= 1 ? 1 : Math.floor(t * steps) / steps;
+        }
+        return EASINGS.linear;
+    }
+
+    /**
+     * Apply an easing to a progress value
+     * @param {number} t - Progress (0-1)
+     * @param {string} name - Easing name
+     * @returns {number} Eased progress
+     */
+    function applyEasing(t, name) {
+        return getEasing(name)(t);
+    }
+
+    //==========================================================================
+    // Export
+    //==========================================================================
+
+    DL.Effects.Easing = {
+        EASINGS: EASINGS,
+        get: getEasing,
+        apply: applyEasing
+    };
+
+    console.log('[DynamicLighting] Easing module loaded');
+
+})();
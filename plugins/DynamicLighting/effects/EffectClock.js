@@ -0,0 +1,98 @@
+/**
+ * DynamicLighting - Effect Clock Module
+ * Frame-based time for light effects
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL) {
+        console.error('[EffectClock] DynamicLighting not found!');
+        return;
+    }
+
+    // Initialize effects namespace
+    DL.Effects = DL.Effects || {};
+
+    // RPG Maker runs game logic at 60 frames per second
+    const FRAMES_PER_SECOND = 60;
+
+    //==========================================================================
+    // Effect Clock Class
+    //==========================================================================
+
+    /**
+     * Effect Clock
+     * Advances only when the map updates, so effects freeze in menus and
+     * while the game is not running, and the same frames always give the
+     * same effect time. With scaleWithGameTime, effects follow the time
+     * system: faster at higher time speeds, frozen while time is paused.
+     */
+    class EffectClock {
+        /**
+         * @param {boolean} scaleWithGameTime - Scale by the $gameTime speed
+         */
+        constructor(scaleWithGameTime) {
+            this._scaleWithGameTime = scaleWithGameTime;
+            this._seconds = 0;
+        }
+
+        /**
+         * Speed factor for this frame
+         * @returns {number} 1 = real time
+         */
+        scale() {
+            if (!this._scaleWithGameTime || !window.$gameTime || !DL.TimeConfig) return 1;
+            const baseSpeed = DL.TimeConfig.speed;
+            return baseSpeed > 0 ? $gameTime.currentSpeed() / baseSpeed : 1;
+        }
+
+        /**
+         * Advance by one frame
+         */
+        update() {
+            this._seconds += this.scale() / FRAMES_PER_SECOND;
+        }
+
+        /**
+         * Restart from zero
+         */
+        reset() {
+            this._seconds = 0;
+        }
+
+        /**
+         * Create save data
+         * @returns {number} Elapsed seconds
+         */
+        makeSaveContents() {
+            return this._seconds;
+        }
+
+        /**
+         * Restore save data
+         * @param {number} contents - Elapsed seconds
+         */
+        extractSaveContents(contents) {
+            this._seconds = Number(contents) || 0;
+        }
+
+        /**
+         * Get the effect time
+         * @returns {number} Elapsed effect seconds
+         */
+        get time() {
+            return this._seconds;
+        }
+    }
+
+    //==========================================================================
+    // Export
+    //==========================================================================
+
+    DL.Effects.EffectClock = EffectClock;
+
+    console.log('[DynamicLighting] EffectClock module loaded');
+
+})();
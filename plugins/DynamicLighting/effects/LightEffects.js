@@ -1,6 +1,8 @@
 /**
  * DynamicLighting - Light Effects Module
- * Effect types: flicker, pulse, strobe, fire, fluorescent, broken, neon, spark
+ * Effect registry with the built-in effects:
+ * Intensity effects: flicker, pulse, strobe, fire, fluorescent, broken, neon, spark
+ * Property modifiers: colorCycle, rainbow, breathe, sweep, rotate, swing, jitter
  */
 
 (function() {
@@ -15,6 +17,8 @@
     // Initialize effects namespace
     DL.Effects = DL.Effects || {};
 
+    const Utils = DL.Utils;
+
     //==========================================================================
     // Utility Functions
     //==========================================================================
@@ -25,6 +29,37 @@
         return x - Math.floor(x);
     }
 
+    /**
+     * Derive a light's random seed from its stable id, so each light has
+     * its own pattern and the same light always repeats it
+     * @param {string} id - Light id
+     * @returns {number} Seed offset
+     */
+    function lightSeed(id) {
+        let hash = 0;
+        const text = String(id || '');
+        for (let i = 0; i < text.length; i++) {
+            hash = (hash * 31 + text.charCodeAt(i)) % 10007;
+        }
+        return hash * 101;
+    }
+
+    // Seed offset of the light an effect runs on (0 when called directly)
+    function stateSeed(state) {
+        return state && state.seed ? state.seed : 0;
+    }
+
+    // Fully saturated hue (0-1) blended toward white by 1 - saturation
+    function hueToRgb(hue, saturation) {
+        const h = (hue - Math.floor(hue)) * 6;
+        const channel = n => {
+            const k = (n + h) % 6;
+            return 1 - Math.max(0, Math.min(k, 4 - k, 1));
+        };
+        const rgb = { r: channel(5), g: channel(3), b: channel(1) };
+        return Utils.lerpColor({ r: 1, g: 1, b: 1 }, rgb, saturation);
+    }
+
     //==========================================================================
     // Light Effect Types
     //==========================================================================
@@ -42,8 +77,10 @@
          * @param {number} baseIntensity - Base light intensity
          * @param {number} time - Current time in seconds
          * @param {object} params - {intensity: 0.3, speed: 10}
+         * @param {object} [state] - Effect state (seed)
          */
-        flicker: function(baseIntensity, time, params) {
+        flicker: function(baseIntensity, time, params, state) {
+            const seed = stateSeed(state);
             const intensity = params.intensity || 0.3;
             const speed = params.speed || 10;
             
@@ -53,7 +90,8 @@
             const noise3 = Math.sin(time * speed * 23.1) * 0.2;
             
             // Random component that changes occasionally
-            const randomPhase = Math.sin(time * speed * 0.5) > 0.8 ? Math.random() * 0.3 : 0;
+            const randomPhase = Math.sin(time * speed * 0.5) > 0.8 ?
+                seededRandom(seed + Math.floor(time * speed * 4)) * 0.3 : 0;
             
             const flicker = (noise1 + noise2 + noise3 + randomPhase) * intensity;
             
@@ -122,27 +160,29 @@
          * @param {number} baseIntensity - Base light intensity
          * @param {number} time - Current time in seconds
          * @param {object} params - {chance: 0.15, minOff: 0.05, maxOff: 0.3}
+         * @param {object} [state] - Effect state (seed)
          */
-        fluorescent: function(baseIntensity, time, params) {
+        fluorescent: function(baseIntensity, time, params, state) {
+            const seed = stateSeed(state);
             const chance = params.chance || 0.15;
             const minOff = params.minOff || 0.05;
             const maxOff = params.maxOff || 0.3;
             
             const segment = Math.floor(time * 20);
             const segmentPhase = (time * 20) % 1;
-            const flickerRandom = seededRandom(segment);
+            const flickerRandom = seededRandom(seed + segment);
             
             if (flickerRandom < chance) {
-                const flickerDuration = minOff + seededRandom(segment + 0.5) * (maxOff - minOff);
+                const flickerDuration = minOff + seededRandom(seed + segment + 0.5) * (maxOff - minOff);
                 
                 if (segmentPhase < flickerDuration) {
-                    const dimLevel = seededRandom(segment + 0.3);
+                    const dimLevel = seededRandom(seed + segment + 0.3);
                     return dimLevel < 0.3 ? 0 : baseIntensity * 0.2;
                 }
             }
             
             // Occasional rapid double-flicker
-            const doubleFlicker = seededRandom(segment * 0.1);
+            const doubleFlicker = seededRandom(seed + segment * 0.1);
             if (doubleFlicker > 0.95) {
                 const rapidPhase = (time * 60) % 1;
                 if (rapidPhase < 0.1 || (rapidPhase > 0.15 && rapidPhase < 0.25)) {
@@ -161,14 +201,16 @@
          * @param {number} baseIntensity - Base light intensity
          * @param {number} time - Current time in seconds
          * @param {object} params - {onChance: 0.1, sparkDuration: 0.1}
+         * @param {object} [state] - Effect state (seed)
          */
-        broken: function(baseIntensity, time, params) {
+        broken: function(baseIntensity, time, params, state) {
+            const seed = stateSeed(state);
             const onChance = params.onChance || 0.1;
             const sparkDuration = params.sparkDuration || 0.1;
             
             const segment = Math.floor(time * 10);
             const segmentPhase = (time * 10) % 1;
-            const random = seededRandom(segment);
+            const random = seededRandom(seed + segment);
             
             // Mostly off
             if (random > onChance) {
@@ -177,7 +219,7 @@
             
             // Brief spark/flash
             if (segmentPhase < sparkDuration) {
-                const flashIntensity = 0.5 + seededRandom(segment + 0.7) * 1.0;
+                const flashIntensity = 0.5 + seededRandom(seed + segment + 0.7) * 1.0;
                 return baseIntensity * flashIntensity;
             }
             
@@ -195,8 +237,10 @@
          * @param {number} baseIntensity - Base light intensity
          * @param {number} time - Current time in seconds
          * @param {object} params - {flickerSpeed: 30, failChance: 0.05}
+         * @param {object} [state] - Effect state (seed)
          */
-        neon: function(baseIntensity, time, params) {
+        neon: function(baseIntensity, time, params, state) {
+            const seed = stateSeed(state);
             const flickerSpeed = params.flickerSpeed || 30;
             const failChance = params.failChance || 0.05;
             
@@ -205,7 +249,7 @@
             
             // Occasional segment failure
             const segment = Math.floor(time * 2);
-            const failRandom = seededRandom(segment);
+            const failRandom = seededRandom(seed + segment);
             
             if (failRandom < failChance) {
                 const failPhase = (time * 2) % 1;
@@ -215,7 +259,7 @@
             }
             
             // Rapid micro-flicker characteristic of neon
-            const microFlicker = seededRandom(Math.floor(time * 100)) < 0.1 ? -0.1 : 0;
+            const microFlicker = seededRandom(seed + Math.floor(time * 100)) < 0.1 ? -0.1 : 0;
             
             return Math.max(0.2, baseIntensity + (hum + microFlicker) * baseIntensity);
         },
@@ -225,14 +269,16 @@
          * @param {number} baseIntensity - Base light intensity
          * @param {number} time - Current time in seconds
          * @param {object} params - {flashChance: 0.02, baseLevel: 0.1}
+         * @param {object} [state] - Effect state (seed)
          */
-        spark: function(baseIntensity, time, params) {
+        spark: function(baseIntensity, time, params, state) {
+            const seed = stateSeed(state);
             const flashChance = params.flashChance || 0.02;
             const baseLevel = params.baseLevel || 0.1;
             
             const segment = Math.floor(time * 30);
             const segmentPhase = (time * 30) % 1;
-            const random = seededRandom(segment);
+            const random = seededRandom(seed + segment);
             
             // Base dim glow
             let result = baseIntensity * baseLevel;
@@ -240,11 +286,11 @@
             // Random bright flash
             if (random < flashChance) {
                 if (segmentPhase < 0.1) {
-                    result = baseIntensity * (1.5 + seededRandom(segment + 0.2) * 0.5);
+                    result = baseIntensity * (1.5 + seededRandom(seed + segment + 0.2) * 0.5);
                 } else if (segmentPhase < 0.15) {
                     result = baseIntensity * 0.8;
                 } else if (segmentPhase < 0.2) {
-                    result = baseIntensity * (0.3 + seededRandom(segment + 0.4) * 0.4);
+                    result = baseIntensity * (0.3 + seededRandom(seed + segment + 0.4) * 0.4);
                 }
             }
             
@@ -252,53 +298,284 @@
         }
     };
 
+    //==========================================================================
+    // Light Modifiers
+    //==========================================================================
+
+    /**
+     * Modifiers animate properties other than intensity. Each one changes
+     * the effect state (4th argument) in place:
+     *   {intensity, radius, colorRgb, directionOffset (radians),
+     *    offsetX, offsetY (pixels)}
+     */
+    const LightModifiers = {
+        /**
+         * Color cycling - steps or blends through a list of colors
+         * @param {object} params - {colors: ['#ff0000', '#0000ff'], speed: 2, blend: 0}
+         */
+        colorCycle: function(intensity, time, params, state) {
+            const colors = params.colors || [];
+            if (colors.length === 0) return;
+            
+            const position = time * (params.speed || 1) * colors.length;
+            const index = Math.floor(position) % colors.length;
+            const from = Utils.hexToRgb(colors[index]);
+            const to = Utils.hexToRgb(colors[(index + 1) % colors.length]);
+            
+            // Hold each color, then blend over the last `blend` of its slot
+            const blend = Utils.clamp(params.blend || 0, 0, 1);
+            const phase = position - Math.floor(position);
+            const t = blend > 0 ? Utils.clamp((phase - (1 - blend)) / blend, 0, 1) : 0;
+            state.colorRgb = Utils.lerpColor(from, to, t);
+        },
+
+        /**
+         * Rainbow - continuous hue rotation
+         * @param {object} params - {speed: 0.5, saturation: 1}
+         */
+        rainbow: function(intensity, time, params, state) {
+            const saturation = params.saturation !== undefined ? params.saturation : 1;
+            state.colorRgb = hueToRgb(time * (params.speed || 0.5), Utils.clamp(saturation, 0, 1));
+        },
+
+        /**
+         * Radius breathing - radius grows and shrinks
+         * @param {object} params - {amount: 0.15, speed: 0.5}
+         */
+        breathe: function(intensity, time, params, state) {
+            const wave = Math.sin(time * (params.speed || 0.5) * Math.PI * 2);
+            state.radius = Math.max(1, state.radius * (1 + wave * (params.amount || 0.15)));
+        },
+
+        /**
+         * Spotlight sweep - swings back and forth across an arc
+         * @param {object} params - {angle: 90, speed: 0.25}
+         */
+        sweep: function(intensity, time, params, state) {
+            const wave = Math.sin(time * (params.speed || 0.25) * Math.PI * 2);
+            state.directionOffset += Utils.degToRad((params.angle || 90) / 2) * wave;
+        },
+
+        /**
+         * Spotlight rotation - turns continuously (lighthouse)
+         * @param {object} params - {speed: 45} degrees per second
+         */
+        rotate: function(intensity, time, params, state) {
+            const speed = params.speed !== undefined ? params.speed : 45;
+            state.directionOffset += Utils.degToRad((time * speed) % 360);
+        },
+
+        /**
+         * Swinging - moves along a pendulum arc (hanging lantern)
+         * @param {object} params - {distance: 6, speed: 0.5}
+         */
+        swing: function(intensity, time, params, state) {
+            const distance = params.distance || 6;
+            const angle = Math.sin(time * (params.speed || 0.5) * Math.PI * 2);
+            state.offsetX += angle * distance;
+            state.offsetY += (1 - Math.cos(angle)) * distance;
+        },
+
+        /**
+         * Position jitter - small restless movement
+         * @param {object} params - {amount: 2, speed: 8}
+         */
+        jitter: function(intensity, time, params, state) {
+            const amount = params.amount || 2;
+            const t = time * (params.speed || 8);
+            state.offsetX += (Math.sin(t * 1.7) * 0.6 + Math.sin(t * 3.1 + 1.3) * 0.4) * amount;
+            state.offsetY += (Math.sin(t * 2.3 + 0.7) * 0.6 + Math.sin(t * 3.7 + 2.1) * 0.4) * amount;
+        }
+    };
+
+    //==========================================================================
+    // Effect Registry
+    //==========================================================================
+
+    /**
+     * Registered effects: name -> {fn, params}
+     * fn(intensity, time, params, state) returns the new intensity, or
+     * nothing when it only changes other properties of state. Use
+     * seededRandom(state.seed + n) instead of Math.random() so lights
+     * look the same every time the same frames are played.
+     * params is the positional parameter schema used by note tags and
+     * plugin commands: [{name, default}], where an entry with rest: true
+     * collects all remaining values into an array.
+     */
+    const EFFECT_REGISTRY = {};
+
+    /**
+     * Register a light effect. Registering an existing name replaces it.
+     * @param {string} name - Effect name used in note tags and commands
+     * @param {Function} fn - fn(intensity, time, params, state)
+     * @param {Array} [paramSchema] - [{name, default, rest}]
+     */
+    function register(name, fn, paramSchema) {
+        if (typeof fn !== 'function') {
+            console.error('[LightEffects] Effect is not a function:', name);
+            return;
+        }
+        EFFECT_REGISTRY[name] = { fn: fn, params: paramSchema || [] };
+        LightEffects[name] = fn;
+    }
+
+    /**
+     * Remove a registered effect
+     * @param {string} name - Effect name
+     */
+    function unregister(name) {
+        delete EFFECT_REGISTRY[name];
+        delete LightEffects[name];
+    }
+
+    /**
+     * Get a registered effect
+     * @param {string} name - Effect name
+     * @returns {object|null} {fn, params}
+     */
+    function getEffect(name) {
+        return EFFECT_REGISTRY.hasOwnProperty(name) ? EFFECT_REGISTRY[name] : null;
+    }
+
+    /**
+     * Get all registered effect names
+     * @returns {Array<string>} Names
+     */
+    function effectNames() {
+        return Object.keys(EFFECT_REGISTRY);
+    }
+
+    // Built-in effects and their positional parameters
+    const BUILT_IN_PARAMS = {
+        none: [],
+        flicker: [{ name: 'intensity', default: 0.3 }, { name: 'speed', default: 10 }],
+        pulse: [{ name: 'amplitude', default: 0.5 }, { name: 'speed', default: 2 }],
+        strobe: [{ name: 'frequency', default: 5 }],
+        fire: [{ name: 'variation', default: 0.4 }],
+        fluorescent: [{ name: 'chance', default: 0.15 }, { name: 'maxOff', default: 0.3 }],
+        broken: [{ name: 'onChance', default: 0.1 }, { name: 'sparkDuration', default: 0.1 }],
+        neon: [{ name: 'flickerSpeed', default: 30 }, { name: 'failChance', default: 0.05 }],
+        spark: [{ name: 'flashChance', default: 0.02 }, { name: 'baseLevel', default: 0.1 }],
+        colorCycle: [{ name: 'speed', default: 1 }, { name: 'blend', default: 0 },
+            { name: 'colors', rest: true, default: [] }],
+        rainbow: [{ name: 'speed', default: 0.5 }, { name: 'saturation', default: 1 }],
+        breathe: [{ name: 'amount', default: 0.15 }, { name: 'speed', default: 0.5 }],
+        sweep: [{ name: 'angle', default: 90 }, { name: 'speed', default: 0.25 }],
+        rotate: [{ name: 'speed', default: 45 }],
+        swing: [{ name: 'distance', default: 6 }, { name: 'speed', default: 0.5 }],
+        jitter: [{ name: 'amount', default: 2 }, { name: 'speed', default: 8 }]
+    };
+
+    for (const name in BUILT_IN_PARAMS) {
+        register(name, LightEffects[name] || LightModifiers[name], BUILT_IN_PARAMS[name]);
+    }
+
     //==========================================================================
     // Effect Parameter Parser
     //==========================================================================
 
-    function parseEffectParams(effectType, param1, param2) {
-        switch (effectType) {
-            case 'flicker':
-                return {
-                    intensity: param1 !== undefined ? param1 : 0.3,
-                    speed: param2 !== undefined ? param2 : 10
-                };
-            case 'pulse':
-                return {
-                    amplitude: param1 !== undefined ? param1 : 0.5,
-                    speed: param2 !== undefined ? param2 : 2
-                };
-            case 'strobe':
-                return {
-                    frequency: param1 !== undefined ? param1 : 5
-                };
-            case 'fire':
-                return {
-                    variation: param1 !== undefined ? param1 : 0.4
-                };
-            case 'fluorescent':
-                return {
-                    chance: param1 !== undefined ? param1 : 0.15,
-                    maxOff: param2 !== undefined ? param2 : 0.3
-                };
-            case 'broken':
-                return {
-                    onChance: param1 !== undefined ? param1 : 0.1,
-                    sparkDuration: param2 !== undefined ? param2 : 0.1
-                };
-            case 'neon':
-                return {
-                    flickerSpeed: param1 !== undefined ? param1 : 30,
-                    failChance: param2 !== undefined ? param2 : 0.05
-                };
-            case 'spark':
-                return {
-                    flashChance: param1 !== undefined ? param1 : 0.02,
-                    baseLevel: param2 !== undefined ? param2 : 0.1
-                };
-            default:
-                return {};
+    /**
+     * Build the params of an effect from positional values
+     * @param {string} effectType - Effect name
+     * @param {...*} values - Positional parameters (undefined = default)
+     * @returns {object} Params
+     */
+    function parseEffectParams(effectType, ...values) {
+        const effect = getEffect(effectType);
+        const params = {};
+        if (!effect) return params;
+        
+        effect.params.forEach((param, index) => {
+            if (param.rest) {
+                const rest = values.slice(index).filter(v => v !== undefined);
+                params[param.name] = rest.length > 0 ? rest.map(String) : (param.default || []).slice();
+            } else {
+                params[param.name] = values[index] !== undefined ? values[index] : param.default;
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Find the canonical name of a registered effect (case-insensitive)
+     * @param {string} name - Name as written
+     * @returns {string|null} Canonical name, or null if unknown or 'none'
+     */
+    function effectTypeName(name) {
+        const lower = String(name).toLowerCase();
+        return effectNames().find(type => type !== 'none' && type.toLowerCase() === lower) || null;
+    }
+
+    /**
+     * Parse a modifier list: "flicker:0.3,10 + breathe:0.1 + colorCycle:2,0,#f00,#00f"
+     * Numbers are parsed as numbers, anything else (colors) is kept as text.
+     * @param {string} text - Modifier list
+     * @returns {Array} [{type, params}]; unknown names and colorCycle
+     * without colors are skipped
+     */
+    function parseModifiers(text) {
+        const modifiers = [];
+        for (const part of String(text || '').split('+')) {
+            const match = part.trim().match(/^(\w+)(?::(.*))?$/);
+            if (!match) continue;
+            const type = effectTypeName(match[1]);
+            if (!type) {
+                if (match[1].toLowerCase() !== 'none') {
+                    console.warn('[LightEffects] Unknown light effect:', match[1]);
+                }
+                continue;
+            }
+            const values = match[2] ? match[2].split(',').map(v => v.trim()).filter(v => v)
+                .map(v => isNaN(Number(v)) ? v : Number(v)) : [];
+            const params = parseEffectParams(type, ...values);
+            if (type === 'colorCycle' && Array.isArray(params.colors) && params.colors.length === 0) {
+                console.warn('[LightEffects] colorCycle needs at least one color:', part.trim());
+                continue;
+            }
+            modifiers.push({ type: type, params: params });
+        }
+        return modifiers;
+    }
+
+    /**
+     * Get the modifier list of a light's effect. Effects saved before
+     * modifiers existed are a single {type, params} object.
+     * @param {Array|object|null} effect - Light data effect
+     * @returns {Array} [{type, params}]
+     */
+    function effectModifiers(effect) {
+        if (!effect) return [];
+        return Array.isArray(effect) ? effect : [effect];
+    }
+
+    /**
+     * Run a light's modifiers in order. Intensity effects feed each
+     * other's output, so stacked effects compound.
+     * @param {Array|object} effect - Light data effect
+     * @param {object} data - Light data
+     * @param {number} time - Effect time in seconds
+     * @param {number} [seed] - Random seed of the light (see lightSeed)
+     * @returns {object} {intensity, radius, colorRgb, seed, directionOffset, offsetX, offsetY}
+     */
+    function applyEffect(effect, data, time, seed) {
+        const state = {
+            intensity: data.baseIntensity || data.intensity,
+            radius: data.radius,
+            colorRgb: data.colorRgb || Utils.hexToRgb(data.color),
+            seed: seed || 0,
+            directionOffset: 0,
+            offsetX: 0,
+            offsetY: 0
+        };
+        for (const modifier of effectModifiers(effect)) {
+            const registered = getEffect(modifier.type);
+            if (!registered) continue;
+            const result = registered.fn(state.intensity, time, modifier.params || {}, state);
+            if (typeof result === 'number') {
+                state.intensity = result;
+            }
         }
+        return state;
     }
 
     //==========================================================================
@@ -306,8 +583,17 @@
     //==========================================================================
 
     DL.Effects.LightEffects = LightEffects;
+    DL.Effects.register = register;
+    DL.Effects.unregister = unregister;
+    DL.Effects.getEffect = getEffect;
+    DL.Effects.effectNames = effectNames;
     DL.Effects.parseEffectParams = parseEffectParams;
+    DL.Effects.parseModifiers = parseModifiers;
+    DL.Effects.effectTypeName = effectTypeName;
+    DL.Effects.effectModifiers = effectModifiers;
+    DL.Effects.applyEffect = applyEffect;
     DL.Effects.seededRandom = seededRandom;
+    DL.Effects.lightSeed = lightSeed;
 
     console.log('[DynamicLighting] LightEffects module loaded');
 
@@ -1,6 +1,7 @@
 /**
  * DynamicLighting - Transition Manager Module
  * Handles smooth transitions for light properties (color, intensity, radius)
+ * with easing, loops, yoyo and sequences
  */
 
 (function() {
@@ -15,51 +16,188 @@
     // Initialize effects namespace
     DL.Effects = DL.Effects || {};
 
+    const Easing = DL.Effects.Easing;
+
     //==========================================================================
     // Transition Manager Class
     //==========================================================================
 
+    /**
+     * Transition Manager
+     * Transition config fields:
+     *   key        - Serializable target key; keyed transitions are saved
+     *                and get their callbacks from the binder
+     *   property   - Animated property
+     *   startValue - Number or {r, g, b}; omitted = current value (binder getValue)
+     *   endValue   - Target value
+     *   duration   - Frames
+     *   easing     - Easing name (see Easing module)
+     *   loop       - Times to repeat after the first play (-1 = forever)
+     *   yoyo       - Play every other repeat backwards
+     *   persistent - Survive map transfers
+     *   onUpdate(value, progress), onComplete(finalValue, transition)
+     * Every transition and sequence gets an id for isRunning and stop.
+     */
     class TransitionManager {
         constructor() {
             this._transitions = [];
+            this._binder = null;
+            this._nextId = 1;
+        }
+
+        /**
+         * Set the function that binds keyed transitions to their targets
+         * @param {function} binder - (key, property, endValue) => {onUpdate, onComplete, getValue}
+         */
+        setBinder(binder) {
+            this._binder = binder;
         }
 
         /**
          * Add a new transition
+         * Transitions with a serializable `key` are written to save files;
+         * their callbacks are rebuilt on load by the binder.
          * @param {object} config - Transition configuration
+         * @returns {number} Transition id (0 if it could not start)
          */
         add(config) {
+            const callbacks = config.key && !config.onUpdate && this._binder ?
+                this._binder(config.key, config.property, config.endValue) : config;
+            if (!callbacks) return 0;
+            
+            let startValue = config.startValue;
+            if (startValue === undefined && callbacks.getValue) {
+                startValue = callbacks.getValue();
+            }
+            if (startValue === undefined || startValue === null) {
+                console.warn('[TransitionManager] Transition has no start value:', config.property);
+                return 0;
+            }
+            
+            const id = config.id || this._nextId++;
+            this._nextId = Math.max(this._nextId, id + 1);
             this._transitions.push({
+                id: id,
+                key: config.key || null,
                 target: config.target,
                 property: config.property,
-                startValue: config.startValue,
+                startValue: startValue,
                 endValue: config.endValue,
-                duration: config.duration,
-                elapsed: 0,
+                duration: Math.max(1, config.duration || 1),
+                elapsed: config.elapsed || 0,
                 easing: config.easing || 'linear',
-                onUpdate: config.onUpdate,
-                onComplete: config.onComplete
+                loop: config.loop || 0,
+                cycle: config.cycle || 0,
+                yoyo: !!config.yoyo,
+                persistent: !!config.persistent,
+                sequence: config.sequence || null,
+                onUpdate: callbacks.onUpdate,
+                onComplete: callbacks.onComplete
             });
+            return id;
+        }
+
+        /**
+         * Run transitions one after another. Steps without a startValue
+         * start from the value the previous step left.
+         * @param {Array} steps - Transition configs
+         * @param {object} [options] - {loop: restart after the last step, persistent}
+         * @returns {number} Sequence id (0 if it could not start)
+         */
+        sequence(steps, options = {}) {
+            if (!steps || steps.length === 0) return 0;
+            const sequence = { steps: steps, index: 0, loop: !!options.loop, persistent: !!options.persistent };
+            return this._startStep(sequence, this._nextId++);
+        }
+
+        /**
+         * Start the current step of a sequence
+         * @param {object} sequence - {steps, index, loop, persistent}
+         * @param {number} id - Sequence id
+         * @returns {number} Sequence id (0 if the step could not start)
+         */
+        _startStep(sequence, id) {
+            const step = sequence.steps[sequence.index];
+            return this.add(Object.assign({}, step, {
+                id: id,
+                elapsed: 0,
+                cycle: 0,
+                persistent: step.persistent || sequence.persistent,
+                sequence: sequence
+            }));
+        }
+
+        /**
+         * Continue a sequence after one of its steps completed
+         * @param {object} sequence - Sequence of the completed step
+         * @param {number} id - Sequence id
+         */
+        _nextStep(sequence, id) {
+            let index = sequence.index + 1;
+            if (index >= sequence.steps.length) {
+                if (!sequence.loop) return;
+                index = 0;
+            }
+            this._startStep(Object.assign({}, sequence, { index: index }), id);
         }
 
         /**
-         * Clear all active transitions (called on map change)
+         * Stop transitions of one keyed property without completing them
+         * @param {object} key - Transition key
+         * @param {string} property - Animated property
+         */
+        cancel(key, property) {
+            const id = JSON.stringify(key);
+            this._transitions = this._transitions.filter(t =>
+                t.property !== property || JSON.stringify(t.key) !== id);
+        }
+
+        /**
+         * Stop a transition or sequence without completing it
+         * @param {number} id - Transition or sequence id
+         */
+        stop(id) {
+            this._transitions = this._transitions.filter(t => t.id !== id);
+        }
+
+        /**
+         * Check whether a transition or sequence is still running
+         * @param {number} id - Transition or sequence id
+         * @returns {boolean} True while running
+         */
+        isRunning(id) {
+            return this._transitions.some(t => t.id === id);
+        }
+
+        /**
+         * Clear active transitions (called on map change); persistent
+         * transitions keep running
          */
         clear() {
-            this._transitions = [];
+            this._transitions = this._transitions.filter(t => t.persistent);
             if (DL.Debug) DL.Debug.log('Transitions cleared');
         }
 
+        /**
+         * Clear every transition, persistent ones included (new game, load)
+         */
+        clearAll() {
+            this._transitions = [];
+        }
+
         /**
          * Update all active transitions
          */
         update() {
-            for (let i = this._transitions.length - 1; i >= 0; i--) {
-                const t = this._transitions[i];
+            for (const t of this._transitions.slice()) {
+                // Stopped by an earlier callback this frame
+                if (!this._transitions.includes(t)) continue;
+                
                 t.elapsed++;
                 
                 const progress = Math.min(t.elapsed / t.duration, 1);
-                const easedProgress = this._applyEasing(progress, t.easing);
+                const backwards = t.yoyo && t.cycle % 2 === 1;
+                const easedProgress = this._applyEasing(backwards ? 1 - progress : progress, t.easing);
                 
                 // Calculate current value
                 let currentValue;
@@ -76,12 +214,22 @@
                     t.onUpdate(currentValue, progress);
                 }
                 
-                // Check if complete
-                if (progress >= 1) {
-                    if (t.onComplete) {
-                        t.onComplete();
-                    }
-                    this._transitions.splice(i, 1);
+                if (progress < 1) continue;
+                
+                // Repeat
+                if (t.loop < 0 || t.cycle < t.loop) {
+                    t.cycle++;
+                    t.elapsed = 0;
+                    continue;
+                }
+                
+                // Complete
+                this._transitions.splice(this._transitions.indexOf(t), 1);
+                if (t.onComplete) {
+                    t.onComplete(currentValue, t);
+                }
+                if (t.sequence) {
+                    this._nextStep(t.sequence, t.id);
                 }
             }
         }
@@ -90,30 +238,56 @@
          * Apply easing function
          */
         _applyEasing(t, type) {
-            switch (type) {
-                case 'easeIn':
-                    return t * t;
-                case 'easeOut':
-                    return t * (2 - t);
-                case 'easeInOut':
-                    return t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t;
-                case 'linear':
-                default:
-                    return t;
-            }
+            return Easing.apply(t, type);
         }
 
         /**
-         * Interpolate between two colors
+         * Interpolate between two colors (overshooting easings are clamped)
          */
         _lerpColor(start, end, t) {
+            const channel = (a, b) => Math.max(0, Math.min(1, a + (b - a) * t));
             return {
-                r: start.r + (end.r - start.r) * t,
-                g: start.g + (end.g - start.g) * t,
-                b: start.b + (end.b - start.b) * t
+                r: channel(start.r, end.r),
+                g: channel(start.g, end.g),
+                b: channel(start.b, end.b)
             };
         }
 
+        /**
+         * Create save data for transitions that have a key
+         * @returns {Array} Serializable transition list
+         */
+        makeSaveContents() {
+            return this._transitions.filter(t => t.key).map(t => ({
+                id: t.id,
+                key: t.key,
+                property: t.property,
+                startValue: t.startValue,
+                endValue: t.endValue,
+                duration: t.duration,
+                elapsed: t.elapsed,
+                easing: t.easing,
+                loop: t.loop,
+                cycle: t.cycle,
+                yoyo: t.yoyo,
+                persistent: t.persistent,
+                sequence: t.sequence
+            }));
+        }
+
+        /**
+         * Restore transitions from save data
+         * @param {Array} contents - Data from makeSaveContents
+         * @param {function} [binder] - (key, property, endValue) => {onUpdate, onComplete, getValue}
+         */
+        extractSaveContents(contents, binder) {
+            this.clearAll();
+            if (binder) this._binder = binder;
+            for (const saved of contents || []) {
+                this.add(Object.assign({}, saved));
+            }
+        }
+
         /**
          * Check if any transitions are active
          */
@@ -0,0 +1,159 @@
+/**
+ * DynamicLighting - Weather Lighting Module
+ * Adjusts ambient and sun light for rain, storm and snow
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL) {
+        console.error('[WeatherLighting] DynamicLighting not found!');
+        return;
+    }
+
+    // Initialize effects namespace
+    DL.Effects = DL.Effects || {};
+
+    const Utils = DL.Utils;
+
+    // RPG Maker weather power runs from 1 to 9
+    const MAX_WEATHER_POWER = 9;
+
+    //==========================================================================
+    // Weather Lighting Class
+    //==========================================================================
+
+    /**
+     * Weather Lighting
+     * Lighting changes are kept as a small state of factors (sun scale,
+     * ambient saturation and brightness, lightning flash) that is applied
+     * on top of the ambient and sun the map already has, so the time system
+     * and plugin commands keep working underneath the weather.
+     */
+    class WeatherLighting {
+        /**
+         * @param {object} config - Parsed plugin parameters
+         */
+        constructor(config) {
+            this._config = config;
+            this._lightningRgb = Utils.hexToRgb(config.lightningColor);
+        }
+
+        /**
+         * Lighting state with no weather
+         * @returns {object} {sunScale, saturation, brightness, flash}
+         */
+        clearState() {
+            return { sunScale: 1, saturation: 1, brightness: 0, flash: 0 };
+        }
+
+        /**
+         * Weather strength from its power
+         * @param {number} power - Weather power (0-9)
+         * @returns {number} Strength (0-1)
+         */
+        strength(power) {
+            return Utils.clamp(power / MAX_WEATHER_POWER, 0, 1);
+        }
+
+        /**
+         * Target lighting state for a weather type
+         * @param {string} type - 'none', 'rain', 'storm' or 'snow'
+         * @param {number} power - Weather power (0-9)
+         * @returns {object} {sunScale, saturation, brightness}
+         */
+        targets(type, power) {
+            const config = this._config;
+            const strength = this.strength(power);
+            const state = this.clearState();
+            delete state.flash;
+
+            switch (type) {
+                case 'rain':
+                    state.sunScale = Utils.lerp(1, config.rainSunScale, strength);
+                    state.saturation = 1 - config.rainDesaturation * strength;
+                    break;
+                case 'storm':
+                    state.sunScale = Utils.lerp(1, config.stormSunScale, strength);
+                    state.saturation = 1 - config.stormDesaturation * strength;
+                    break;
+                case 'snow':
+                    state.sunScale = Utils.lerp(1, config.snowSunScale, strength);
+                    state.brightness = config.snowBrightness * strength;
+                    break;
+            }
+            return state;
+        }
+
+        /**
+         * Chance of a lightning flash starting this frame
+         * @param {string} type - Weather type
+         * @param {number} power - Current weather power (0-9)
+         * @returns {number} Probability (0-1)
+         */
+        lightningChance(type, power) {
+            if (type !== 'storm') return 0;
+            return this._config.lightningFrequency * this.strength(power) / 3600;
+        }
+
+        /**
+         * Apply weather to ambient light
+         * @param {object} ambient - {color, intensity}
+         * @param {object} state - Weather lighting state
+         * @returns {object} {color, intensity}
+         */
+        applyAmbient(ambient, state) {
+            if (state.saturation >= 1 && state.brightness <= 0) return ambient;
+
+            let rgb = Utils.hexToRgb(ambient.color);
+            const gray = rgb.r * 0.299 + rgb.g * 0.587 + rgb.b * 0.114;
+            rgb = Utils.lerpColor({ r: gray, g: gray, b: gray }, rgb, state.saturation);
+            rgb = Utils.lerpColor(rgb, { r: 1, g: 1, b: 1 }, state.brightness);
+            const intensity = ambient.intensity + (1 - ambient.intensity) * state.brightness;
+
+            return { color: Utils.rgbToHex(rgb.r, rgb.g, rgb.b), intensity: intensity };
+        }
+
+        /**
+         * Apply weather to the sun. Lightning turns the sun on (along its
+         * current direction) with sharp shadows while the flash lasts.
+         * @param {object} sun - Game_Map sun light
+         * @param {object} state - Weather lighting state
+         * @returns {object} Sun light as rendered
+         */
+        applySun(sun, state) {
+            if (state.sunScale >= 1 && state.flash <= 0) return sun;
+
+            const result = Object.assign({}, sun);
+            result.intensity = sun.enabled ? sun.intensity * state.sunScale : 0;
+
+            if (state.flash > 0) {
+                const baseRgb = sun.enabled ? sun.colorRgb : this._lightningRgb;
+                result.enabled = true;
+                result.intensity = Utils.lerp(result.intensity, this._config.lightningIntensity, state.flash);
+                result.colorRgb = Utils.lerpColor(baseRgb, this._lightningRgb, state.flash);
+                result.color = Utils.rgbToHex(result.colorRgb.r, result.colorRgb.g, result.colorRgb.b);
+                result.shadowSoftness = 0;
+            }
+            return result;
+        }
+
+        /**
+         * Get configuration
+         * @returns {object} Weather lighting configuration
+         */
+        get config() {
+            return this._config;
+        }
+    }
+
+    //==========================================================================
+    // Export
+    //==========================================================================
+
+    DL.Effects.WeatherLighting = WeatherLighting;
+
+    console.log('[DynamicLighting] WeatherLighting module loaded');
+
+})();
@@ -0,0 +1,145 @@
+/**
+ * DynamicLighting - Ambient Zone Map
+ * Per-tile ambient light for maps with ambient zones
+ * @module DynamicLighting/lighting/AmbientZoneMap
+ */
+
+(function() {
+    'use strict';
+
+    const Utils = window.DynamicLighting.Utils;
+    const Debug = window.DynamicLighting.Debug;
+
+    /**
+     * Ambient Zone Map
+     * One pixel per tile around the camera holding that tile's own ambient
+     * light (color x intensity): its zone's ambient, or the map ambient
+     * outside zones. The texture is filtered linearly, so the lighting
+     * shader blends ambient smoothly across zone boundaries.
+     */
+    class AmbientZoneMap {
+        constructor(padding = 2) {
+            this._padding = padding;
+            this._canvas = null;
+            this._ctx = null;
+            this._texture = null;
+            this._lastKey = '';
+
+            this._createTexture();
+        }
+
+        _createTexture() {
+            this._canvas = document.createElement('canvas');
+            this._canvas.width = Math.ceil(Graphics.width / $gameMap.tileWidth()) + 2 + this._padding * 2;
+            this._canvas.height = Math.ceil(Graphics.height / $gameMap.tileHeight()) + 2 + this._padding * 2;
+            this._ctx = this._canvas.getContext('2d');
+            this._texture = PIXI.Texture.from(this._canvas, {
+                scaleMode: PIXI.SCALE_MODES.LINEAR
+            });
+
+            Debug.log('AmbientZoneMap created:', this._canvas.width, 'x', this._canvas.height);
+        }
+
+        /**
+         * Convert a color and intensity to a CSS color
+         * @param {string} color - Hex color
+         * @param {number} intensity - Intensity (0-1)
+         * @returns {string} CSS rgb() color
+         */
+        _fillStyle(color, intensity) {
+            const rgb = Utils.hexToRgb(color);
+            const scale = Utils.clamp(intensity, 0, 1) * 255;
+            return 'rgb(' + Math.round(rgb.r * scale) + ',' +
+                Math.round(rgb.g * scale) + ',' + Math.round(rgb.b * scale) + ')';
+        }
+
+        /**
+         * Redraw when the camera tile or the map ambient changes
+         * @param {Object} zones - Region ID -> { color, intensity }
+         * @param {string} mapColor - Ambient color outside zones
+         * @param {number} mapIntensity - Ambient intensity outside zones
+         */
+        update(zones, mapColor, mapIntensity) {
+            if (!this._ctx) return;
+
+            const displayX = Math.floor($gameMap.displayX());
+            const displayY = Math.floor($gameMap.displayY());
+            const key = [displayX, displayY, mapColor, mapIntensity].join(',');
+            if (key === this._lastKey) return;
+            this._lastKey = key;
+
+            const padding = this._padding;
+            const outside = this._fillStyle(mapColor, mapIntensity);
+            const styles = {};
+            for (const regionId in zones) {
+                styles[regionId] = this._fillStyle(zones[regionId].color, zones[regionId].intensity);
+            }
+
+            const ctx = this._ctx;
+            ctx.fillStyle = outside;
+            ctx.fillRect(0, 0, this._canvas.width, this._canvas.height);
+            for (let y = 0; y < this._canvas.height; y++) {
+                for (let x = 0; x < this._canvas.width; x++) {
+                    const tileX = displayX - padding + x;
+                    const tileY = displayY - padding + y;
+                    if (!$gameMap.isValid(tileX, tileY)) continue;
+                    const style = styles[$gameMap.regionId(tileX, tileY)];
+                    if (style) {
+                        ctx.fillStyle = style;
+                        ctx.fillRect(x, y, 1, 1);
+                    }
+                }
+            }
+            this._texture.baseTexture.update();
+        }
+
+        /**
+         * Destroy resources
+         */
+        destroy() {
+            if (this._texture) {
+                this._texture.destroy(true);
+                this._texture = null;
+            }
+            this._canvas = null;
+            this._ctx = null;
+        }
+
+        /**
+         * Get the ambient zone texture
+         * @returns {PIXI.Texture} Per-tile ambient texture
+         */
+        get texture() {
+            return this._texture;
+        }
+
+        /**
+         * Get texture width in tiles
+         * @returns {number} Width
+         */
+        get width() {
+            return this._canvas ? this._canvas.width : 0;
+        }
+
+        /**
+         * Get texture height in tiles
+         * @returns {number} Height
+         */
+        get height() {
+            return this._canvas ? this._canvas.height : 0;
+        }
+
+        /**
+         * Get padding in tiles
+         * @returns {number} Padding
+         */
+        get padding() {
+            return this._padding;
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.AmbientZoneMap = AmbientZoneMap;
+
+})();
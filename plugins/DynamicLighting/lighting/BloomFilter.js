@@ -0,0 +1,76 @@
+/**
+ * DynamicLighting - Bloom Filter
+ * Bright-pass, half resolution blur and additive composite after lighting
+ * @module DynamicLighting/lighting/BloomFilter
+ */
+
+(function() {
+    'use strict';
+
+    const ShaderLoader = window.DynamicLighting.ShaderLoader;
+    const Debug = window.DynamicLighting.Debug;
+    const BlurFilter = window.DynamicLighting.BlurFilter;
+
+    // Bloom is blurred at this fraction of the scene resolution
+    const BLOOM_RESOLUTION = 0.5;
+
+    /**
+     * Bloom Filter
+     * Runs after DynamicLightingFilter on the base sprite, so lit pixels
+     * above the threshold bleed into their surroundings.
+     * @extends PIXI.Filter
+     */
+    class BloomFilter extends PIXI.Filter {
+        constructor() {
+            super(null, ShaderLoader.loadShaderSync('bloomExtract.frag'));
+
+            this.uniforms.uThreshold = 0.7;
+
+            this._blurFilter = new BlurFilter();
+            this._compositeFilter = new PIXI.Filter(null, ShaderLoader.loadShaderSync('glowComposite.frag'));
+            this._compositeFilter.uniforms.uGlowTexture = PIXI.Texture.EMPTY;
+            this._compositeFilter.uniforms.uStrength = 0;
+
+            Debug.log('BloomFilter created');
+        }
+
+        /**
+         * Set bloom parameters
+         * @param {number} threshold - Brightness above which pixels bloom (0-1)
+         * @param {number} strength - How much bloom is added (0 = off)
+         * @param {number} radius - Spacing between blur taps in half resolution pixels
+         */
+        setBloomParams(threshold, strength, radius) {
+            this.uniforms.uThreshold = threshold;
+            this._compositeFilter.uniforms.uStrength = strength;
+            this._blurFilter.setBlurAmount(radius);
+            this.enabled = strength > 0;
+        }
+
+        apply(filterManager, input, output, clearMode) {
+            const resolution = input.baseTexture.resolution * BLOOM_RESOLUTION;
+            const bloom = filterManager.getFilterTexture(input, resolution);
+            const temp = filterManager.getFilterTexture(input, resolution);
+
+            filterManager.applyFilter(this, input, bloom, PIXI.CLEAR_MODES.CLEAR);
+            this._blurFilter.applyBlur(filterManager, bloom, bloom, temp);
+
+            this._compositeFilter.uniforms.uGlowTexture = bloom;
+            filterManager.applyFilter(this._compositeFilter, input, output, clearMode);
+
+            filterManager.returnFilterTexture(temp);
+            filterManager.returnFilterTexture(bloom);
+        }
+
+        destroy() {
+            this._blurFilter.destroy();
+            this._compositeFilter.destroy();
+            super.destroy();
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.BloomFilter = BloomFilter;
+
+})();
@@ -0,0 +1,52 @@
+/**
+ * DynamicLighting - Blur Filter
+ * Separable Gaussian blur shared by the glow and bloom passes
+ * @module DynamicLighting/lighting/BlurFilter
+ */
+
+(function() {
+    'use strict';
+
+    const ShaderLoader = window.DynamicLighting.ShaderLoader;
+
+    /**
+     * Blur Filter (shaders/blur.frag)
+     * @extends PIXI.Filter
+     */
+    class BlurFilter extends PIXI.Filter {
+        constructor() {
+            super(null, ShaderLoader.loadShaderSync('blur.frag'));
+            this.uniforms.uResolution = [Graphics.width, Graphics.height];
+            this.uniforms.uBlurDirection = [1, 0];
+            this.uniforms.uBlurAmount = 1.0;
+        }
+
+        /**
+         * Set spacing between blur samples
+         * @param {number} amount - Spacing in texels of the blurred texture
+         */
+        setBlurAmount(amount) {
+            this.uniforms.uBlurAmount = amount;
+        }
+
+        /**
+         * Blur horizontally into temp, then vertically into output
+         * @param {PIXI.FilterSystem} filterManager - Filter system
+         * @param {PIXI.RenderTexture} input - Texture to blur
+         * @param {PIXI.RenderTexture} output - Blurred result (may be input)
+         * @param {PIXI.RenderTexture} temp - Scratch texture of the same size
+         */
+        applyBlur(filterManager, input, output, temp) {
+            this.uniforms.uResolution = [input.baseTexture.realWidth, input.baseTexture.realHeight];
+            this.uniforms.uBlurDirection = [1, 0];
+            filterManager.applyFilter(this, input, temp, PIXI.CLEAR_MODES.CLEAR);
+            this.uniforms.uBlurDirection = [0, 1];
+            filterManager.applyFilter(this, temp, output, PIXI.CLEAR_MODES.CLEAR);
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.BlurFilter = BlurFilter;
+
+})();
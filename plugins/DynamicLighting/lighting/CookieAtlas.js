@@ -0,0 +1,109 @@
+/**
+ * DynamicLighting - Cookie Atlas
+ * Packs light cookie images from img/lights/ into a single texture
+ * @module DynamicLighting/lighting/CookieAtlas
+ */
+
+(function() {
+    'use strict';
+
+    const Debug = window.DynamicLighting.Debug;
+
+    const COOKIE_FOLDER = 'img/lights/';
+    const GRID_SIZE = 4;      // Atlas is GRID_SIZE x GRID_SIZE cells
+    const CELL_SIZE = 256;    // Cell size in pixels
+
+    /**
+     * Cookie Atlas class
+     * Cookie images are loaded on first use and drawn into a fixed grid.
+     * A cookie has no slot (-1) until its image has finished loading.
+     */
+    class CookieAtlas {
+        constructor() {
+            this._canvas = null;
+            this._ctx = null;
+            this._baseTexture = null;
+            this._texture = null;
+            this._slots = {};       // name -> slot index (-1 while loading)
+            this._nextSlot = 0;
+        }
+
+        _createTextures() {
+            this._canvas = document.createElement('canvas');
+            this._canvas.width = GRID_SIZE * CELL_SIZE;
+            this._canvas.height = GRID_SIZE * CELL_SIZE;
+            this._ctx = this._canvas.getContext('2d');
+
+            this._baseTexture = PIXI.BaseTexture.from(this._canvas, {
+                scaleMode: PIXI.SCALE_MODES.LINEAR
+            });
+            this._texture = new PIXI.Texture(this._baseTexture);
+
+            Debug.log('CookieAtlas created:', this._canvas.width, 'x', this._canvas.height);
+        }
+
+        /**
+         * Get the atlas slot of a cookie, loading it on first request
+         * @param {string} name - Image name in img/lights/ (without extension)
+         * @returns {number} Slot index, or -1 if not (yet) available
+         */
+        slotFor(name) {
+            if (!name) return -1;
+            if (name in this._slots) return this._slots[name];
+
+            if (this._nextSlot >= GRID_SIZE * GRID_SIZE) {
+                Debug.warn('Cookie atlas full, cannot load:', name);
+                this._slots[name] = -1;
+                return -1;
+            }
+
+            const slot = this._nextSlot++;
+            this._slots[name] = -1;
+
+            const bitmap = ImageManager.loadBitmap(COOKIE_FOLDER, name);
+            bitmap.addLoadListener(() => {
+                if (!bitmap.isReady()) return;
+                this._drawCookie(slot, bitmap);
+                this._slots[name] = slot;
+                Debug.log('Cookie loaded:', name, 'slot:', slot);
+            });
+
+            return -1;
+        }
+
+        _drawCookie(slot, bitmap) {
+            if (!this._canvas) this._createTextures();
+
+            const x = (slot % GRID_SIZE) * CELL_SIZE;
+            const y = Math.floor(slot / GRID_SIZE) * CELL_SIZE;
+            this._ctx.clearRect(x, y, CELL_SIZE, CELL_SIZE);
+            this._ctx.drawImage(bitmap.canvas, 0, 0, bitmap.width, bitmap.height, x, y, CELL_SIZE, CELL_SIZE);
+            this._baseTexture.update();
+        }
+
+        /**
+         * Get the atlas texture
+         * @returns {PIXI.Texture} Atlas texture
+         */
+        get texture() {
+            if (!this._canvas) this._createTextures();
+            return this._texture;
+        }
+
+        /**
+         * Get the number of cells per atlas row/column
+         * @returns {number} Grid size
+         */
+        get gridSize() {
+            return GRID_SIZE;
+        }
+    }
+
+    // Create singleton instance
+    const instance = new CookieAtlas();
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.CookieAtlas = instance;
+
+})();
@@ -0,0 +1,424 @@
+/**
+ * DynamicLighting - Emissive Map Generator
+ * Renders a screen-space mask of pixels that ignore ambient darkness
+ * @module DynamicLighting/lighting/EmissiveMapGenerator
+ */
+
+(function() {
+    'use strict';
+
+    const Debug = window.DynamicLighting.Debug;
+
+    const EMISSIVE_SUFFIX = '_e';
+
+    /**
+     * Draw order of character proxies, as Tilemap sorts character sprites
+     */
+    function compareDepth(a, b) {
+        if (a.z !== b.z) return a.z - b.z;
+        if (a.y !== b.y) return a.y - b.y;
+        return a.spriteId - b.spriteId;
+    }
+
+    /**
+     * Proxy that draws a character into the emissive mask.
+     * It first erases the character's silhouette, so a character standing
+     * on an emissive tile or in front of an emissive character is not lit
+     * by them, then draws its emissive part: the *_e.png companion if there
+     * is one, otherwise the sprite itself when tagged <emissive>.
+     * @extends Sprite
+     */
+    class EmissiveCharacterSprite extends Sprite {
+        constructor(source) {
+            super();
+            this._source = source;
+            this.anchor.x = 0.5;
+            this.anchor.y = 1;
+            this.blendMode = PIXI.BLEND_MODES.ERASE;
+            this._emissiveSprite = new Sprite();
+            this._emissiveSprite.anchor.x = 0.5;
+            this._emissiveSprite.anchor.y = 1;
+            this.addChild(this._emissiveSprite);
+        }
+
+        /**
+         * Mirror the source sprite's frame and position
+         * @param {EmissiveMapGenerator} generator - Owner (provides bitmaps)
+         */
+        sync(generator) {
+            const source = this._source;
+            const character = source._character;
+            this.visible = !!(character && source.visible && source.bitmap && source.bitmap.isReady());
+            if (!this.visible) return;
+
+            if (this.bitmap !== source.bitmap) {
+                this.bitmap = source.bitmap;
+            }
+            const frame = source._frame;
+            this.setFrame(frame.x, frame.y, frame.width, frame.height);
+            this.x = source.x;
+            this.y = source.y;
+            this.z = source.z;
+            this.spriteId = source.spriteId;
+            this.scale.x = source.scale.x;
+            this.scale.y = source.scale.y;
+            this.alpha = source.alpha * (source.opacity / 255);
+
+            const companion = !character.tileId() ?
+                generator.characterEmissive(character.characterName()) : null;
+            const strength = character.emissive ? character.emissive() : 0;
+            let bitmap = null;
+            if (companion && companion.isReady()) {
+                bitmap = companion;
+            } else if (strength > 0) {
+                bitmap = source.bitmap;
+            }
+
+            const emissive = this._emissiveSprite;
+            emissive.visible = !!bitmap;
+            if (!emissive.visible) return;
+
+            if (emissive.bitmap !== bitmap) {
+                emissive.bitmap = bitmap;
+            }
+            emissive.setFrame(frame.x, frame.y, frame.width, frame.height);
+            emissive.alpha = strength > 0 ? strength : 1;
+        }
+
+        get source() {
+            return this._source;
+        }
+    }
+
+    /**
+     * Proxy that draws a glowing picture into the glow mask
+     * @extends Sprite
+     */
+    class EmissivePictureSprite extends Sprite {
+        constructor(source) {
+            super();
+            this._source = source;
+        }
+
+        sync() {
+            const source = this._source;
+            const picture = source.picture();
+            const strength = picture && picture.emissive ? picture.emissive() : 0;
+
+            this.visible = !!(strength > 0 && source.visible && source.bitmap);
+            if (!this.visible) return;
+
+            if (this.bitmap !== source.bitmap) {
+                this.bitmap = source.bitmap;
+            }
+            this.x = source.x;
+            this.y = source.y;
+            this.anchor.x = source.anchor.x;
+            this.anchor.y = source.anchor.y;
+            this.scale.x = source.scale.x;
+            this.scale.y = source.scale.y;
+            this.rotation = source.rotation;
+            this.alpha = (source.opacity / 255) * strength;
+        }
+
+        get source() {
+            return this._source;
+        }
+    }
+
+    /**
+     * Emissive Map Generator
+     * The mask texture holds emissive coverage in its alpha channel:
+     * whole tiles by region ID or terrain tag, then every character in
+     * draw order (erasing what it covers, adding what glows).
+     * The glow texture adds glowing pictures on top and feeds the glow pass.
+     */
+    class EmissiveMapGenerator {
+        constructor(regions, terrainTags, padding = 2) {
+            this._regions = regions || [];
+            this._terrainTags = terrainTags || [];
+            this._padding = padding;
+            this._canvas = null;
+            this._ctx = null;
+            this._tileTexture = null;
+            this._tileSprite = null;
+            this._lastDisplayX = -1;
+            this._lastDisplayY = -1;
+            this._maskTexture = null;
+            this._glowTexture = null;
+            this._mapLayer = null;
+            this._glowLayer = null;
+            this._maskSprite = null;
+            this._characterEmissives = {};
+            this._characterProxies = [];
+            this._pictureProxies = [];
+            this._destroyed = false;
+
+            this._createTextures();
+        }
+
+        _createTextures() {
+            const width = Graphics.width;
+            const height = Graphics.height;
+
+            this._maskTexture = PIXI.RenderTexture.create({ width, height, resolution: 1 });
+            this._glowTexture = PIXI.RenderTexture.create({ width, height, resolution: 1 });
+
+            this._mapLayer = new PIXI.Container();
+            if (this.hasEmissiveTiles()) {
+                this._canvas = document.createElement('canvas');
+                this._canvas.width = Math.ceil(width / $gameMap.tileWidth()) + 2 + this._padding * 2;
+                this._canvas.height = Math.ceil(height / $gameMap.tileHeight()) + 2 + this._padding * 2;
+                this._ctx = this._canvas.getContext('2d');
+                this._tileTexture = PIXI.Texture.from(this._canvas, {
+                    scaleMode: PIXI.SCALE_MODES.NEAREST
+                });
+                this._tileSprite = new PIXI.Sprite(this._tileTexture);
+                this._tileSprite.scale.set($gameMap.tileWidth(), $gameMap.tileHeight());
+                this._mapLayer.addChild(this._tileSprite);
+            }
+
+            this._glowLayer = new PIXI.Container();
+            this._maskSprite = new PIXI.Sprite(this._maskTexture);
+            this._glowLayer.addChild(this._maskSprite);
+
+            Debug.log('EmissiveMapGenerator created:', width, 'x', height,
+                'regions:', this._regions, 'terrain tags:', this._terrainTags);
+        }
+
+        /**
+         * Check whether any tiles can be emissive
+         * @returns {boolean} True if regions or terrain tags are configured
+         */
+        hasEmissiveTiles() {
+            return this._regions.length > 0 || this._terrainTags.length > 0;
+        }
+
+        /**
+         * Check whether anything can add to the emissive or glow masks
+         * @param {Array} characterSprites - Spriteset character sprites
+         * @param {Array} pictureSprites - Spriteset picture sprites
+         * @returns {boolean} True if tiles, characters or pictures are emissive
+         */
+        hasEmissiveSources(characterSprites, pictureSprites) {
+            if (this.hasEmissiveTiles()) return true;
+            const emissiveCharacter = characterSprites.some(sprite => {
+                const character = sprite._character;
+                if (!character) return false;
+                if (character.emissive && character.emissive() > 0) return true;
+                const companion = !character.tileId() ?
+                    this.characterEmissive(character.characterName()) : null;
+                return !!(companion && companion.isReady());
+            });
+            return emissiveCharacter || pictureSprites.some(sprite => {
+                const picture = sprite.picture();
+                return !!(picture && picture.emissive && picture.emissive() > 0);
+            });
+        }
+
+        /**
+         * Check whether a map tile is emissive
+         * @param {number} x - Tile X
+         * @param {number} y - Tile Y
+         * @returns {boolean} True if the tile's region or terrain tag is emissive
+         */
+        isEmissiveTile(x, y) {
+            if (!$gameMap.isValid(x, y)) return false;
+            return this._regions.includes($gameMap.regionId(x, y)) ||
+                this._terrainTags.includes($gameMap.terrainTag(x, y));
+        }
+
+        /**
+         * Redraw the tile mask when the integer camera tile changes
+         */
+        _updateTiles() {
+            if (!this._tileSprite) return;
+
+            const tileWidth = $gameMap.tileWidth();
+            const tileHeight = $gameMap.tileHeight();
+            const displayX = Math.floor($gameMap.displayX());
+            const displayY = Math.floor($gameMap.displayY());
+            const padding = this._padding;
+
+            this._tileSprite.x = (displayX - padding - $gameMap.displayX()) * tileWidth;
+            this._tileSprite.y = (displayY - padding - $gameMap.displayY()) * tileHeight;
+
+            if (displayX === this._lastDisplayX && displayY === this._lastDisplayY) return;
+            this._lastDisplayX = displayX;
+            this._lastDisplayY = displayY;
+
+            const ctx = this._ctx;
+            ctx.clearRect(0, 0, this._canvas.width, this._canvas.height);
+            ctx.fillStyle = '#ffffff';
+            for (let y = 0; y < this._canvas.height; y++) {
+                for (let x = 0; x < this._canvas.width; x++) {
+                    if (this.isEmissiveTile(displayX - padding + x, displayY - padding + y)) {
+                        ctx.fillRect(x, y, 1, 1);
+                    }
+                }
+            }
+            this._tileTexture.baseTexture.update();
+        }
+
+        /**
+         * Get the emissive companion of a character image
+         * @param {string} characterName - Character image name
+         * @returns {Bitmap|null} Emissive mask, or null if the image has none
+         */
+        characterEmissive(characterName) {
+            if (!characterName) return null;
+            if (!(characterName in this._characterEmissives)) {
+                // Bypass ImageManager so a missing companion is not a load error
+                this._characterEmissives[characterName] = Bitmap.load('img/characters/' +
+                    window.Utils.encodeURI(characterName + EMISSIVE_SUFFIX) + '.png');
+            }
+            const bitmap = this._characterEmissives[characterName];
+            return bitmap.isError() ? null : bitmap;
+        }
+
+        /**
+         * Keep one proxy per source sprite in a layer
+         * @param {Array} proxies - Current proxies
+         * @param {Array} sources - Source sprites
+         * @param {Function} ProxyClass - Proxy constructor
+         * @param {PIXI.Container} layer - Layer holding the proxies
+         * @returns {Array} Up-to-date proxies
+         */
+        _syncProxies(proxies, sources, ProxyClass, layer) {
+            if (proxies.length !== sources.length ||
+                proxies.some((proxy, i) => proxy.source !== sources[i])) {
+                for (const proxy of proxies) {
+                    layer.removeChild(proxy);
+                    proxy.destroy();
+                }
+                proxies = sources.map(sprite => new ProxyClass(sprite));
+                for (const proxy of proxies) {
+                    layer.addChild(proxy);
+                }
+            }
+            for (const proxy of proxies) {
+                proxy.sync(this);
+            }
+            return proxies;
+        }
+
+        /**
+         * Put character proxies above the tile mask in draw order
+         */
+        _sortCharacterProxies() {
+            const proxies = this._characterProxies.slice().sort(compareDepth);
+            proxies.forEach((proxy, index) => {
+                const childIndex = index + (this._tileSprite ? 1 : 0);
+                if (this._mapLayer.getChildIndex(proxy) !== childIndex) {
+                    this._mapLayer.setChildIndex(proxy, childIndex);
+                }
+            });
+        }
+
+        _render(container, renderTexture) {
+            const renderer = this._renderer;
+            try {
+                renderer.render(container, {
+                    renderTexture: renderTexture,
+                    clear: true
+                });
+            } catch (e) {
+                try {
+                    renderer.render(container, renderTexture, true);
+                } catch (e2) {
+                    Debug.warn('Failed to render emissive map:', e2);
+                }
+            }
+        }
+
+        /**
+         * Render the emissive mask (and the glow mask when requested)
+         * @param {Array} characterSprites - Spriteset character sprites
+         * @param {Array} pictureSprites - Spriteset picture sprites
+         * @param {boolean} glow - Also render the glow mask
+         * @param {PIXI.Renderer} renderer - PIXI renderer
+         * @returns {boolean} False when nothing is emissive and nothing was rendered
+         */
+        update(characterSprites, pictureSprites, glow, renderer) {
+            if (this._destroyed || !renderer) return false;
+            if (!this.hasEmissiveSources(characterSprites, pictureSprites)) return false;
+            this._renderer = renderer;
+
+            this._updateTiles();
+            this._characterProxies = this._syncProxies(
+                this._characterProxies, characterSprites, EmissiveCharacterSprite, this._mapLayer);
+            this._sortCharacterProxies();
+            this._render(this._mapLayer, this._maskTexture);
+
+            if (glow) {
+                this._pictureProxies = this._syncProxies(
+                    this._pictureProxies, pictureSprites, EmissivePictureSprite, this._glowLayer);
+                this._render(this._glowLayer, this._glowTexture);
+            }
+            return true;
+        }
+
+        /**
+         * Destroy resources
+         */
+        destroy() {
+            if (this._destroyed) return;
+            this._destroyed = true;
+
+            if (this._mapLayer) {
+                this._mapLayer.destroy({ children: true });
+                this._mapLayer = null;
+                this._tileSprite = null;
+                this._characterProxies = [];
+            }
+            if (this._glowLayer) {
+                this._glowLayer.destroy({ children: true });
+                this._glowLayer = null;
+                this._maskSprite = null;
+                this._pictureProxies = [];
+            }
+            if (this._tileTexture) {
+                this._tileTexture.destroy(true);
+                this._tileTexture = null;
+            }
+            if (this._maskTexture) {
+                this._maskTexture.destroy(true);
+                this._maskTexture = null;
+            }
+            if (this._glowTexture) {
+                this._glowTexture.destroy(true);
+                this._glowTexture = null;
+            }
+            this._canvas = null;
+            this._ctx = null;
+            this._renderer = null;
+
+            // Companion bitmaps bypass ImageManager's cache, so free them here
+            for (const bitmap of Object.values(this._characterEmissives)) {
+                if (bitmap) bitmap.destroy();
+            }
+            this._characterEmissives = {};
+        }
+
+        /**
+         * Get the emissive mask of the map (tiles and characters)
+         * @returns {PIXI.RenderTexture} Mask texture (coverage in alpha)
+         */
+        get texture() {
+            return this._maskTexture;
+        }
+
+        /**
+         * Get the glow mask (emissive map plus glowing pictures)
+         * @returns {PIXI.RenderTexture} Glow mask texture (coverage in alpha)
+         */
+        get glowTexture() {
+            return this._glowTexture;
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.EmissiveMapGenerator = EmissiveMapGenerator;
+
+})();
@@ -0,0 +1,78 @@
+/**
+ * DynamicLighting - Glow Filter
+ * Blurs emissive pixels and adds them back over the scene
+ * @module DynamicLighting/lighting/GlowFilter
+ */
+
+(function() {
+    'use strict';
+
+    const ShaderLoader = window.DynamicLighting.ShaderLoader;
+    const Debug = window.DynamicLighting.Debug;
+    const BlurFilter = window.DynamicLighting.BlurFilter;
+
+    /**
+     * Glow Filter
+     * Runs as an overall spriteset filter: extracts the scene under the glow
+     * mask, blurs it horizontally and vertically, then adds it to the scene.
+     * @extends PIXI.Filter
+     */
+    class GlowFilter extends PIXI.Filter {
+        constructor() {
+            super(null, ShaderLoader.loadShaderSync('glowExtract.frag'));
+
+            this.uniforms.uGlowMask = PIXI.Texture.EMPTY;
+            this.uniforms.uScreenSize = [Graphics.width, Graphics.height];
+
+            this._blurFilter = new BlurFilter();
+            this._compositeFilter = new PIXI.Filter(null, ShaderLoader.loadShaderSync('glowComposite.frag'));
+            this._compositeFilter.uniforms.uGlowTexture = PIXI.Texture.EMPTY;
+            this._compositeFilter.uniforms.uStrength = 1.0;
+
+            Debug.log('GlowFilter created');
+        }
+
+        /**
+         * Set the mask of pixels that glow
+         * @param {PIXI.Texture} texture - Screen-sized mask (coverage in alpha)
+         */
+        setGlowMask(texture) {
+            this.uniforms.uGlowMask = texture || PIXI.Texture.EMPTY;
+        }
+
+        /**
+         * Set glow parameters
+         * @param {number} strength - How much blurred glow is added (0 = off)
+         * @param {number} radius - Spacing between blur taps in pixels
+         */
+        setGlowParams(strength, radius) {
+            this._compositeFilter.uniforms.uStrength = strength;
+            this._blurFilter.setBlurAmount(radius);
+        }
+
+        apply(filterManager, input, output, clearMode) {
+            const glow = filterManager.getFilterTexture(input);
+            const temp = filterManager.getFilterTexture(input);
+
+            filterManager.applyFilter(this, input, glow, PIXI.CLEAR_MODES.CLEAR);
+            this._blurFilter.applyBlur(filterManager, glow, glow, temp);
+
+            this._compositeFilter.uniforms.uGlowTexture = glow;
+            filterManager.applyFilter(this._compositeFilter, input, output, clearMode);
+
+            filterManager.returnFilterTexture(temp);
+            filterManager.returnFilterTexture(glow);
+        }
+
+        destroy() {
+            this._blurFilter.destroy();
+            this._compositeFilter.destroy();
+            super.destroy();
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.GlowFilter = GlowFilter;
+
+})();
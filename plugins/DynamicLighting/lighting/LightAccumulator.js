@@ -0,0 +1,159 @@
+/**
+ * DynamicLighting - Light Accumulator
+ * Renders lights beyond the first batch in extra passes
+ * @module DynamicLighting/lighting/LightAccumulator
+ */
+
+(function() {
+    'use strict';
+
+    const Debug = window.DynamicLighting.Debug;
+    const LightingFilter = window.DynamicLighting.LightingFilter;
+
+    // Uniforms that describe one batch of lights; everything else is shared
+    // with the main lighting filter
+    const BATCH_UNIFORMS = [
+        'uLightData',
+        'uLightColors',
+        'uSpotlightData',
+        'uCookieData',
+        'uShapeData',
+        'uActiveLightCount',
+        'uShadowMap',
+        'uLightAccumulation',
+        'uLightAccumulationEnabled'
+    ];
+
+    /**
+     * Light Accumulator
+     * Each extra batch gets its own shadow map and is added into a
+     * screen-sized texture that the main lighting filter samples.
+     */
+    class LightAccumulator {
+        constructor(maxLights) {
+            this._maxLights = maxLights;
+            this._renderTexture = null;
+            this._sprite = null;
+            this._container = null;
+            this._filter = null;
+            this._initialized = false;
+        }
+
+        /**
+         * Initialize GPU resources (lazy)
+         */
+        _initialize() {
+            if (this._initialized) return;
+
+            const width = Graphics.width;
+            const height = Graphics.height;
+
+            try {
+                this._renderTexture = PIXI.RenderTexture.create({
+                    width: width,
+                    height: height,
+                    scaleMode: PIXI.SCALE_MODES.LINEAR,
+                    resolution: 1
+                });
+
+                this._sprite = new PIXI.Sprite(PIXI.Texture.WHITE);
+                this._sprite.width = width;
+                this._sprite.height = height;
+
+                this._filter = new LightingFilter(this._maxLights, { accumulation: true });
+                this._sprite.filters = [this._filter];
+
+                this._container = new PIXI.Container();
+                this._container.addChild(this._sprite);
+
+                this._initialized = true;
+                Debug.log('Light accumulator initialized');
+            } catch (e) {
+                console.error('[DynamicLighting] Failed to init light accumulator:', e);
+            }
+        }
+
+        /**
+         * Render extra light batches
+         * @param {Array<Array>} batches - Light batches (excluding the first)
+         * @param {DynamicLightingFilter} mainFilter - Filter to copy shared uniforms from
+         * @param {ShadowMapGenerator} shadowMapGenerator - Shadow map generator
+         * @param {PIXI.Renderer} renderer - PIXI renderer
+         * @returns {boolean} True if anything was rendered
+         */
+        render(batches, mainFilter, shadowMapGenerator, renderer) {
+            if (batches.length === 0 || !renderer) return false;
+
+            this._initialize();
+            if (!this._initialized) return false;
+
+            const filter = this._filter;
+            for (const key in mainFilter.uniforms) {
+                if (!BATCH_UNIFORMS.includes(key)) {
+                    filter.uniforms[key] = mainFilter.uniforms[key];
+                }
+            }
+
+            const shadowsEnabled = mainFilter.uniforms.uShadowsEnabled;
+            const screenWidth = Graphics.width;
+            const screenHeight = Graphics.height;
+
+            batches.forEach((batch, index) => {
+                if (shadowsEnabled) {
+                    shadowMapGenerator.generatePointLightShadows(batch, renderer);
+                    filter.uniforms.uShadowMap = shadowMapGenerator.pointLightTexture || PIXI.Texture.WHITE;
+                }
+                filter.updateLights(batch, screenWidth, screenHeight);
+                filter.blendMode = index === 0 ? PIXI.BLEND_MODES.NORMAL : PIXI.BLEND_MODES.ADD;
+
+                try {
+                    renderer.render(this._container, {
+                        renderTexture: this._renderTexture,
+                        clear: index === 0
+                    });
+                } catch (e) {
+                    try {
+                        renderer.render(this._container, this._renderTexture, index === 0);
+                    } catch (e2) {
+                        Debug.warn('Failed to render light pass:', e2);
+                    }
+                }
+            });
+
+            return true;
+        }
+
+        /**
+         * Destroy all GPU resources
+         */
+        destroy() {
+            if (this._renderTexture) {
+                this._renderTexture.destroy(true);
+                this._renderTexture = null;
+            }
+            if (this._container) {
+                this._container.destroy({ children: true });
+                this._container = null;
+                this._sprite = null;
+            }
+            if (this._filter) {
+                this._filter.destroy();
+                this._filter = null;
+            }
+            this._initialized = false;
+        }
+
+        /**
+         * Get the accumulation texture
+         * @returns {PIXI.RenderTexture} Accumulated light (half scale)
+         */
+        get texture() {
+            return this._renderTexture;
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.LightAccumulator = LightAccumulator;
+
+})();
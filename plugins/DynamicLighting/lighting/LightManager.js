@@ -11,15 +11,70 @@
     const Config = window.DynamicLighting.Config;
     const Debug = window.DynamicLighting.Debug;
 
+    /**
+     * Light fields written to save files.
+     * Derived values (colorRgb) are rebuilt on load, and transient
+     * per-frame values (prefixed with _) are never saved.
+     */
+    const LIGHT_SAVE_FIELDS = [
+        'id',
+        'enabled',
+        'x',
+        'y',
+        'radius',
+        'height',
+        'intensity',
+        'baseIntensity',
+        'color',
+        'isSpotlight',
+        'direction',
+        'coneAngle',
+        'innerRadius',
+        'followDirection',
+        'effect',
+        'cookie',
+        'shape',
+        'space',
+        'mapId'
+    ];
+
     /**
      * Light Manager class
      * Handles collection and management of light sources
+     *
+     * collectLights builds the one per-frame light list that the lighting
+     * filter, the point shadow map, sprite shadows and add-ons all read.
+     * Every entry is a copy in screen space carrying:
+     *   id     - Stable id: 'event:<eventId>', 'player', 'attached:player',
+     *            'follower:<index>', 'vehicle:<type>', 'character:<n>'
+     *            (registered characters) or 'custom:<id>'
+     *   source - The owning character, or null for custom lights
+     *   data   - The light data the entry was built from
      */
     class LightManager {
         constructor() {
             this._customLights = [];
             this._activeLights = [];
+            this._renderedLights = [];
             this._playerLight = null;
+            this._eventOverrides = {};
+            this._characters = [];
+            this._characterIds = new WeakMap();
+            this._nextCharacterId = 1;
+            this._stats = { visible: 0, rendered: 0, dropped: 0, passes: 0 };
+        }
+
+        /**
+         * Reset all runtime light state (called when a new game starts)
+         */
+        reset() {
+            this._customLights = [];
+            this._activeLights = [];
+            this._renderedLights = [];
+            this._playerLight = null;
+            this._eventOverrides = {};
+            this._characters = [];
+            this._stats = { visible: 0, rendered: 0, dropped: 0, passes: 0 };
         }
 
         /**
@@ -36,6 +91,7 @@
                 x: options.x || 0,
                 y: options.y || 0,
                 radius: options.radius || config.defaultRadius,
+                height: options.height !== undefined ? Number(options.height) : config.defaultLightHeight,
                 intensity: options.intensity || config.defaultIntensity,
                 color: color,
                 colorRgb: Utils.hexToRgb(color),
@@ -43,10 +99,116 @@
                 direction: options.direction ? Utils.degToRad(options.direction) : 0,
                 coneAngle: options.coneAngle ? Utils.degToRad(options.coneAngle / 2) : Math.PI,
                 innerRadius: options.innerRadius || 0,
-                followDirection: options.followDirection || false
+                followDirection: options.followDirection || false,
+                cookie: this.createCookie(options.cookie),
+                shape: this.createShape(options.shape)
             };
         }
 
+        /**
+         * Create shape data for an area or line light
+         * Shaped lights emit from a rotated rectangle (area) or segment (line)
+         * and fall off over `radius` pixels beyond the shape's edge.
+         * @param {Object} options - {type: 'area'|'line', width, height, length, angle}
+         * @returns {Object|null} Shape data (angle in radians)
+         */
+        createShape(options) {
+            if (!options) return null;
+            if (options.type === 'area') {
+                return {
+                    type: 'area',
+                    width: options.width || 48,
+                    height: options.height || 48,
+                    angle: Utils.degToRad(options.angle || 0)
+                };
+            }
+            if (options.type === 'line') {
+                return {
+                    type: 'line',
+                    width: options.length || options.width || 96,
+                    height: 0,
+                    angle: Utils.degToRad(options.angle || 0)
+                };
+            }
+            return null;
+        }
+
+        /**
+         * Create a rectangular area light
+         * @param {Object} options - Light options plus width, height and angle (degrees)
+         * @returns {Object} Light data object
+         */
+        createAreaLight(options = {}) {
+            return this.createLight(Object.assign({}, options, {
+                isSpotlight: false,
+                shape: { type: 'area', width: options.width, height: options.height, angle: options.angle }
+            }));
+        }
+
+        /**
+         * Create a line (capsule) light
+         * @param {Object} options - Light options plus length and angle (degrees)
+         * @returns {Object} Light data object
+         */
+        createLineLight(options = {}) {
+            return this.createLight(Object.assign({}, options, {
+                isSpotlight: false,
+                shape: { type: 'line', length: options.length, angle: options.angle }
+            }));
+        }
+
+        /**
+         * Get a light's height above the ground
+         * Lights created before heights existed use the Light Height parameter.
+         * @param {Object} light - Light data
+         * @returns {number} Height in pixels
+         */
+        lightHeight(light) {
+            return light.height !== undefined ? light.height : Config.get('defaultLightHeight');
+        }
+
+        /**
+         * Get how far a light's emitter extends from its position
+         * @param {Object} light - Light data
+         * @returns {number} Extent in pixels (0 for point lights)
+         */
+        lightExtent(light) {
+            const shape = light.shape;
+            return shape ? Math.hypot(shape.width, shape.height) / 2 : 0;
+        }
+
+        /**
+         * Create cookie data for a light
+         * @param {string|Object} options - Image name or {name, scale, angle, spin}
+         * @returns {Object|null} Cookie data
+         */
+        createCookie(options) {
+            if (!options) return null;
+            if (typeof options === 'string') options = { name: options };
+            if (!options.name) return null;
+            return {
+                name: String(options.name),
+                scale: options.scale || 1.0,
+                angle: options.angle || 0,
+                spin: options.spin || 0
+            };
+        }
+
+        /**
+         * Parse a "name,scale,angle,spin" cookie string
+         * @param {string} paramsStr - Parameter string
+         * @returns {Object|null} Cookie data
+         */
+        parseCookieParams(paramsStr) {
+            const params = String(paramsStr || '').split(',').map(p => p.trim());
+            return this.createCookie({
+                name: params[0],
+                scale: params[1] ? parseFloat(params[1]) : 1.0,
+                angle: params[2] ? parseFloat(params[2]) : 0,
+                spin: params[3] ? parseFloat(params[3]) : 0
+            });
+        }
+
         /**
          * Create a spotlight data object
          * @param {Object} options - Spotlight options
@@ -60,6 +222,21 @@
             return light;
         }
 
+        /**
+         * Parse a "radius,intensity,color" string (note tags, plugin parameters)
+         * @param {string} paramsStr - Parameter string
+         * @returns {Object|null} Light options, or null for an empty string
+         */
+        parseLightParams(paramsStr) {
+            const params = String(paramsStr || '').split(',').map(p => p.trim()).filter(p => p);
+            if (params.length === 0) return null;
+            const options = {};
+            if (params[0]) options.radius = parseFloat(params[0]);
+            if (params[1]) options.intensity = parseFloat(params[1]);
+            if (params[2]) options.color = params[2];
+            return options;
+        }
+
         /**
          * Set player light
          * @param {boolean} enabled - Whether player light is enabled
@@ -122,6 +299,28 @@
             }
         }
 
+        /**
+         * Set or remove the player light cookie
+         * @param {string|Object|null} cookie - Image name, cookie options or null
+         */
+        setPlayerLightCookie(cookie) {
+            if (!this._playerLight) {
+                this.setPlayerLight(true);
+            }
+            this._playerLight.cookie = this.createCookie(cookie);
+        }
+
+        /**
+         * Set the player light height
+         * @param {number} height - Height above the ground in pixels
+         */
+        setPlayerLightHeight(height) {
+            if (!this._playerLight) {
+                this.setPlayerLight(true);
+            }
+            this._playerLight.height = height;
+        }
+
         /**
          * Get player light
          * @returns {Object|null} Player light data
@@ -132,13 +331,22 @@
 
         /**
          * Add a custom light
+         * Lights default to screen space. With options.space = 'map', x/y are
+         * map pixel coordinates and the light only appears on its map
+         * (options.mapId, or the current map).
+         * An existing light with the same ID is replaced.
          * @param {string} id - Unique light ID
          * @param {Object} options - Light options
          * @returns {Object} Light data object
          */
-        addCustomLight(id, options) {
+        addCustomLight(id, options = {}) {
+            this.removeCustomLight(id);
             const light = this.createLight(options);
             light.id = id;
+            light.space = options.space === 'map' ? 'map' : 'screen';
+            if (light.space === 'map') {
+                light.mapId = options.mapId || ($gameMap ? $gameMap.mapId() : 0);
+            }
             this._customLights.push(light);
             return light;
         }
@@ -174,6 +382,7 @@
                 if (options.x !== undefined) light.x = options.x;
                 if (options.y !== undefined) light.y = options.y;
                 if (options.radius !== undefined) light.radius = options.radius;
+                if (options.height !== undefined) light.height = options.height;
                 if (options.intensity !== undefined) light.intensity = options.intensity;
                 if (options.color !== undefined) {
                     light.color = options.color;
@@ -184,10 +393,161 @@
         }
 
         /**
-         * Clear all custom lights
+         * Get the screen position of a custom light
+         * @param {Object} light - Custom light data
+         * @returns {Object|null} {x, y} or null if the light is not on this map
          */
-        clearCustomLights() {
-            this._customLights = [];
+        customLightScreenPosition(light) {
+            if (light.space !== 'map') {
+                return { x: light.x, y: light.y };
+            }
+            if (!$gameMap || light.mapId !== $gameMap.mapId()) {
+                return null;
+            }
+            const tileWidth = $gameMap.tileWidth();
+            const tileHeight = $gameMap.tileHeight();
+            return {
+                x: Math.round($gameMap.adjustX(light.x / tileWidth) * tileWidth),
+                y: Math.round($gameMap.adjustY(light.y / tileHeight) * tileHeight)
+            };
+        }
+
+        /**
+         * Clear custom lights
+         * @param {number} [mapId] - Only clear map-space lights on this map
+         */
+        clearCustomLights(mapId) {
+            if (mapId === undefined) {
+                this._customLights = [];
+            } else {
+                this._customLights = this._customLights.filter(l => l.mapId !== mapId);
+            }
+        }
+
+        /**
+         * Register a character whose attached light should be rendered.
+         * Use this for characters created by other plugins; events, the
+         * player, followers and vehicles are collected automatically.
+         * Registrations are per map and cleared on map change.
+         * @param {Game_CharacterBase} character - Character with attachedLight()
+         */
+        registerCharacter(character) {
+            if (character && !this._characters.includes(character)) {
+                this._characters.push(character);
+                if (!this._characterIds.has(character)) {
+                    this._characterIds.set(character, 'character:' + this._nextCharacterId++);
+                }
+            }
+        }
+
+        /**
+         * Unregister a character
+         * @param {Game_CharacterBase} character - Character to remove
+         */
+        unregisterCharacter(character) {
+            const index = this._characters.indexOf(character);
+            if (index >= 0) {
+                this._characters.splice(index, 1);
+            }
+        }
+
+        /**
+         * Clear all registered characters
+         */
+        clearCharacters() {
+            this._characters = [];
+        }
+
+        /**
+         * Get all non-event characters that may carry an attached light
+         * @returns {Array} Characters
+         */
+        lightCharacters() {
+            const characters = [];
+            if ($gamePlayer) {
+                characters.push($gamePlayer);
+                characters.push(...$gamePlayer.followers().data());
+            }
+            if ($gameMap) {
+                characters.push(...$gameMap.vehicles());
+            }
+            return characters.concat(this._characters);
+        }
+
+        /**
+         * Get the stable id of a character's attached light
+         * @param {Game_CharacterBase} character - Light owner
+         * @returns {string} Light id
+         */
+        characterLightId(character) {
+            if (character === $gamePlayer) return 'attached:player';
+            if (character instanceof Game_Follower) {
+                return 'follower:' + $gamePlayer.followers().data().indexOf(character);
+            }
+            if (character instanceof Game_Vehicle) return 'vehicle:' + character._type;
+            return this._characterIds.get(character) || 'character:0';
+        }
+
+        /**
+         * Adjust a collected light before culling. Add-ons override this to
+         * animate lights (intensity, color, radius, direction, position) in
+         * every pipeline at once; the light data itself stays unchanged.
+         * @param {Object} light - Collected light (a copy with id, source and data)
+         */
+        adjustLight(light) {
+        }
+
+        /**
+         * Check whether a collected light reaches the screen
+         * @param {Object} light - Collected light
+         * @param {number} screenWidth - Screen width
+         * @param {number} screenHeight - Screen height
+         * @returns {boolean} True if visible
+         */
+        _isOnScreen(light, screenWidth, screenHeight) {
+            const reach = light.radius + this.lightExtent(light);
+            return light.x + reach >= 0 && light.x - reach <= screenWidth &&
+                light.y + reach >= 0 && light.y - reach <= screenHeight;
+        }
+
+        /**
+         * Add the light of a character at its screen position
+         * @param {string} id - Stable light id
+         * @param {Game_CharacterBase} character - Light owner
+         * @param {Object} data - Light data
+         * @param {number} screenWidth - Screen width for culling
+         * @param {number} screenHeight - Screen height for culling
+         */
+        _pushCharacterLight(id, character, data, screenWidth, screenHeight) {
+            let direction = data.direction;
+            if (data.isSpotlight && data.followDirection) {
+                direction = Utils.degToRad(Utils.directionToAngle(character.direction()));
+            }
+            
+            const light = {
+                id: id,
+                source: character,
+                data: data,
+                x: character.screenX(),
+                y: character.screenY() - 24, // Offset for character center
+                radius: data.radius,
+                height: this.lightHeight(data),
+                intensity: data.intensity,
+                color: data.color,
+                colorRgb: data.colorRgb,
+                isSpotlight: data.isSpotlight,
+                direction: direction,
+                coneAngle: data.coneAngle,
+                innerRadius: data.innerRadius,
+                cookie: data.cookie,
+                shape: data.shape
+            };
+            this.adjustLight(light);
+            
+            // Off-screen culling
+            if (this._isOnScreen(light, screenWidth, screenHeight)) {
+                this._activeLights.push(light);
+            }
         }
 
         /**
@@ -204,71 +564,255 @@
                 const events = $gameMap.events();
                 for (const event of events) {
                     if (event && event.hasLight && event.hasLight()) {
-                        const data = event.getLightData();
-                        const x = event.screenX();
-                        const y = event.screenY() - 24; // Offset for character center
-                        const radius = data.radius;
-                        
-                        // Off-screen culling
-                        if (x + radius < 0 || x - radius > screenWidth ||
-                            y + radius < 0 || y - radius > screenHeight) {
-                            continue;
-                        }
-                        
-                        this._activeLights.push({
-                            x: x,
-                            y: y,
-                            radius: radius,
-                            intensity: data.intensity,
-                            color: data.color,
-                            colorRgb: data.colorRgb,
-                            isSpotlight: data.isSpotlight,
-                            direction: data.direction,
-                            coneAngle: data.coneAngle,
-                            innerRadius: data.innerRadius
-                        });
+                        this._pushCharacterLight('event:' + event.eventId(), event,
+                            event.getLightData(), screenWidth, screenHeight);
                     }
                 }
             }
             
             // Add player light
             if (this._playerLight && this._playerLight.enabled && $gamePlayer) {
-                let direction = this._playerLight.direction;
-                
-                if (this._playerLight.isSpotlight && this._playerLight.followDirection) {
-                    direction = Utils.degToRad(Utils.directionToAngle($gamePlayer.direction()));
+                this._pushCharacterLight('player', $gamePlayer, this._playerLight, screenWidth, screenHeight);
+            }
+            
+            // Add lights attached to the player, followers, vehicles and
+            // registered characters
+            for (const character of this.lightCharacters()) {
+                const data = character.attachedLight ? character.attachedLight() : null;
+                if (data && data.enabled) {
+                    this._pushCharacterLight(this.characterLightId(character), character,
+                        data, screenWidth, screenHeight);
                 }
-                
-                this._activeLights.push({
-                    x: $gamePlayer.screenX(),
-                    y: $gamePlayer.screenY() - 24,
-                    radius: this._playerLight.radius,
-                    intensity: this._playerLight.intensity,
-                    color: this._playerLight.color,
-                    colorRgb: this._playerLight.colorRgb,
-                    isSpotlight: this._playerLight.isSpotlight,
-                    direction: direction,
-                    coneAngle: this._playerLight.coneAngle,
-                    innerRadius: this._playerLight.innerRadius
-                });
             }
             
             // Add custom lights
             for (const light of this._customLights) {
                 if (!light.enabled) continue;
                 
+                const pos = this.customLightScreenPosition(light);
+                if (!pos) continue;
+                
+                const collected = Object.assign({}, light, pos, {
+                    id: 'custom:' + light.id,
+                    source: null,
+                    data: light
+                });
+                this.adjustLight(collected);
+                
                 // Off-screen culling
-                if (light.x + light.radius < 0 || light.x - light.radius > screenWidth ||
-                    light.y + light.radius < 0 || light.y - light.radius > screenHeight) {
-                    continue;
+                if (this._isOnScreen(collected, screenWidth, screenHeight)) {
+                    this._activeLights.push(collected);
                 }
-                
-                this._activeLights.push(light);
             }
             
             return this._activeLights;
         }
 
+        /**
+         * Find a light collected this frame
+         * @param {string} id - Stable light id (see class comment)
+         * @returns {Object|null} Collected light
+         */
+        findLight(id) {
+            return this._activeLights.find(light => light.id === id) || null;
+        }
+
+        // =====================================================================
+        // Persistence
+        // =====================================================================
+
+        /**
+         * Copy the persistent fields of a light into a plain object
+         * @param {Object} light - Light data object
+         * @returns {Object|null} Serializable light snapshot
+         */
+        snapshotLight(light) {
+            if (!light) return null;
+            const snapshot = {};
+            for (const field of LIGHT_SAVE_FIELDS) {
+                if (light[field] !== undefined) {
+                    snapshot[field] = light[field];
+                }
+            }
+            if (snapshot.effect) {
+                snapshot.effect = JsonEx.makeDeepCopy(snapshot.effect);
+            }
+            if (snapshot.cookie) {
+                snapshot.cookie = Object.assign({}, snapshot.cookie);
+            }
+            if (snapshot.shape) {
+                snapshot.shape = Object.assign({}, snapshot.shape);
+            }
+            return snapshot;
+        }
+
+        /**
+         * Rebuild a light data object from a snapshot
+         * @param {Object} snapshot - Snapshot created by snapshotLight
+         * @returns {Object|null} Light data object
+         */
+        restoreLight(snapshot) {
+            if (!snapshot) return null;
+            const light = this.snapshotLight(snapshot);
+            light.color = light.color || Config.get('defaultColor');
+            light.colorRgb = Utils.hexToRgb(light.color);
+            light.height = this.lightHeight(light);
+            return light;
+        }
+
+        /**
+         * Build the key used for per-event overrides
+         * @param {number} mapId - Map ID
+         * @param {number} eventId - Event ID
+         * @returns {string} Override key
+         */
+        _eventKey(mapId, eventId) {
+            return mapId + ':' + eventId;
+        }
+
+        /**
+         * Remember the runtime state of an event light so that it survives
+         * map transfers and save/load
+         * @param {number} mapId - Map ID
+         * @param {number} eventId - Event ID
+         * @param {Object|null} lightData - Current light data (null clears)
+         * @param {number} [pageIndex] - Event page the light belongs to
+         */
+        setEventLightOverride(mapId, eventId, lightData, pageIndex) {
+            const key = this._eventKey(mapId, eventId);
+            if (lightData) {
+                const snapshot = this.snapshotLight(lightData);
+                if (pageIndex !== undefined) snapshot.pageIndex = pageIndex;
+                this._eventOverrides[key] = snapshot;
+            } else {
+                delete this._eventOverrides[key];
+            }
+        }
+
+        /**
+         * Get the stored override for an event light
+         * Overrides recorded on a different event page are ignored.
+         * @param {number} mapId - Map ID
+         * @param {number} eventId - Event ID
+         * @param {number} [pageIndex] - Current event page
+         * @returns {Object|null} Light data rebuilt from the override
+         */
+        getEventLightOverride(mapId, eventId, pageIndex) {
+            const snapshot = this._eventOverrides[this._eventKey(mapId, eventId)];
+            if (!snapshot) return null;
+            if (snapshot.pageIndex !== undefined && pageIndex !== undefined &&
+                snapshot.pageIndex !== pageIndex) {
+                return null;
+            }
+            return this.restoreLight(snapshot);
+        }
+
+        /**
+         * Forget the stored override for an event light
+         * @param {number} mapId - Map ID
+         * @param {number} eventId - Event ID
+         */
+        clearEventLightOverride(mapId, eventId) {
+            delete this._eventOverrides[this._eventKey(mapId, eventId)];
+        }
+
+        /**
+         * Create save data for custom lights, player light and event overrides
+         * @returns {Object} Save contents
+         */
+        makeSaveContents() {
+            return {
+                customLights: this._customLights.map(light => this.snapshotLight(light)),
+                playerLight: this.snapshotLight(this._playerLight),
+                eventOverrides: JsonEx.makeDeepCopy(this._eventOverrides)
+            };
+        }
+
+        /**
+         * Restore state from save data
+         * @param {Object} contents - Save contents from makeSaveContents
+         */
+        extractSaveContents(contents) {
+            this.reset();
+            if (!contents) return;
+            this._customLights = (contents.customLights || []).map(light => this.restoreLight(light));
+            this._playerLight = this.restoreLight(contents.playerLight);
+            this._eventOverrides = contents.eventOverrides || {};
+            Debug.log('Lighting state restored:', this._customLights.length, 'custom lights,',
+                Object.keys(this._eventOverrides).length, 'event overrides');
+        }
+
+        /**
+         * Estimate how much a light contributes to the current screen
+         * (intensity x brightest color channel x on-screen area of its bounds)
+         * @param {Object} light - Collected light
+         * @param {number} screenWidth - Screen width
+         * @param {number} screenHeight - Screen height
+         * @returns {number} Contribution score
+         */
+        lightContribution(light, screenWidth, screenHeight) {
+            const reach = light.radius + this.lightExtent(light);
+            const w = Math.min(light.x + reach, screenWidth) - Math.max(light.x - reach, 0);
+            const h = Math.min(light.y + reach, screenHeight) - Math.max(light.y - reach, 0);
+            if (w <= 0 || h <= 0) return 0;
+            const rgb = light.colorRgb || Utils.hexToRgb(light.color);
+            const brightness = Math.max(rgb.r, rgb.g, rgb.b);
+            return (light.intensity || 0) * brightness * w * h;
+        }
+
+        /**
+         * Sort lights by screen contribution and split them into render passes.
+         * Lights that do not fit into maxPasses x batchSize are dropped and
+         * counted in getStats().
+         * @param {Array} lights - Collected lights
+         * @param {number} batchSize - Lights per pass (shader MAX_LIGHTS)
+         * @param {number} maxPasses - Maximum number of passes
+         * @param {number} screenWidth - Screen width
+         * @param {number} screenHeight - Screen height
+         * @returns {Array<Array>} Light batches, most important first
+         */
+        prioritizeLights(lights, batchSize, maxPasses, screenWidth, screenHeight) {
+            const capacity = batchSize * maxPasses;
+            let sorted = lights;
+            
+            if (lights.length > batchSize) {
+                const scores = new Map();
+                for (const light of lights) {
+                    scores.set(light, this.lightContribution(light, screenWidth, screenHeight));
+                }
+                sorted = lights.slice().sort((a, b) => scores.get(b) - scores.get(a));
+            }
+            
+            const rendered = sorted.slice(0, capacity);
+            this._renderedLights = rendered;
+            const batches = [];
+            for (let i = 0; i < rendered.length; i += batchSize) {
+                batches.push(rendered.slice(i, i + batchSize));
+            }
+            
+            const dropped = lights.length - rendered.length;
+            if (dropped > 0 && dropped !== this._stats.dropped) {
+                Debug.warn('Light budget exceeded:', dropped, 'of', lights.length,
+                    'lights dropped (MaxLights x MaxLightPasses =', capacity + ')');
+            }
+            this._stats = {
+                visible: lights.length,
+                rendered: rendered.length,
+                dropped: dropped,
+                passes: batches.length
+            };
+            
+            return batches;
+        }
+
+        /**
+         * Get statistics of the last prioritizeLights call
+         * @returns {Object} {visible, rendered, dropped, passes}
+         */
+        getStats() {
+            return Object.assign({}, this._stats);
+        }
+
         /**
          * Get the last collected active lights
          * @returns {Array} Array of active lights
@@ -276,6 +820,14 @@
         getActiveLights() {
             return this._activeLights;
         }
+
+        /**
+         * Get the lights rendered this frame, most important first
+         * @returns {Array} Lights that made it into a render pass
+         */
+        getRenderedLights() {
+            return this._renderedLights;
+        }
     }
 
     // Create singleton instance
@@ -285,5 +837,6 @@
     window.DynamicLighting = window.DynamicLighting || {};
     window.DynamicLighting.LightManager = instance;
     window.DynamicLighting.LightManagerClass = LightManager;
+    window.DynamicLighting.LIGHT_SAVE_FIELDS = LIGHT_SAVE_FIELDS;
 
 })();
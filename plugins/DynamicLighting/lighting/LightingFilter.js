@@ -10,30 +10,36 @@
     const Config = window.DynamicLighting.Config;
     const Debug = window.DynamicLighting.Debug;
     const ShaderLoader = window.DynamicLighting.ShaderLoader;
+    const CookieAtlas = window.DynamicLighting.CookieAtlas;
 
     /**
      * Generate fragment shader with dynamic MAX_LIGHTS
      * Loads shader from external .frag file
      * @param {number} maxLights - Maximum number of lights
+     * @param {boolean} accumulation - Build the light accumulation variant
      * @returns {string} GLSL fragment shader
      */
-    function generateFragmentShader(maxLights) {
+    function generateFragmentShader(maxLights, accumulation) {
         const shaderSource = ShaderLoader.loadShaderSync('lighting.frag');
         return ShaderLoader.processShader(shaderSource, {
-            MAX_LIGHTS: maxLights
+            DEFINES: accumulation ? '#define ACCUMULATION' : '',
+            MAX_LIGHTS: maxLights,
+            COOKIE_GRID: CookieAtlas.gridSize.toFixed(1)
         });
     }
 
     /**
      * Dynamic Lighting Filter class
+     * With options.accumulation the filter outputs only the summed point
+     * light contribution (scaled by 0.5), used for extra light passes.
      * @extends PIXI.Filter
      */
     class DynamicLightingFilter extends PIXI.Filter {
-        constructor(maxLights) {
+        constructor(maxLights, options = {}) {
             const config = Config.getAll();
             maxLights = maxLights || config.maxLights || 50;
             
-            const fragmentShader = generateFragmentShader(maxLights);
+            const fragmentShader = generateFragmentShader(maxLights, !!options.accumulation);
             super(null, fragmentShader);
             
             this._maxLights = maxLights;
@@ -48,6 +54,11 @@
             this.uniforms.uLightData = new Float32Array(maxLights * 4);
             this.uniforms.uLightColors = new Float32Array(maxLights * 3);
             this.uniforms.uSpotlightData = new Float32Array(maxLights * 4);
+            this.uniforms.uCookieData = new Float32Array(maxLights * 4);
+            this.uniforms.uShapeData = new Float32Array(maxLights * 4);
+            
+            // Cookie atlas
+            this.uniforms.uCookieAtlas = CookieAtlas.texture;
             
             // Shadow map uniforms
             this.uniforms.uShadowMap = PIXI.Texture.WHITE;
@@ -84,6 +95,27 @@
             this.uniforms.uSpriteShadowMap = PIXI.Texture.WHITE;
             this.uniforms.uSpriteShadowsEnabled = false;
             
+            // Normal map uniforms
+            this.uniforms.uNormalMap = PIXI.Texture.WHITE;
+            this.uniforms.uNormalMapEnabled = false;
+            this.uniforms.uNormalMapStrength = config.normalMapStrength;
+            this.uniforms.uSunElevation = 0.5;
+            
+            // Extra light passes
+            this.uniforms.uLightAccumulation = PIXI.Texture.WHITE;
+            this.uniforms.uLightAccumulationEnabled = false;
+            
+            // Emissive mask
+            this.uniforms.uEmissiveMap = PIXI.Texture.WHITE;
+            this.uniforms.uEmissiveEnabled = false;
+            
+            // Ambient zones
+            this.uniforms.uAmbientZoneMap = PIXI.Texture.WHITE;
+            this.uniforms.uAmbientZonesEnabled = false;
+            this.uniforms.uAmbientZoneMapSize = [1, 1];
+            this.uniforms.uAmbientZonePadding = 0;
+            this.uniforms.uAmbientZoneBlend = config.ambientZoneBlend;
+            
             Debug.log('DynamicLightingFilter created with max', maxLights, 'lights');
         }
 
@@ -192,6 +224,67 @@
             this.uniforms.uSunShadowsEnabled = enabled;
         }
 
+        /**
+         * Set normal map texture
+         * @param {PIXI.Texture} texture - Screen-space normal map
+         * @param {boolean} enabled - Whether normal mapping is enabled
+         */
+        setNormalMap(texture, enabled) {
+            if (texture) {
+                this.uniforms.uNormalMap = texture;
+            }
+            this.uniforms.uNormalMapEnabled = enabled;
+        }
+
+        /**
+         * Set accumulated light from extra light passes
+         * @param {PIXI.Texture} texture - Accumulation texture
+         * @param {boolean} enabled - Whether extra passes were rendered
+         */
+        setLightAccumulation(texture, enabled) {
+            if (texture) {
+                this.uniforms.uLightAccumulation = texture;
+            }
+            this.uniforms.uLightAccumulationEnabled = enabled;
+        }
+
+        /**
+         * Set emissive mask
+         * @param {PIXI.Texture} texture - Screen-space emissive mask
+         * @param {boolean} enabled - Whether emissive pixels are used
+         */
+        setEmissiveMap(texture, enabled) {
+            if (texture) {
+                this.uniforms.uEmissiveMap = texture;
+            }
+            this.uniforms.uEmissiveEnabled = enabled;
+        }
+
+        /**
+         * Set ambient zone map
+         * @param {AmbientZoneMap|null} zoneMap - Per-tile ambient map, or null to disable
+         * @param {number} blend - How much each area keeps its own ambient (0-1)
+         */
+        setAmbientZoneMap(zoneMap, blend) {
+            if (!zoneMap) {
+                this.uniforms.uAmbientZonesEnabled = false;
+                return;
+            }
+            this.uniforms.uAmbientZoneMap = zoneMap.texture;
+            this.uniforms.uAmbientZoneMapSize = [zoneMap.width, zoneMap.height];
+            this.uniforms.uAmbientZonePadding = zoneMap.padding;
+            this.uniforms.uAmbientZoneBlend = blend;
+            this.uniforms.uAmbientZonesEnabled = true;
+        }
+
+        /**
+         * Set sun elevation used for normal-mapped sun shading
+         * @param {number} elevation - Height of the sun direction vector (0 = horizon)
+         */
+        setSunElevation(elevation) {
+            this.uniforms.uSunElevation = elevation;
+        }
+
         /**
          * Update all lights in a single batch
          * @param {Array} lights - Array of light objects
@@ -207,6 +300,9 @@
             const lightData = this.uniforms.uLightData;
             const lightColors = this.uniforms.uLightColors;
             const spotlightData = this.uniforms.uSpotlightData;
+            const cookieData = this.uniforms.uCookieData;
+            const shapeData = this.uniforms.uShapeData;
+            const time = Graphics.frameCount / 60;
             
             for (let i = 0; i < count; i++) {
                 const light = lights[i];
@@ -228,6 +324,27 @@
                 spotlightData[spotOffset + 1] = light.coneAngle || Math.PI;
                 spotlightData[spotOffset + 2] = light.innerRadius || 0;
                 spotlightData[spotOffset + 3] = light.isSpotlight ? 1.0 : 0.0;
+                
+                // Cookie: x = atlas slot (-1 = none), y = rotation, z = scale.
+                // w carries the light height so it needs no array of its own.
+                const cookieOffset = i * 4;
+                const cookie = light.cookie;
+                const slot = cookie ? CookieAtlas.slotFor(cookie.name) : -1;
+                cookieData[cookieOffset] = slot;
+                cookieData[cookieOffset + 3] = light.height !== undefined ? light.height : Config.get('defaultLightHeight');
+                if (slot >= 0) {
+                    cookieData[cookieOffset + 1] = (light.direction || 0) +
+                        Utils.degToRad(cookie.angle + cookie.spin * time);
+                    cookieData[cookieOffset + 2] = cookie.scale;
+                }
+                
+                // Shape: x/y = half extents, z = rotation, w = 1 for area/line lights
+                const shapeOffset = i * 4;
+                const shape = light.shape;
+                shapeData[shapeOffset] = shape ? shape.width / 2 : 0;
+                shapeData[shapeOffset + 1] = shape ? shape.height / 2 : 0;
+                shapeData[shapeOffset + 2] = shape ? shape.angle : 0;
+                shapeData[shapeOffset + 3] = shape ? 1.0 : 0.0;
             }
             
             // Zero out unused lights
@@ -0,0 +1,270 @@
+/**
+ * DynamicLighting - Normal Map Generator
+ * Renders a screen-space normal pass from *_n.png tileset and character images
+ * @module DynamicLighting/lighting/NormalMapGenerator
+ */
+
+(function() {
+    'use strict';
+
+    const Debug = window.DynamicLighting.Debug;
+
+    const NORMAL_SUFFIX = '_n';
+
+    /**
+     * Load the normal map companion of an image without going through
+     * ImageManager, so a missing file is not reported as a load error
+     * @param {string} folder - Image folder (e.g. 'img/tilesets/')
+     * @param {string} filename - Base image name
+     * @returns {Bitmap|null} Normal map bitmap, or null for an empty name
+     */
+    function loadNormalBitmap(folder, filename) {
+        if (!filename) return null;
+        return Bitmap.load(folder + window.Utils.encodeURI(filename + NORMAL_SUFFIX) + '.png');
+    }
+
+    /**
+     * Proxy that draws a character's normal map in place of its sprite.
+     * A character without a normal map erases its silhouette instead, so
+     * the tile normals behind it do not shade it and it stays flat.
+     * @extends Sprite
+     */
+    class NormalCharacterSprite extends Sprite {
+        constructor(source) {
+            super();
+            this._source = source;
+            this.anchor.x = 0.5;
+            this.anchor.y = 1;
+        }
+
+        /**
+         * Mirror the source sprite's frame and position
+         * @param {NormalMapGenerator} generator - Owner (provides bitmaps)
+         */
+        sync(generator) {
+            const source = this._source;
+            const character = source._character;
+            const normal = character && !character.tileId() ?
+                generator.characterNormal(character.characterName()) : null;
+
+            this.visible = !!(source.visible && source.bitmap && source.bitmap.isReady());
+            if (!this.visible) return;
+
+            const hasNormal = !!(normal && normal.isReady());
+            const bitmap = hasNormal ? normal : source.bitmap;
+            if (this.bitmap !== bitmap) {
+                this.bitmap = bitmap;
+            }
+            this.blendMode = hasNormal ? PIXI.BLEND_MODES.NORMAL : PIXI.BLEND_MODES.ERASE;
+            const frame = source._frame;
+            this.setFrame(frame.x, frame.y, frame.width, frame.height);
+            this.x = source.x;
+            this.y = source.y;
+            this.z = source.z;
+            this.spriteId = source.spriteId;
+            this.scale.x = source.scale.x;
+            this.scale.y = source.scale.y;
+        }
+
+        get source() {
+            return this._source;
+        }
+    }
+
+    /**
+     * Normal Map Generator
+     * Keeps a second tilemap (with *_n tileset images) and character proxies
+     * in sync with the spriteset and renders them into a screen-sized texture.
+     * Pixels without a normal map stay transparent (characters without one
+     * are erased), which the lighting shader treats as "flat" so such
+     * assets are lit exactly as before.
+     */
+    class NormalMapGenerator {
+        constructor() {
+            this._tilemap = null;
+            this._renderTexture = null;
+            this._tilesetNormals = [];
+            this._tilesetPending = false;
+            this._placeholders = [];
+            this._characterNormals = {};
+            this._proxies = [];
+            this._destroyed = false;
+
+            this._createTilemap();
+            this._createRenderTexture();
+        }
+
+        _createTilemap() {
+            this._tilemap = new Tilemap();
+            this._tilemap.tileWidth = $gameMap.tileWidth();
+            this._tilemap.tileHeight = $gameMap.tileHeight();
+            this._tilemap.setData($gameMap.width(), $gameMap.height(), $gameMap.data());
+            this._tilemap.horizontalWrap = $gameMap.isLoopHorizontally();
+            this._tilemap.verticalWrap = $gameMap.isLoopVertically();
+
+            const tileset = $gameMap.tileset();
+            if (tileset) {
+                this._tilemap.flags = $gameMap.tilesetFlags();
+                this._tilesetNormals = tileset.tilesetNames.map(name => loadNormalBitmap('img/tilesets/', name));
+                this._tilesetPending = true;
+            }
+        }
+
+        _createRenderTexture() {
+            this._renderTexture = PIXI.RenderTexture.create({
+                width: Graphics.width,
+                height: Graphics.height,
+                scaleMode: PIXI.SCALE_MODES.NEAREST,
+                resolution: 1
+            });
+            Debug.log('NormalMapGenerator created:', Graphics.width, 'x', Graphics.height);
+        }
+
+        /**
+         * Hand the tileset normals to the tilemap once every file has either
+         * loaded or failed. Missing files become transparent placeholders.
+         */
+        _updateTilesetNormals() {
+            if (!this._tilesetPending) return;
+
+            const bitmaps = this._tilesetNormals;
+            if (bitmaps.some(bitmap => bitmap && !bitmap.isReady() && !bitmap.isError())) {
+                return;
+            }
+
+            const tileset = $gameMap.tileset();
+            const finalBitmaps = bitmaps.map((bitmap, index) => {
+                if (bitmap && bitmap.isReady()) return bitmap;
+                const base = ImageManager.loadTileset(tileset.tilesetNames[index]);
+                const placeholder = new Bitmap(Math.max(1, base.width), Math.max(1, base.height));
+                this._placeholders.push(placeholder);
+                return placeholder;
+            });
+
+            this._tilemap.setBitmaps(finalBitmaps);
+            this._tilesetPending = false;
+            Debug.log('Tileset normal maps ready:',
+                bitmaps.filter(bitmap => bitmap && bitmap.isReady()).length, 'found');
+        }
+
+        /**
+         * Get the normal map of a character image
+         * @param {string} characterName - Character image name
+         * @returns {Bitmap|null} Normal map, or null if the image has none
+         */
+        characterNormal(characterName) {
+            if (!characterName) return null;
+            if (!(characterName in this._characterNormals)) {
+                this._characterNormals[characterName] = loadNormalBitmap('img/characters/', characterName);
+            }
+            const bitmap = this._characterNormals[characterName];
+            return bitmap && !bitmap.isError() ? bitmap : null;
+        }
+
+        /**
+         * Keep one proxy per character sprite
+         * @param {Array} characterSprites - Spriteset character sprites
+         */
+        _updateProxies(characterSprites) {
+            if (this._proxies.length !== characterSprites.length ||
+                this._proxies.some((proxy, i) => proxy.source !== characterSprites[i])) {
+                for (const proxy of this._proxies) {
+                    this._tilemap.removeChild(proxy);
+                    proxy.destroy();
+                }
+                this._proxies = characterSprites.map(sprite => new NormalCharacterSprite(sprite));
+                for (const proxy of this._proxies) {
+                    this._tilemap.addChild(proxy);
+                }
+            }
+            for (const proxy of this._proxies) {
+                proxy.sync(this);
+            }
+        }
+
+        /**
+         * Render the normal pass
+         * @param {Tilemap} sourceTilemap - The spriteset's tilemap
+         * @param {Array} characterSprites - Spriteset character sprites
+         * @param {PIXI.Renderer} renderer - PIXI renderer
+         */
+        update(sourceTilemap, characterSprites, renderer) {
+            if (this._destroyed || !renderer) return;
+
+            this._updateTilesetNormals();
+            if (this._tilesetPending) return;
+
+            this._tilemap.origin.x = sourceTilemap.origin.x;
+            this._tilemap.origin.y = sourceTilemap.origin.y;
+            this._tilemap.animationCount = sourceTilemap.animationCount;
+            this._tilemap.animationFrame = sourceTilemap.animationFrame;
+            this._updateProxies(characterSprites);
+
+            try {
+                renderer.render(this._tilemap, {
+                    renderTexture: this._renderTexture,
+                    clear: true
+                });
+            } catch (e) {
+                try {
+                    renderer.render(this._tilemap, this._renderTexture, true);
+                } catch (e2) {
+                    Debug.warn('Failed to render normal map:', e2);
+                }
+            }
+        }
+
+        /**
+         * Check whether the normal pass has been rendered
+         * @returns {boolean} True once tileset normals are resolved
+         */
+        isReady() {
+            return !this._destroyed && !this._tilesetPending;
+        }
+
+        /**
+         * Destroy resources
+         */
+        destroy() {
+            if (this._destroyed) return;
+            this._destroyed = true;
+
+            for (const proxy of this._proxies) {
+                proxy.destroy();
+            }
+            this._proxies = [];
+            if (this._tilemap) {
+                this._tilemap.destroy();
+                this._tilemap = null;
+            }
+            if (this._renderTexture) {
+                this._renderTexture.destroy(true);
+                this._renderTexture = null;
+            }
+            
+            // Normal bitmaps bypass ImageManager's cache, so free them here
+            const bitmaps = this._tilesetNormals
+                .concat(this._placeholders)
+                .concat(Object.values(this._characterNormals));
+            for (const bitmap of bitmaps) {
+                if (bitmap) bitmap.destroy();
+            }
+            this._characterNormals = {};
+            this._tilesetNormals = [];
+            this._placeholders = [];
+        }
+
+        /**
+         * Get the normal map texture
+         * @returns {PIXI.RenderTexture} Normal map texture
+         */
+        get texture() {
+            return this._renderTexture;
+        }
+    }
+
+    // Export
+    window.DynamicLighting = window.DynamicLighting || {};
+    window.DynamicLighting.NormalMapGenerator = NormalMapGenerator;
+
+})();
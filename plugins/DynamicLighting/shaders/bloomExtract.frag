@@ -0,0 +1,21 @@
+precision highp float;
+
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+
+uniform float uThreshold;
+
+// Soft knee width around the threshold
+#define KNEE 0.1
+
+void main(void) {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+    float brightness = max(color.r, max(color.g, color.b));
+    
+    // Keep only the part of each pixel above the threshold
+    float excess = smoothstep(uThreshold - KNEE, uThreshold + KNEE, brightness) *
+                   max(brightness - uThreshold + KNEE, 0.0);
+    float contribution = excess / max(brightness, 0.0001);
+    
+    gl_FragColor = vec4(color.rgb * contribution, 1.0);
+}
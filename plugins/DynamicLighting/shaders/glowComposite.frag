@@ -0,0 +1,13 @@
+precision highp float;
+
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform sampler2D uGlowTexture;
+uniform float uStrength;
+
+void main(void) {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+    vec3 glow = texture2D(uGlowTexture, vTextureCoord).rgb;
+    
+    gl_FragColor = vec4(color.rgb + glow * uStrength, color.a);
+}
@@ -0,0 +1,18 @@
+precision highp float;
+
+varying vec2 vTextureCoord;
+uniform sampler2D uSampler;
+uniform sampler2D uGlowMask;
+
+// Filter frame (provided by PIXI) and screen size for mask lookup
+uniform vec4 inputSize;
+uniform vec4 outputFrame;
+uniform vec2 uScreenSize;
+
+void main(void) {
+    vec4 color = texture2D(uSampler, vTextureCoord);
+    vec2 screenPos = vTextureCoord * inputSize.xy + outputFrame.xy;
+    float mask = texture2D(uGlowMask, screenPos / uScreenSize).a;
+    
+    gl_FragColor = vec4(color.rgb * mask, 1.0);
+}
@@ -1,5 +1,7 @@
 precision highp float;
 
+${DEFINES}
+
 varying vec2 vTextureCoord;
 uniform sampler2D uSampler;
 uniform sampler2D uShadowMap;
@@ -7,6 +9,10 @@ uniform sampler2D uRegionMap;
 uniform sampler2D uTileTypeMap;
 uniform sampler2D uSunShadowMap;
 uniform sampler2D uSpriteShadowMap;
+uniform sampler2D uCookieAtlas;
+uniform sampler2D uNormalMap;
+uniform sampler2D uLightAccumulation;
+uniform sampler2D uEmissiveMap;
 
 uniform vec3 uAmbientColor;
 uniform float uAmbientIntensity;
@@ -36,10 +42,29 @@ uniform bool uSunShadowsEnabled;
 // Sprite shadow parameters
 uniform bool uSpriteShadowsEnabled;
 
+// Extra light passes (point light sum stored at half scale)
+uniform bool uLightAccumulationEnabled;
+
+// Normal map parameters
+uniform bool uNormalMapEnabled;
+uniform float uNormalMapStrength;
+uniform float uSunElevation;
+
+// Emissive mask (coverage in alpha)
+uniform bool uEmissiveEnabled;
+
+// Ambient zones (per-tile ambient, linearly filtered)
+uniform sampler2D uAmbientZoneMap;
+uniform bool uAmbientZonesEnabled;
+uniform vec2 uAmbientZoneMapSize;
+uniform float uAmbientZonePadding;
+uniform float uAmbientZoneBlend;
+
 // Debug mode
 uniform int uDebugMode;
 
 #define MAX_LIGHTS ${MAX_LIGHTS}
+#define COOKIE_GRID ${COOKIE_GRID}
 #define PI 3.14159265359
 #define TWO_PI 6.28318530718
 #define REGION_PADDING 10.0
@@ -54,6 +79,8 @@ uniform int uDebugMode;
 uniform vec4 uLightData[MAX_LIGHTS];
 uniform vec3 uLightColors[MAX_LIGHTS];
 uniform vec4 uSpotlightData[MAX_LIGHTS];
+uniform vec4 uCookieData[MAX_LIGHTS];
+uniform vec4 uShapeData[MAX_LIGHTS];
 uniform int uActiveLightCount;
 
 // === OBSTACLE DETECTION ===
@@ -67,8 +94,9 @@ bool isObstacleAt(vec2 worldTilePos) {
         return false;
     }
     
-    float region = texture2D(uRegionMap, regionUV).r;
-    return region > 0.5;
+    // Translucent tiles absorb only part of the light and are not obstacles
+    vec3 absorption = texture2D(uRegionMap, regionUV).rgb;
+    return min(absorption.r, min(absorption.g, absorption.b)) > 0.99;
 }
 
 bool isOnObstacle(vec2 pixelPos) {
@@ -157,9 +185,16 @@ float angleDiff(float a, float b) {
     return abs(diff);
 }
 
+// The shadow map has three rows per light: row 0 holds hit distances,
+// row 1 the light color transmitted through translucent tiles and
+// row 2 the stretch shaded by obstacles lower than the light
+float shadowRowCoord(float lightIndex, float row) {
+    return (lightIndex * 3.0 + row + 0.5) / float(MAX_LIGHTS * 3);
+}
+
 float sampleShadowMap(float angle, float lightIndex, float distance, float blur) {
     float angleCoord = (angle + PI) / TWO_PI;
-    float yCoord = (lightIndex + 0.5) / float(MAX_LIGHTS);
+    float yCoord = shadowRowCoord(lightIndex, 0.0);
     float blurAmount = blur / uShadowMapResolution;
     
     float litSum = 0.0;
@@ -199,30 +234,128 @@ float sampleShadowMap(float angle, float lightIndex, float distance, float blur)
     return litSum;
 }
 
+// Light color left after translucent tiles, blended in across them
+vec3 sampleTransmission(float angle, float lightIndex, float distance) {
+    float angleCoord = (angle + PI) / TWO_PI;
+    vec3 span = texture2D(uShadowMap, vec2(angleCoord, shadowRowCoord(lightIndex, 0.0))).rgb;
+    if (distance <= span.g) return vec3(1.0);
+    
+    vec3 transmitted = texture2D(uShadowMap, vec2(angleCoord, shadowRowCoord(lightIndex, 1.0))).rgb;
+    float t = smoothstep(span.g, max(span.b, span.g + 0.001), distance);
+    return mix(vec3(1.0), transmitted, t);
+}
+
+// Shadow of obstacles lower than the light: dark only between their near
+// edge and the end of their short shadow
+float sampleLowShadow(float angle, float lightIndex, float distance) {
+    float angleCoord = (angle + PI) / TWO_PI;
+    vec2 span = texture2D(uShadowMap, vec2(angleCoord, shadowRowCoord(lightIndex, 2.0))).rg;
+    if (span.x >= 1.0) return 1.0;
+    
+    float edge = 0.02;
+    return 1.0 - smoothstep(span.x - edge, span.x, distance) * (1.0 - smoothstep(span.y - edge, span.y, distance));
+}
+
+// === LIGHT COOKIE ===
+
+// cookieData: x = atlas slot (-1 = none), y = rotation, z = scale,
+// w = light height above the ground (not part of the cookie)
+// The cookie covers a square of 2 * radius * scale centered on the light,
+// with the image's right edge pointing along the rotation.
+vec3 sampleCookie(vec2 toPixel, float radius, vec4 cookieData) {
+    float slot = cookieData.x;
+    if (slot < 0.0) return vec3(1.0);
+    
+    float c = cos(cookieData.y);
+    float s = sin(cookieData.y);
+    vec2 local = vec2(toPixel.x * c + toPixel.y * s, -toPixel.x * s + toPixel.y * c);
+    vec2 cookieUV = local / (radius * cookieData.z) * 0.5 + 0.5;
+    
+    if (cookieUV.x < 0.0 || cookieUV.x > 1.0 || cookieUV.y < 0.0 || cookieUV.y > 1.0) {
+        return vec3(0.0);
+    }
+    
+    // Keep half a texel away from the cell border to avoid bleeding
+    cookieUV = clamp(cookieUV, 0.5 / 256.0, 1.0 - 0.5 / 256.0);
+    float cellIndex = floor(slot + 0.5);
+    vec2 cell = vec2(floor(mod(cellIndex, COOKIE_GRID)), floor(cellIndex / COOKIE_GRID));
+    
+    // Atlas is premultiplied, so rgb already includes the alpha mask
+    return texture2D(uCookieAtlas, (cell + cookieUV) / COOKIE_GRID).rgb;
+}
+
+// === AREA / LINE LIGHT SHAPE ===
+
+// shapeData: x/y = half extents, z = rotation, w = 1 for shaped lights
+// Returns the offset from the nearest point of the emitter (a rotated box;
+// a line is a box with zero height, which makes the falloff a capsule).
+vec2 shapeOffset(vec2 toPixel, vec4 shapeData) {
+    float c = cos(shapeData.z);
+    float s = sin(shapeData.z);
+    vec2 local = vec2(toPixel.x * c + toPixel.y * s, -toPixel.x * s + toPixel.y * c);
+    vec2 outside = local - clamp(local, -shapeData.xy, shapeData.xy);
+    return vec2(outside.x * c - outside.y * s, outside.x * s + outside.y * c);
+}
+
+// === NORMAL MAPPING ===
+
+// Screen-space surface normal (y down), or a zero vector where no
+// normal map was drawn
+vec3 sampleNormal(vec2 pixelPos) {
+    if (!uNormalMapEnabled) return vec3(0.0);
+    vec4 texel = texture2D(uNormalMap, pixelPos / uResolution);
+    if (texel.a < 0.5) return vec3(0.0);
+    
+    // Normal maps are green-up; the render texture is premultiplied
+    vec3 rgb = texel.rgb / texel.a;
+    return normalize(vec3(rgb.r * 2.0 - 1.0, 1.0 - rgb.g * 2.0, rgb.b * 2.0 - 1.0));
+}
+
+// Diffuse shading relative to a flat surface, so flat normals and pixels
+// without a normal map keep the unshaded result
+float normalShading(vec3 normal, vec3 toLight) {
+    if (dot(normal, normal) < 0.5) return 1.0;
+    vec3 l = normalize(toLight);
+    float shade = clamp(max(dot(normal, l), 0.0) / max(l.z, 0.1), 0.0, 2.0);
+    return mix(1.0, shade, uNormalMapStrength);
+}
+
 // === POINT LIGHT CALCULATION ===
 
 vec3 calculateLight(vec2 pixelPos, vec4 lightData, vec3 lightColor, vec4 spotData, 
-                   float lightIndex, bool onObstacle, int tileType) {
+                   vec4 cookieData, vec4 shapeData, float lightIndex, bool onObstacle, int tileType,
+                   vec3 normal) {
     vec2 lightPos = lightData.xy;
     float radius = lightData.z;
     float intensity = lightData.w;
+    float lightHeight = cookieData.w;
     
     if (intensity <= 0.0) return vec3(0.0);
     
     vec2 toPixel = pixelPos - lightPos;
     float dist = length(toPixel);
     
-    if (dist >= radius) return vec3(0.0);
+    // Shaped lights fall off from the emitter edge, but their shadow map
+    // is cast from the center and covers radius + emitter extent
+    vec2 emitterOffset = toPixel;
+    float shadowRadius = radius;
+    if (shapeData.w > 0.5) {
+        emitterOffset = shapeOffset(toPixel, shapeData);
+        shadowRadius = radius + length(shapeData.xy);
+    }
+    float falloffDist = length(emitterOffset);
+    
+    if (falloffDist >= radius) return vec3(0.0);
     
     float spotDirection = spotData.x;
     float coneAngle = spotData.y;
     float innerRadius = spotData.z;
     float isSpotlight = spotData.w;
     
-    if (dist < innerRadius) return vec3(0.0);
+    if (falloffDist < innerRadius) return vec3(0.0);
     
     float effectiveRadius = radius - innerRadius;
-    float effectiveDist = dist - innerRadius;
+    float effectiveDist = falloffDist - innerRadius;
     float normalizedDist = effectiveDist / effectiveRadius;
     
     float pixelAngle = atan(toPixel.y, toPixel.x);
@@ -288,17 +421,19 @@ vec3 calculateLight(vec2 pixelPos, vec4 lightData, vec3 lightColor, vec4 spotDat
     
     // Shadow calculation
     float shadow = 1.0;
+    vec3 transmission = vec3(1.0);
     
-    // WALL_TOP tiles always ignore shadows - full light
+    // WALL_TOP tiles ignore shadows, but lights below one tile of height
+    // only graze them
     if (tileType == TILE_WALL_TOP) {
-        shadow = 1.0;
+        shadow = clamp(lightHeight / uTileSize.y, 0.0, 1.0);
     } else if (uShadowsEnabled && dist > 1.0) {
         float blur = smoothstep(0.0, 1.0, normalizedDist) * uShadowSoftness;
-        float shadowDist = dist / radius;
+        float shadowDist = dist / shadowRadius;
         
         if (onObstacle) {
             float angleCoord = (pixelAngle + PI) / TWO_PI;
-            float yCoord = (lightIndex + 0.5) / float(MAX_LIGHTS);
+            float yCoord = shadowRowCoord(lightIndex, 0.0);
             float rawShadowDist = texture2D(uShadowMap, vec2(angleCoord, yCoord)).r;
             
             if (rawShadowDist < 0.01) {
@@ -316,11 +451,13 @@ vec3 calculateLight(vec2 pixelPos, vec4 lightData, vec3 lightColor, vec4 spotDat
                         vec2 toFloor = floorScreenPos - lightPos;
                         float floorDist = length(toFloor);
                         float floorAngle = atan(toFloor.y, toFloor.x);
-                        float floorShadowDist = floorDist / radius;
+                        float floorShadowDist = floorDist / shadowRadius;
                         
-                        if (floorDist < radius && floorDist > 1.0) {
+                        if (floorDist < shadowRadius && floorDist > 1.0) {
                             float floorBlur = smoothstep(0.0, 1.0, floorShadowDist) * uShadowSoftness;
-                            shadow = sampleShadowMap(floorAngle, lightIndex, floorShadowDist, floorBlur);
+                            shadow = sampleShadowMap(floorAngle, lightIndex, floorShadowDist, floorBlur) *
+                                sampleLowShadow(floorAngle, lightIndex, floorShadowDist);
+                            transmission = sampleTransmission(floorAngle, lightIndex, floorShadowDist);
                         } else {
                             shadow = 1.0;
                         }
@@ -344,23 +481,27 @@ vec3 calculateLight(vec2 pixelPos, vec4 lightData, vec3 lightColor, vec4 spotDat
                     shadow = 0.0;
                 }
             } else {
-                shadow = sampleShadowMap(pixelAngle, lightIndex, shadowDist, blur);
+                shadow = sampleShadowMap(pixelAngle, lightIndex, shadowDist, blur) *
+                    sampleLowShadow(pixelAngle, lightIndex, shadowDist);
+                transmission = sampleTransmission(pixelAngle, lightIndex, shadowDist);
             }
         }
     }
     
     float att = 1.0 - normalizedDist;
     att = att * att * intensity * shadow * spotlightFactor;
+    att *= normalShading(normal, vec3(-emitterOffset, max(lightHeight, 1.0)));
     
-    return lightColor * att;
+    return lightColor * transmission * att * sampleCookie(toPixel, radius, cookieData);
 }
 
 // === SUN SHADOW ===
 
-float calculateSunShadow(vec2 pixelPos) {
-    if (!uSunShadowsEnabled) return 1.0;
+// Per-channel so translucent occluders can cast colored shadows
+vec3 calculateSunShadow(vec2 pixelPos) {
+    if (!uSunShadowsEnabled) return vec3(1.0);
     vec2 shadowUV = pixelPos / uResolution;
-    return texture2D(uSunShadowMap, shadowUV).r;
+    return texture2D(uSunShadowMap, shadowUV).rgb;
 }
 
 // === SPRITE SHADOW ===
@@ -373,10 +514,10 @@ float sampleSpriteShadow(vec2 pixelPos) {
 
 // === SUN LIGHT ===
 
-vec3 calculateSunLight(vec2 pixelPos, bool onObstacle, int tileType) {
+vec3 calculateSunLight(vec2 pixelPos, bool onObstacle, int tileType, vec3 normal) {
     if (!uSunEnabled || uSunIntensity <= 0.0) return vec3(0.0);
     
-    float shadow = 1.0;
+    vec3 shadow = vec3(1.0);
     vec2 sunDir = vec2(cos(uSunDirection), sin(uSunDirection));
     
     // Wall facing factor for WALL_SIDE
@@ -385,7 +526,7 @@ vec3 calculateSunLight(vec2 pixelPos, bool onObstacle, int tileType) {
     float wallFacingFactor = 1.0;
     
     if (tileType == TILE_WALL_TOP) {
-        shadow = 1.0;
+        shadow = vec3(1.0);
     } else if (tileType == TILE_WALL_SIDE) {
         // Wall sides: sample 2D shadow map directly, same as floor
         shadow = calculateSunShadow(pixelPos);
@@ -402,7 +543,7 @@ vec3 calculateSunLight(vec2 pixelPos, bool onObstacle, int tileType) {
         //          sunDir.y = -1 -> wallFacingFactor = 0.0 (no light)
         wallFacingFactor = clamp(sunDir.y * 0.5 + 0.5, 0.0, 1.0);
     } else if (onObstacle) {
-        shadow = 1.0;
+        shadow = vec3(1.0);
     } else {
         shadow = calculateSunShadow(pixelPos);
     }
@@ -411,8 +552,36 @@ vec3 calculateSunLight(vec2 pixelPos, bool onObstacle, int tileType) {
     float directionalFactor = 0.9 + 0.1 * dot(normalizedPos - 0.5, sunDir);
     directionalFactor = clamp(directionalFactor, 0.7, 1.0);
     
-    float att = uSunIntensity * directionalFactor * shadow * wallFacingFactor;
-    return uSunColor * att;
+    float att = uSunIntensity * directionalFactor * wallFacingFactor;
+    att *= normalShading(normal, vec3(sunDir, uSunElevation));
+    return uSunColor * shadow * att;
+}
+
+// === POINT LIGHT SUM ===
+
+vec3 sumPointLights(vec2 pixelPos, bool onObstacle, int tileType, vec3 normal) {
+    vec3 lightSum = vec3(0.0);
+    for (int i = 0; i < MAX_LIGHTS; i++) {
+        if (i >= uActiveLightCount) break;
+        lightSum += calculateLight(pixelPos, uLightData[i], uLightColors[i], 
+                                  uSpotlightData[i], uCookieData[i], uShapeData[i],
+                                  float(i), onObstacle, tileType, normal);
+    }
+    return lightSum;
+}
+
+// === AMBIENT ===
+
+vec3 sampleAmbient(vec2 pixelPos) {
+    vec3 ambient = uAmbientColor * uAmbientIntensity;
+    if (!uAmbientZonesEnabled) return ambient;
+    
+    // No half-tile offset: texels sit on tile centres, so bilinear filtering
+    // blends neighbouring zones across the boundary
+    vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
+    vec2 localTile = (pixelPos + uDisplayOffset) / uTileSize - displayTile + uAmbientZonePadding;
+    vec3 local = texture2D(uAmbientZoneMap, localTile / uAmbientZoneMapSize).rgb;
+    return mix(ambient, local, uAmbientZoneBlend);
 }
 
 // === MAIN ===
@@ -424,6 +593,13 @@ void main(void) {
     bool onObstacle = isOnObstacle(pixelPos);
     int tileType = getTileType(pixelPos);
     
+#ifdef ACCUMULATION
+    // Extra light pass: output only this batch's point lights at half scale
+    vec3 batchLight = sumPointLights(pixelPos, onObstacle, tileType, sampleNormal(pixelPos));
+    gl_FragColor = vec4(clamp(batchLight, 0.0, 2.0) * 0.5, 1.0);
+    return;
+#endif
+    
     // Debug modes
     if (uDebugMode == 1 && onObstacle) {
         gl_FragColor = vec4(1.0, 0.0, 0.0, 1.0);
@@ -444,33 +620,41 @@ void main(void) {
     
     // Debug mode 3: Show sun shadow pixels that fall on WALL_SIDE (RED)
     if (uDebugMode == 3 && tileType == TILE_WALL_SIDE) {
-        float sunShadow = calculateSunShadow(pixelPos);
+        vec3 sunShadow = calculateSunShadow(pixelPos);
         // If shadow < 1.0, there's a shadow on this wall pixel
-        if (sunShadow < 0.99) {
+        if (min(sunShadow.r, min(sunShadow.g, sunShadow.b)) < 0.99) {
             gl_FragColor = vec4(1.0, 0.0, 0.0, 1.0);
             return;
         }
     }
     
-    vec3 totalLight = uAmbientColor * uAmbientIntensity;
+    vec3 ambientPart = sampleAmbient(pixelPos);
+    vec3 totalLight = ambientPart;
+    vec3 normal = sampleNormal(pixelPos);
     
     // Sun light
-    totalLight += calculateSunLight(pixelPos, onObstacle, tileType);
+    totalLight += calculateSunLight(pixelPos, onObstacle, tileType, normal);
     
     // Point lights
-    for (int i = 0; i < MAX_LIGHTS; i++) {
-        if (i >= uActiveLightCount) break;
-        totalLight += calculateLight(pixelPos, uLightData[i], uLightColors[i], 
-                                    uSpotlightData[i], float(i), onObstacle, tileType);
+    totalLight += sumPointLights(pixelPos, onObstacle, tileType, normal);
+    
+    // Point lights from extra passes
+    if (uLightAccumulationEnabled) {
+        totalLight += texture2D(uLightAccumulation, pixelPos / uResolution).rgb * 2.0;
     }
     
     // Sprite shadows
     float spriteShadow = sampleSpriteShadow(pixelPos);
-    vec3 ambientPart = uAmbientColor * uAmbientIntensity;
     vec3 lightPart = totalLight - ambientPart;
     totalLight = ambientPart + lightPart * spriteShadow;
     
     totalLight = clamp(totalLight, 0.0, 2.0);
     
+    // Emissive pixels keep at least their own color regardless of darkness
+    if (uEmissiveEnabled) {
+        float emissive = texture2D(uEmissiveMap, pixelPos / uResolution).a;
+        totalLight = mix(totalLight, max(totalLight, vec3(1.0)), emissive);
+    }
+    
     gl_FragColor = vec4(texColor.rgb * sqrt(totalLight), texColor.a);
 }
@@ -4,6 +4,7 @@ varying vec2 vTextureCoord;
 uniform sampler2D uSampler;
 uniform sampler2D uRegionMap;
 uniform sampler2D uTileTypeMap;
+uniform sampler2D uHeightMap;
 
 uniform vec2 uResolution;
 uniform vec2 uTileSize;
@@ -14,6 +15,9 @@ uniform vec2 uTileTypeMapSize;
 uniform float uRegionPadding;
 uniform float uTileTypePadding;
 uniform bool uWallShadowEnabled;
+// False when no translucent or height-limited obstacles are in view: the
+// transmission and low shadow rows then hold constants and skip the march
+uniform bool uExtendedRows;
 
 #define MAX_LIGHTS ${MAX_LIGHTS}
 #define PI 3.14159265359
@@ -25,12 +29,20 @@ uniform bool uWallShadowEnabled;
 #define TILE_WALL_SIDE 1
 #define TILE_WALL_TOP 2
 
+// Height map stores tiles * HEIGHT_SCALE; 0 means unlimited height
+#define HEIGHT_SCALE 16.0
+
+// Fully scattering tiles spread their tinted light over this many tiles
+#define SCATTER_TILES 2.0
+
 uniform vec4 uLightData[MAX_LIGHTS];
 uniform vec4 uSpotlightData[MAX_LIGHTS];
+uniform float uLightHeights[MAX_LIGHTS];
 uniform int uActiveLightCount;
 
-// Sample region map - returns 1.0 if obstacle, 0.0 if empty
-float sampleRegion(vec2 worldPixelPos) {
+// Sample region map - returns light absorption per channel
+// (0 = empty, 1 = opaque obstacle, anything else = translucent)
+vec3 sampleRegion(vec2 worldPixelPos) {
     vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
     vec2 adjustedPos = worldPixelPos + 0.001;
     vec2 tilePos = floor(adjustedPos / uTileSize);
@@ -38,10 +50,26 @@ float sampleRegion(vec2 worldPixelPos) {
     vec2 regionUV = (localTile + 0.5) / uRegionMapSize;
     
     if (regionUV.x < 0.0 || regionUV.x > 1.0 || regionUV.y < 0.0 || regionUV.y > 1.0) {
-        return 0.0;
+        return vec3(0.0);
     }
     
-    return texture2D(uRegionMap, regionUV).r > 0.5 ? 1.0 : 0.0;
+    return texture2D(uRegionMap, regionUV).rgb;
+}
+
+// Sample obstacle height in pixels (0 = unlimited)
+float sampleHeight(vec2 worldPixelPos) {
+    vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
+    vec2 tilePos = floor((worldPixelPos + 0.001) / uTileSize);
+    vec2 heightUV = (tilePos - displayTile + uRegionPadding + 0.5) / uRegionMapSize;
+    return texture2D(uHeightMap, heightUV).r * 255.0 / HEIGHT_SCALE * uTileSize.y;
+}
+
+// Sample how much a translucent tile scatters light (0 = clear edge, 1 = widest spread)
+float sampleScatter(vec2 worldPixelPos) {
+    vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
+    vec2 tilePos = floor((worldPixelPos + 0.001) / uTileSize);
+    vec2 heightUV = (tilePos - displayTile + uRegionPadding + 0.5) / uRegionMapSize;
+    return texture2D(uHeightMap, heightUV).g;
 }
 
 // Sample tile type - returns tile type constant
@@ -71,8 +99,8 @@ int sampleTileType(vec2 worldPixelPos) {
 
 // Check if position is obstacle for shadow casting
 // Uses region map which includes both regions and wall tiles
-bool isObstacle(vec2 worldPixelPos) {
-    return sampleRegion(worldPixelPos) > 0.5;
+bool isSolid(vec3 absorption) {
+    return min(absorption.r, min(absorption.g, absorption.b)) > 0.99;
 }
 
 // Angle difference with wrap-around
@@ -82,12 +110,22 @@ float angleDiff(float a, float b) {
     return abs(diff);
 }
 
+// Output layout: three rows per light
+//   row 3i:     r = hit distance, g = translucency start, b = translucency end
+//               (pushed past the last translucent tile by its scatter)
+//   row 3i + 1: rgb = light transmitted through translucent tiles
+//   row 3i + 2: r = low shadow start, g = low shadow end
+// All distances are normalized by the light radius. Obstacles lower than
+// the light only shade the ground between their near edge and the point
+// where the line from the light over their top reaches the floor.
 void main(void) {
     // Calculate angle from X coordinate
     float angle = (gl_FragCoord.x / uResolution.x) * TWO_PI - PI;
     
-    // Light index from Y coordinate
-    int targetLightIndex = int(floor(gl_FragCoord.y));
+    // Light index and output row from Y coordinate
+    float row = floor(gl_FragCoord.y);
+    float rowType = mod(row, 3.0);
+    int targetLightIndex = int(floor(row / 3.0));
     
     if (targetLightIndex < 0) targetLightIndex = 0;
     if (targetLightIndex >= MAX_LIGHTS) targetLightIndex = MAX_LIGHTS - 1;
@@ -97,14 +135,22 @@ void main(void) {
         return;
     }
     
+    // Nothing filters the light and no shadow ends early
+    if (!uExtendedRows && rowType > 0.5) {
+        gl_FragColor = vec4(1.0, 1.0, 1.0, 1.0);
+        return;
+    }
+    
     // Get light data
     vec4 lightData = vec4(0.0);
     vec4 spotData = vec4(0.0);
+    float lightHeight = 0.0;
     
     for (int i = 0; i < MAX_LIGHTS; i++) {
         if (i == targetLightIndex) {
             lightData = uLightData[i];
             spotData = uSpotlightData[i];
+            lightHeight = uLightHeights[i];
             break;
         }
     }
@@ -136,6 +182,11 @@ void main(void) {
     vec2 lightWorldPos = lightPos + uDisplayOffset;
     
     float hitDistance = 1.0;
+    float translucentStart = 1.0;
+    float translucentEnd = 1.0;
+    vec3 transmission = vec3(1.0);
+    float lowStart = 1.0;
+    float lowEnd = 1.0;
     float stepSize = max(2.0, radius / float(MAX_STEPS));
     float startDist = innerRadius;
     vec2 lastCheckedTile = floor(lightWorldPos / uTileSize);
@@ -151,8 +202,10 @@ void main(void) {
         if (currentTile != lastCheckedTile) {
             lastCheckedTile = currentTile;
             
+            vec3 absorption = sampleRegion(sampleWorldPos);
+            
             // Check for obstacle (region or wall)
-            if (isObstacle(sampleWorldPos)) {
+            if (isSolid(absorption)) {
                 vec2 tileMin = currentTile * uTileSize;
                 vec2 tileMax = tileMin + uTileSize;
                 
@@ -168,11 +221,42 @@ void main(void) {
                     tEntry = max(tEntry, (tileMax.y - lightWorldPos.y) / rayDir.y);
                 }
                 
-                hitDistance = max(tEntry, dist) / radius;
-                break;
+                tEntry = max(tEntry, dist);
+                float height = sampleHeight(sampleWorldPos);
+                if (height <= 0.0 || height >= lightHeight) {
+                    hitDistance = tEntry / radius;
+                    break;
+                }
+                
+                // Low obstacle: shade a limited stretch behind it
+                float shadowEnd = tEntry * lightHeight / (lightHeight - height);
+                if (lowStart >= 1.0) {
+                    lowStart = tEntry / radius;
+                    lowEnd = min(shadowEnd / radius, 1.0);
+                } else if (tEntry / radius <= lowEnd) {
+                    lowEnd = max(lowEnd, min(shadowEnd / radius, 1.0));
+                }
+                continue;
+            }
+            
+            // Translucent tile: filter the light and keep going. Scattering
+            // tiles soften the edge of the tinted light behind them.
+            if (max(absorption.r, max(absorption.g, absorption.b)) > 0.0) {
+                if (translucentStart >= 1.0) {
+                    translucentStart = dist / radius;
+                }
+                float spread = sampleScatter(sampleWorldPos) * SCATTER_TILES * length(uTileSize);
+                translucentEnd = min((dist + length(uTileSize) * 0.5 + spread) / radius, 1.0);
+                transmission *= 1.0 - absorption;
             }
         }
     }
     
-    gl_FragColor = vec4(hitDistance, hitDistance, hitDistance, 1.0);
+    if (rowType > 1.5) {
+        gl_FragColor = vec4(min(lowStart, hitDistance), min(lowEnd, hitDistance), 0.0, 1.0);
+    } else if (rowType > 0.5) {
+        gl_FragColor = vec4(transmission, 1.0);
+    } else {
+        gl_FragColor = vec4(hitDistance, min(translucentStart, hitDistance), min(translucentEnd, hitDistance), 1.0);
+    }
 }
@@ -4,6 +4,7 @@ varying vec2 vTextureCoord;
 uniform sampler2D uSampler;
 uniform sampler2D uRegionMap;
 uniform sampler2D uTileTypeMap;
+uniform sampler2D uHeightMap;
 
 uniform vec2 uResolution;
 uniform vec2 uTileSize;
@@ -16,6 +17,7 @@ uniform float uTileTypePadding;
 
 uniform vec2 uSunDirection;
 uniform float uShadowLength;
+uniform float uMaxShadowHeight;
 uniform float uShadowStrength;
 uniform float uStepSize;
 uniform int uFalloffType;
@@ -25,7 +27,14 @@ uniform bool uWallShadowEnabled;
 #define TILE_WALL_SIDE 1
 #define TILE_WALL_TOP 2
 
-float sampleRegion(vec2 worldPixelPos) {
+// Height map stores tiles * HEIGHT_SCALE; 0 means no configured height
+#define HEIGHT_SCALE 16.0
+
+// Fully scattering tiles spread their tinted light over this many tiles
+#define SCATTER_TILES 2.0
+
+// Light absorption per channel (0 = empty, 1 = opaque, else translucent)
+vec3 sampleRegion(vec2 worldPixelPos) {
     vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
     vec2 adjustedPos = worldPixelPos + 0.001;
     vec2 tilePos = floor(adjustedPos / uTileSize);
@@ -33,10 +42,33 @@ float sampleRegion(vec2 worldPixelPos) {
     vec2 regionUV = (localTile + 0.5) / uRegionMapSize;
     
     if (regionUV.x < 0.0 || regionUV.x > 1.0 || regionUV.y < 0.0 || regionUV.y > 1.0) {
-        return 0.0;
+        return vec3(0.0);
     }
     
-    return texture2D(uRegionMap, regionUV).r > 0.5 ? 1.0 : 0.0;
+    return texture2D(uRegionMap, regionUV).rgb;
+}
+
+bool isSolid(vec3 absorption) {
+    return min(absorption.r, min(absorption.g, absorption.b)) > 0.99;
+}
+
+// Length of the shadow an obstacle casts: uShadowLength tiles per tile of
+// height. Obstacles without a configured height count as one tile tall.
+float shadowReach(vec2 worldPixelPos) {
+    vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
+    vec2 tilePos = floor((worldPixelPos + 0.001) / uTileSize);
+    vec2 heightUV = (tilePos - displayTile + uRegionPadding + 0.5) / uRegionMapSize;
+    float height = texture2D(uHeightMap, heightUV).r * 255.0 / HEIGHT_SCALE;
+    if (height <= 0.0) height = 1.0;
+    return height * uShadowLength * uTileSize.x;
+}
+
+// How much a translucent tile scatters light (0 = clear edge, 1 = widest spread)
+float sampleScatter(vec2 worldPixelPos) {
+    vec2 displayTile = floor(uDisplayOffsetInt / uTileSize);
+    vec2 tilePos = floor((worldPixelPos + 0.001) / uTileSize);
+    vec2 heightUV = (tilePos - displayTile + uRegionPadding + 0.5) / uRegionMapSize;
+    return texture2D(uHeightMap, heightUV).g;
 }
 
 int sampleTileType(vec2 worldPixelPos) {
@@ -84,10 +116,23 @@ float findWallBottomY(vec2 worldPixelPos) {
     return lastWallSideY;
 }
 
-float traceRay(vec2 startPos, vec2 rayDir, float maxDist, int startType, float startY, out int outTileType) {
+// Returns the distance to the first opaque obstacle tall enough to shade the
+// start point, as a fraction of that obstacle's shadow length (-1 if none).
+// Translucent tiles passed on the way multiply their transmitted light into
+// transmission; translucentDist is the first one's fraction (-1 if none).
+// scatterFade is how much of the tinted shadow that tile leaves at the start
+// point: scattering tiles fill it in with spread light close behind them.
+float traceRay(vec2 startPos, vec2 rayDir, float maxDist, int startType, float startY,
+               out int outTileType, out vec3 transmission, out float translucentDist,
+               out float scatterFade) {
     outTileType = TILE_NONE;
+    transmission = vec3(1.0);
+    translucentDist = -1.0;
+    scatterFade = 1.0;
+    vec2 startTile = floor(startPos / uTileSize);
+    vec2 lastTranslucentTile = startTile;
     
-    float stepSize = 0.5;
+    float stepSize = max(0.5, maxDist / 1024.0);
     int maxSteps = int(maxDist / stepSize) + 1;
     
     if (maxSteps > 1024) maxSteps = 1024;
@@ -100,7 +145,8 @@ float traceRay(vec2 startPos, vec2 rayDir, float maxDist, int startType, float s
         float dist = float(i) * stepSize;
         vec2 samplePos = startPos + rayDir * dist;
         
-        bool isInRegionMap = sampleRegion(samplePos) > 0.5;
+        vec3 absorption = sampleRegion(samplePos);
+        bool isInRegionMap = isSolid(absorption);
         
         if (isInRegionMap) {
             int hitType = TILE_NONE;
@@ -116,23 +162,54 @@ float traceRay(vec2 startPos, vec2 rayDir, float maxDist, int startType, float s
                 continue;
             }
             
+            // Too low to shade a point this far away
+            float reach = shadowReach(samplePos);
+            if (dist > reach) {
+                continue;
+            }
+            
             outTileType = hitType;
-            return dist;
+            return dist / reach;
         } else {
             if (startType == TILE_WALL_SIDE) {
                 leftStartingWall = true;
             }
+            
+            // Each translucent tile filters the light once
+            vec2 tile = floor(samplePos / uTileSize);
+            if (max(absorption.r, max(absorption.g, absorption.b)) > 0.0 && tile != lastTranslucentTile) {
+                float reach = shadowReach(samplePos);
+                if (dist <= reach) {
+                    lastTranslucentTile = tile;
+                    transmission *= 1.0 - absorption;
+                    if (translucentDist < 0.0) {
+                        translucentDist = dist / reach;
+                        float spread = sampleScatter(samplePos) * SCATTER_TILES * uTileSize.x;
+                        if (spread > 0.0) scatterFade = smoothstep(0.0, spread, dist);
+                    }
+                }
+            }
         }
     }
     
     return -1.0;
 }
 
+// How much of the shadow strength applies at a normalized distance
+float shadowWeight(float normalizedDist) {
+    if (uFalloffType == 0) {
+        return 1.0;
+    } else if (uFalloffType == 1) {
+        return 1.0 - normalizedDist;
+    }
+    return 1.0 - normalizedDist * normalizedDist;
+}
+
 void main(void) {
     vec2 pixelPos = vTextureCoord * uResolution;
     vec2 worldPos = pixelPos + uDisplayOffset;
     
-    bool isOnRegionObstacle = sampleRegion(worldPos) > 0.5;
+    bool isOnRegionObstacle = isSolid(sampleRegion(worldPos));
     
     int tileType = TILE_NONE;
     if (uWallShadowEnabled) {
@@ -162,7 +239,7 @@ void main(void) {
         // If so, allow the skew; otherwise, clamp to current tile boundaries
         vec2 testPos = vec2(skewedX, worldPos.y);
         int skewedTileType = sampleTileType(testPos);
-        bool skewedIsObstacle = sampleRegion(testPos) > 0.5;
+        bool skewedIsObstacle = isSolid(sampleRegion(testPos));
         
         if (skewedTileType == TILE_WALL_SIDE || (skewedIsObstacle && skewedTileType == TILE_NONE)) {
             // Skewed position is also on a wall or obstacle - use skewed X directly
@@ -175,24 +252,25 @@ void main(void) {
         }
     }
     
-    float maxDistPixels = uShadowLength * uTileSize.x;
+    float maxDistPixels = uShadowLength * uMaxShadowHeight * uTileSize.x;
     int hitTileType = TILE_NONE;
-    float hitDist = traceRay(sampleWorldPos, uSunDirection, maxDistPixels, tileType, worldPos.y, hitTileType);
+    vec3 transmission = vec3(1.0);
+    float translucentDist = -1.0;
+    float scatterFade = 1.0;
+    float hitDist = traceRay(sampleWorldPos, uSunDirection, maxDistPixels, tileType, worldPos.y,
+                             hitTileType, transmission, translucentDist, scatterFade);
     
-    float shadow = 1.0;
+    vec3 shadow = vec3(1.0);
     
     if (hitDist > 0.0) {
-        float normalizedDist = hitDist / maxDistPixels;
-        
-        if (uFalloffType == 0) {
-            shadow = 1.0 - uShadowStrength;
-        } else if (uFalloffType == 1) {
-            shadow = 1.0 - uShadowStrength * (1.0 - normalizedDist);
-        } else {
-            float falloff = normalizedDist * normalizedDist;
-            shadow = 1.0 - uShadowStrength * (1.0 - falloff);
-        }
+        shadow = vec3(1.0 - uShadowStrength * shadowWeight(hitDist));
+    }
+    
+    // Colored, partial shadow from translucent occluders
+    if (translucentDist > 0.0) {
+        float weight = uShadowStrength * shadowWeight(translucentDist) * scatterFade;
+        shadow *= mix(vec3(1.0), transmission, weight);
     }
     
-    gl_FragColor = vec4(shadow, shadow, shadow, 1.0);
+    gl_FragColor = vec4(shadow, 1.0);
 }
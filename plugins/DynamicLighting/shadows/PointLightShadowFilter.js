@@ -8,6 +8,7 @@
     'use strict';
 
     const ShaderLoader = window.DynamicLighting.ShaderLoader;
+    const Config = window.DynamicLighting.Config;
     const Debug = window.DynamicLighting.Debug;
 
     /**
@@ -24,7 +25,10 @@
 
     /**
      * Point Light Shadow Filter
-     * Renders 1D shadow map for all point lights in a single pass
+     * Renders 1D shadow map for all point lights in a single pass.
+     * Each light gets three rows: hit distances, the light color left
+     * after passing through translucent tiles, and the short shadows of
+     * obstacles lower than the light.
      * @extends PIXI.Filter
      */
     class PointLightShadowFilter extends PIXI.Filter {
@@ -35,7 +39,7 @@
             this._maxLights = maxLights;
             
             // Initialize uniforms
-            this.uniforms.uResolution = [resolution, maxLights];
+            this.uniforms.uResolution = [resolution, maxLights * 3];
             this.uniforms.uTileSize = [48, 48];
             this.uniforms.uDisplayOffset = [0, 0];
             this.uniforms.uDisplayOffsetInt = [0, 0];
@@ -49,9 +53,14 @@
             this.uniforms.uTileTypePadding = 2;
             this.uniforms.uWallShadowEnabled = false;
             
+            // Obstacle heights (tiles * 16, 0 = unlimited)
+            this.uniforms.uHeightMap = PIXI.Texture.WHITE;
+            this.uniforms.uExtendedRows = false;
+            
             // Light data arrays
             this.uniforms.uLightData = new Float32Array(maxLights * 4);
             this.uniforms.uSpotlightData = new Float32Array(maxLights * 4);
+            this.uniforms.uLightHeights = new Float32Array(maxLights);
             this.uniforms.uActiveLightCount = 0;
             
             Debug.log('PointLightShadowFilter created for', maxLights, 'lights');
@@ -65,6 +74,14 @@
             this.uniforms.uRegionMap = texture;
         }
 
+        /**
+         * Set obstacle height map
+         * @param {PIXI.Texture} texture - Height map texture
+         */
+        setHeightMap(texture) {
+            this.uniforms.uHeightMap = texture || PIXI.Texture.WHITE;
+        }
+
         /**
          * Set display offset for coordinate conversion
          * @param {number} displayX - Full display X (including fractional part)
@@ -108,6 +125,14 @@
             this.uniforms.uTileTypePadding = padding;
         }
 
+        /**
+         * Enable the transmission and low shadow rows
+         * @param {boolean} enabled - Whether translucent or height-limited obstacles are in view
+         */
+        setExtendedRows(enabled) {
+            this.uniforms.uExtendedRows = enabled;
+        }
+
         /**
          * Enable/disable wall shadow detection
          * @param {boolean} enabled - Whether wall shadows are enabled
@@ -126,20 +151,28 @@
             
             const lightData = this.uniforms.uLightData;
             const spotData = this.uniforms.uSpotlightData;
+            const heights = this.uniforms.uLightHeights;
             
             for (let i = 0; i < count; i++) {
                 const light = lights[i];
                 const offset = i * 4;
                 
+                // Area and line lights cast shadows from their center,
+                // with rays long enough to cover the whole emitter
+                const shape = light.shape;
+                const extent = shape ? Math.hypot(shape.width, shape.height) / 2 : 0;
+                
                 lightData[offset] = light.x;
                 lightData[offset + 1] = light.y;
-                lightData[offset + 2] = light.radius;
+                lightData[offset + 2] = light.radius + extent;
                 lightData[offset + 3] = light.intensity || 1.0;
                 
                 spotData[offset] = light.direction || 0;
                 spotData[offset + 1] = light.coneAngle || Math.PI;
-                spotData[offset + 2] = light.innerRadius || 0;
-                spotData[offset + 3] = light.isSpotlight ? 1.0 : 0.0;
+                spotData[offset + 2] = shape ? 0 : light.innerRadius || 0;
+                spotData[offset + 3] = light.isSpotlight && !shape ? 1.0 : 0.0;
+                
+                heights[i] = Math.max(1, light.height !== undefined ? light.height : Config.get('defaultLightHeight'));
             }
             
             // Zero out unused lights
@@ -9,10 +9,22 @@
 
     const Debug = window.DynamicLighting.Debug;
     const Config = window.DynamicLighting.Config;
+    const Utils = window.DynamicLighting.Utils;
+
+    // Translucent absorption is capped below 255 so it never reads as opaque
+    const MAX_TRANSLUCENT_ABSORPTION = 250;
+
+    // Height map stores obstacle height in tiles * HEIGHT_SCALE (0 = unlimited)
+    const HEIGHT_SCALE = 16;
+    const MAX_WALL_COLUMN = 16;
 
     /**
      * Region Map Generator class
-     * Creates a texture map of obstacles for shadow casting
+     * Creates a texture map of obstacles for shadow casting.
+     * Each pixel holds light absorption per color channel: black is open
+     * ground, white an opaque obstacle, anything else a translucent occluder.
+     * A second texture of the same size holds each obstacle's height (red)
+     * and how much each translucent tile scatters light (green).
      */
     class RegionMapGenerator {
         constructor(padding = 10) {
@@ -25,7 +37,20 @@
             this._lastDisplayX = -1;
             this._lastDisplayY = -1;
             this._obstacleMode = 'tiledetector'; // 'regions', 'tiledetector', 'both'
+            this._translucentRegions = {};
+            this._translucentScatter = {};
+            this._regionHeights = {};
+            this._wallHeight = Config.get('wallHeight') || 0;
+            this._heightCanvas = null;
+            this._heightCtx = null;
+            this._heightPixels = null;
+            this._heightBaseTexture = null;
+            this._heightTexture = null;
+            this._maxHeight = 0;
+            this._hasExtendedObstacles = false;
             
+            this.setTranslucentRegions(Config.get('translucentRegions') || {});
+            this.setRegionHeights($gameMap.regionHeights ? $gameMap.regionHeights() : {});
             this._createTextures();
         }
 
@@ -42,6 +67,16 @@
             });
             this._texture = new PIXI.Texture(this._baseTexture);
             
+            this._heightCanvas = document.createElement('canvas');
+            this._heightCanvas.width = this._canvas.width;
+            this._heightCanvas.height = this._canvas.height;
+            this._heightCtx = this._heightCanvas.getContext('2d');
+            this._heightPixels = new Uint8Array(this._canvas.width * this._canvas.height * 4);
+            this._heightBaseTexture = PIXI.BaseTexture.from(this._heightCanvas, {
+                scaleMode: PIXI.SCALE_MODES.NEAREST
+            });
+            this._heightTexture = new PIXI.Texture(this._heightBaseTexture);
+            
             Debug.log('RegionMap created:', this._canvas.width, 'x', this._canvas.height, 'padding:', this._padding);
         }
 
@@ -53,6 +88,51 @@
             this._obstacleMode = mode;
         }
 
+        /**
+         * Set regions that let part of the light through
+         * @param {Object} regions - Region ID -> { opacity, tint, scatter }
+         */
+        setTranslucentRegions(regions) {
+            this._translucentRegions = {};
+            this._translucentScatter = {};
+            for (const id in regions) {
+                const opacity = Math.max(0, Math.min(1, regions[id].opacity));
+                const tint = Utils.hexToRgb(regions[id].tint || '#ffffff');
+                // Transmitted light is the tint scaled by what the opacity lets through
+                this._translucentRegions[id] = [tint.r, tint.g, tint.b].map(channel =>
+                    Math.min(MAX_TRANSLUCENT_ABSORPTION, Math.round((1 - (1 - opacity) * channel) * 255)));
+                this._translucentScatter[id] = Math.round(Math.max(0, Math.min(1, regions[id].scatter || 0)) * 255);
+            }
+            this._lastDisplayX = -1;
+            this._lastDisplayY = -1;
+        }
+
+        /**
+         * Set obstacle heights per region
+         * @param {Object} heights - Region ID -> height in tiles (0 = unlimited)
+         */
+        setRegionHeights(heights) {
+            this._regionHeights = Object.assign({}, heights);
+            this._lastDisplayX = -1;
+            this._lastDisplayY = -1;
+        }
+
+        /**
+         * Get the height of a wall side tile
+         * @param {number} x - Tile X
+         * @param {number} y - Tile Y
+         * @returns {number} Height in tiles (0 = unlimited)
+         */
+        wallHeight(x, y) {
+            if (this._wallHeight !== 'auto') return Number(this._wallHeight) || 0;
+            
+            // A wall is as tall as its column of wall side tiles
+            let height = 1;
+            for (let i = 1; i < MAX_WALL_COLUMN && $gameMap.isWallSideTile(x, y - i); i++) height++;
+            for (let i = 1; i < MAX_WALL_COLUMN && $gameMap.isWallSideTile(x, y + i); i++) height++;
+            return height;
+        }
+
         /**
          * Update region map when camera moves
          */
@@ -80,6 +160,10 @@
             // Check for tile detector: either standalone plugin or modular DynamicLighting version
             const hasTileDetector = useTileDetector && $gameMap.isAnyWallTile;
             
+            // Tallest obstacle in view (unlimited ones count as 1 tile for sun shadows)
+            let maxHeight = 0;
+            let hasExtendedObstacles = false;
+            
             // Fill region map
             for (let y = 0; y < height; y++) {
                 for (let x = 0; x < width; x++) {
@@ -87,16 +171,22 @@
                     const tileY = displayY - padding + y;
                     
                     let isObstacle = false;
+                    let absorption = null;
+                    let scatter = 0;
+                    let obstacleHeight = 0;
                     
                     if (tileX >= 0 && tileX < $dataMap.width &&
                         tileY >= 0 && tileY < $dataMap.height) {
                         
-                        // Check regions
-                        if (useRegions) {
-                            const region = $gameMap.regionId(tileX, tileY);
-                            if (region > 0) {
-                                isObstacle = true;
-                            }
+                        // Check regions (translucent regions and regions with a
+                        // configured height apply in every mode)
+                        const region = $gameMap.regionId(tileX, tileY);
+                        obstacleHeight = this._regionHeights[region] || 0;
+                        if (region > 0 && this._translucentRegions[region]) {
+                            absorption = this._translucentRegions[region];
+                            scatter = this._translucentScatter[region];
+                        } else if (region > 0 && (useRegions || obstacleHeight > 0)) {
+                            isObstacle = true;
                         }
                         
                         // Check TileTypeDetector
@@ -105,24 +195,51 @@
                         if (!isObstacle && hasTileDetector) {
                             if ($gameMap.isWallSideTile(tileX, tileY)) {
                                 isObstacle = true;
+                                obstacleHeight = this.wallHeight(tileX, tileY);
                             }
                         }
                     }
                     
                     const idx = (y * width + x) * 4;
-                    const value = isObstacle ? 255 : 0;
-                    this._pixels[idx] = value;
-                    this._pixels[idx + 1] = value;
-                    this._pixels[idx + 2] = value;
+                    if (absorption && !isObstacle) {
+                        this._pixels[idx] = absorption[0];
+                        this._pixels[idx + 1] = absorption[1];
+                        this._pixels[idx + 2] = absorption[2];
+                    } else {
+                        const value = isObstacle ? 255 : 0;
+                        this._pixels[idx] = value;
+                        this._pixels[idx + 1] = value;
+                        this._pixels[idx + 2] = value;
+                    }
                     this._pixels[idx + 3] = 255;
+                    
+                    const heightValue = obstacleHeight > 0 ?
+                        Math.max(1, Math.min(255, Math.round(obstacleHeight * HEIGHT_SCALE))) : 0;
+                    this._heightPixels[idx] = heightValue;
+                    this._heightPixels[idx + 1] = absorption && !isObstacle ? scatter : 0;
+                    this._heightPixels[idx + 2] = heightValue;
+                    this._heightPixels[idx + 3] = 255;
+                    if (isObstacle || absorption) {
+                        maxHeight = Math.max(maxHeight, obstacleHeight > 0 ? heightValue / HEIGHT_SCALE : 1);
+                    }
+                    if ((absorption && !isObstacle) || (isObstacle && heightValue > 0)) {
+                        hasExtendedObstacles = true;
+                    }
                 }
             }
+            this._maxHeight = maxHeight;
+            this._hasExtendedObstacles = hasExtendedObstacles;
             
             const imageData = this._ctx.createImageData(width, height);
             imageData.data.set(this._pixels);
             this._ctx.putImageData(imageData, 0, 0);
             this._baseTexture.update();
             
+            const heightData = this._heightCtx.createImageData(width, height);
+            heightData.data.set(this._heightPixels);
+            this._heightCtx.putImageData(heightData, 0, 0);
+            this._heightBaseTexture.update();
+            
             return true;
         }
 
@@ -147,9 +264,17 @@
                 this._baseTexture.destroy();
                 this._baseTexture = null;
             }
+            if (this._heightTexture) {
+                this._heightTexture.destroy(true);
+                this._heightTexture = null;
+                this._heightBaseTexture = null;
+            }
             this._canvas = null;
             this._ctx = null;
             this._pixels = null;
+            this._heightCanvas = null;
+            this._heightCtx = null;
+            this._heightPixels = null;
         }
 
         /**
@@ -160,6 +285,30 @@
             return this._texture;
         }
 
+        /**
+         * Get the obstacle height texture
+         * @returns {PIXI.Texture} Height in tiles * 16 per pixel (0 = unlimited)
+         */
+        get heightTexture() {
+            return this._heightTexture;
+        }
+
+        /**
+         * Get the tallest obstacle height in the current view
+         * @returns {number} Height in tiles (unlimited obstacles count as 1)
+         */
+        get maxHeight() {
+            return this._maxHeight;
+        }
+
+        /**
+         * Check whether translucent or height-limited obstacles are in view
+         * @returns {boolean} True if point shadows need their extra rows
+         */
+        get hasExtendedObstacles() {
+            return this._hasExtendedObstacles;
+        }
+
         /**
          * Get canvas width in tiles
          * @returns {number} Width in tiles
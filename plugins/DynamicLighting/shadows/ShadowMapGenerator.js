@@ -69,16 +69,19 @@
             }
             
             try {
+                // Three rows per light: hit distances, transmitted color,
+                // then the short shadows of low obstacles (the last two
+                // are only traced while such obstacles are in view)
                 this._pointLightRenderTexture = PIXI.RenderTexture.create({
                     width: this._resolution,
-                    height: this._maxLights,
+                    height: this._maxLights * 3,
                     scaleMode: PIXI.SCALE_MODES.LINEAR,
                     resolution: 1
                 });
                 
                 this._pointLightSprite = new PIXI.Sprite(PIXI.Texture.WHITE);
                 this._pointLightSprite.width = this._resolution;
-                this._pointLightSprite.height = this._maxLights;
+                this._pointLightSprite.height = this._maxLights * 3;
                 
                 this._pointLightFilter = new PointLightShadowFilter(this._maxLights, this._resolution);
                 this._pointLightFilter.setRegionMapSize(this._regionMap.width, this._regionMap.height);
@@ -212,6 +215,8 @@
             const displayY = $gameMap.displayY();
             
             this._pointLightFilter.setRegionMap(this._regionMap.texture);
+            this._pointLightFilter.setHeightMap(this._regionMap.heightTexture);
+            this._pointLightFilter.setExtendedRows(this._regionMap.hasExtendedObstacles);
             this._pointLightFilter.setDisplayOffset(displayX, displayY, tileWidth, tileHeight);
             this._pointLightFilter.setRegionMapSize(this._regionMap.width, this._regionMap.height);
             this._pointLightFilter.updateLights(lights);
@@ -270,6 +275,7 @@
             this._lastSunShadowFrame = this._frameCounter;
             
             this._sunShadowFilter.setRegionMap(this._regionMap.texture);
+            this._sunShadowFilter.setHeightMap(this._regionMap.heightTexture, this._regionMap.maxHeight);
             this._sunShadowFilter.setSunDirection(sunDirection);
             this._sunShadowFilter.setShadowParams(
                 effectiveSettings.length,
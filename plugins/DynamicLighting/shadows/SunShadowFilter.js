@@ -29,6 +29,10 @@
             this.uniforms.uRegionMap = PIXI.Texture.WHITE;
             this.uniforms.uRegionPadding = 10;
             
+            // Obstacle heights (tiles * 16, 0 = default height)
+            this.uniforms.uHeightMap = PIXI.Texture.WHITE;
+            this.uniforms.uMaxShadowHeight = 1.0;
+            
             // Tile type map for wall geometry
             this.uniforms.uTileTypeMap = PIXI.Texture.WHITE;
             this.uniforms.uTileTypeMapSize = [20, 15];
@@ -54,6 +58,16 @@
             this.uniforms.uRegionMap = texture;
         }
 
+        /**
+         * Set obstacle height map
+         * @param {PIXI.Texture} texture - Height map texture
+         * @param {number} maxHeight - Tallest obstacle in tiles
+         */
+        setHeightMap(texture, maxHeight) {
+            this.uniforms.uHeightMap = texture || PIXI.Texture.WHITE;
+            this.uniforms.uMaxShadowHeight = Math.max(1, maxHeight || 0);
+        }
+
         /**
          * Set tile type map from TileTypeDetector
          * @param {PIXI.Texture} texture - Tile type map texture
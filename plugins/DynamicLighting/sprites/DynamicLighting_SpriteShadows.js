@@ -239,21 +239,19 @@
             this._shadowFilter.updateSprites(spriteInfo);
             
             // Update sun light
-            if ($gameMap._sunLight) {
-                const elevation = $gameMap._sunLight.elevation || 0.5;
+            const sun = $gameMap.effectiveSun();
+            if (sun) {
+                const elevation = sun.elevation || 0.5;
                 this._shadowFilter.updateSunLight(
-                    $gameMap._sunLight.enabled,
-                    $gameMap._sunLight.direction,
+                    sun.enabled,
+                    sun.direction,
                     elevation,
-                    $gameMap._sunLight.intensity
+                    sun.intensity
                 );
             }
             
-            // Collect and update lights
-            const lights = this._collectActiveLights();
-            if (lights && lights.length > 0) {
-                this._shadowFilter.updateLights(lights);
-            }
+            // Same lights, ids and intensities as the lighting filter
+            this._shadowFilter.updateLights(LightManager.getRenderedLights());
             
             // Update tile and display info
             const tileWidth = $gameMap.tileWidth();
@@ -335,68 +333,6 @@
             }
         }
 
-        _collectActiveLights() {
-            const lights = [];
-            const screenWidth = Graphics.width;
-            const screenHeight = Graphics.height;
-            
-            // Collect event lights
-            const events = $gameMap.events();
-            for (const event of events) {
-                if (event && event.hasLight && event.hasLight()) {
-                    const data = event.getLightData();
-                    const x = event.screenX();
-                    const y = event.screenY() - 24;
-                    const radius = data.radius;
-                    
-                    if (x + radius < 0 || x - radius > screenWidth ||
-                        y + radius < 0 || y - radius > screenHeight) {
-                        continue;
-                    }
-                    
-                    lights.push({
-                        x: x,
-                        y: y,
-                        radius: radius,
-                        intensity: data.intensity,
-                        height: data.height || CONSTANTS.LIGHT_HEIGHT,
-                        color: data.color,
-                        colorRgb: data.colorRgb,
-                        isSpotlight: data.isSpotlight,
-                        direction: data.direction,
-                        coneAngle: data.coneAngle,
-                        innerRadius: data.innerRadius
-                    });
-                }
-            }
-            
-            // Player light
-            if ($gameMap._playerLight && $gameMap._playerLight.enabled) {
-                const pl = $gameMap._playerLight;
-                let direction = pl.direction;
-                
-                if (pl.isSpotlight && pl.followDirection) {
-                    direction = DL.degToRad(DL.directionToAngle($gamePlayer.direction()));
-                }
-                
-                lights.push({
-                    x: $gamePlayer.screenX(),
-                    y: $gamePlayer.screenY() - 24,
-                    radius: pl.radius,
-                    intensity: pl.intensity,
-                    height: pl.height || CONSTANTS.LIGHT_HEIGHT,
-                    color: pl.color,
-                    colorRgb: pl.colorRgb,
-                    isSpotlight: pl.isSpotlight,
-                    direction: direction,
-                    coneAngle: pl.coneAngle,
-                    innerRadius: pl.innerRadius
-                });
-            }
-            
-            return lights;
-        }
-
         cleanup(spriteset) {
             if (this._cleanedUp) {
                 Debug.log('Sprite shadow resources already cleaned up');
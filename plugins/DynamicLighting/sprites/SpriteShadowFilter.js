@@ -77,7 +77,9 @@
                     return 0.0;
                 }
                 
-                return texture2D(uRegionMap, regionUV).r > 0.5 ? 1.0 : 0.0;
+                // Only fully opaque tiles block; translucent ones are below 1
+                vec3 absorption = texture2D(uRegionMap, regionUV).rgb;
+                return min(absorption.r, min(absorption.g, absorption.b)) > 0.99 ? 1.0 : 0.0;
             }
             
             int sampleTileType(vec2 screenPos) {
@@ -544,9 +546,10 @@
                 lightData[offset] = light.x;
                 lightData[offset + 1] = light.y;
                 lightData[offset + 2] = light.radius;
-                lightData[offset + 3] = light.intensity || 1.0;
+                lightData[offset + 3] = light.intensity !== undefined ? light.intensity : 1.0;
                 
-                lightExtra[offset] = light.height || LIGHT_HEIGHT;
+                // Higher lights cast shorter shadows; never divide by zero
+                lightExtra[offset] = Math.max(1, light.height !== undefined ? light.height : LIGHT_HEIGHT);
                 lightExtra[offset + 1] = 0;
                 lightExtra[offset + 2] = 0;
                 lightExtra[offset + 3] = 0;
@@ -5,6 +5,35 @@
  * @base DynamicLighting/DynamicLighting
  * @orderAfter DynamicLighting/DynamicLighting
  *
+ * @param ClockMode
+ * @text Clock Mode
+ * @type select
+ * @option Simulated (Time Speed from Starting Hour)
+ * @value simulated
+ * @option System clock (computer's local time)
+ * @value system
+ * @option Offline progress (simulated, keeps running while closed)
+ * @value offline
+ * @default simulated
+ * @desc How the in-game clock advances
+ *
+ * @param TimezoneOffset
+ * @text Timezone Offset
+ * @type number
+ * @decimals 1
+ * @min -24
+ * @max 24
+ * @default 0
+ * @desc Hours added to the computer's local time (System clock mode)
+ *
+ * @param OfflineMaxHours
+ * @text Offline Max Hours
+ * @type number
+ * @decimals 1
+ * @min 0
+ * @default 0
+ * @desc Most real hours counted while the game was closed (Offline progress mode, 0 = no limit)
+ *
  * @param TimeSpeed
  * @text Time Speed
  * @type number
@@ -178,6 +207,145 @@
  * @max 360
  * @default 225
  *
+ * @param NoonSunElevation
+ * @text Noon Sun Elevation
+ * @type number
+ * @decimals 2
+ * @min 0.1
+ * @max 1
+ * @default 0.9
+ * @desc Sun height at midday (1 = overhead). The sun rises at dawn
+ * and sets at night start; lower sun = longer sprite shadows.
+ *
+ * @param TimeProfiles
+ * @text Time Profiles
+ * @type struct<TimeProfile>[]
+ * @default []
+ * @desc Keyframed lighting curves that replace the four phases.
+ * Maps use one with <timeProfile:name>.
+ *
+ * @param TimeProfileFile
+ * @text Time Profile File
+ * @type text
+ * @default
+ * @desc JSON file with more profiles (e.g. data/TimeProfiles.json).
+ * Blank = none.
+ *
+ * @param DefaultTimeProfile
+ * @text Default Time Profile
+ * @type text
+ * @default
+ * @desc Profile used on maps without <timeProfile>.
+ * Blank = the four phases above.
+ *
+ * @param DaysPerMonth
+ * @text Days per Month
+ * @type number
+ * @min 1
+ * @default 30
+ *
+ * @param MonthNames
+ * @text Month Names
+ * @type string[]
+ * @default ["January","February","March","April","May","June","July","August","September","October","November","December"]
+ * @desc One entry per month; the count sets the months per year
+ *
+ * @param WeekdayNames
+ * @text Weekday Names
+ * @type string[]
+ * @default ["Monday","Tuesday","Wednesday","Thursday","Friday","Saturday","Sunday"]
+ *
+ * @param Seasons
+ * @text Seasons
+ * @type struct<Season>[]
+ * @default ["{\"Name\":\"Spring\",\"StartMonth\":\"3\",\"DawnStart\":\"\",\"DayStart\":\"\",\"DuskStart\":\"\",\"NightStart\":\"\",\"DawnAmbientColor\":\"\",\"DayAmbientColor\":\"\",\"DuskAmbientColor\":\"\",\"NightAmbientColor\":\"\",\"DawnSunColor\":\"\",\"DaySunColor\":\"\",\"DuskSunColor\":\"\",\"NightSunColor\":\"\",\"SunriseDirection\":\"\",\"SunsetDirection\":\"\"}","{\"Name\":\"Summer\",\"StartMonth\":\"6\",\"DawnStart\":\"4\",\"DayStart\":\"6\",\"DuskStart\":\"19\",\"NightStart\":\"21\",\"DawnAmbientColor\":\"\",\"DayAmbientColor\":\"\",\"DuskAmbientColor\":\"\",\"NightAmbientColor\":\"\",\"DawnSunColor\":\"\",\"DaySunColor\":\"\",\"DuskSunColor\":\"\",\"NightSunColor\":\"\",\"SunriseDirection\":\"\",\"SunsetDirection\":\"\"}","{\"Name\":\"Autumn\",\"StartMonth\":\"9\",\"DawnStart\":\"\",\"DayStart\":\"\",\"DuskStart\":\"\",\"NightStart\":\"\",\"DawnAmbientColor\":\"\",\"DayAmbientColor\":\"\",\"DuskAmbientColor\":\"\",\"NightAmbientColor\":\"\",\"DawnSunColor\":\"\",\"DaySunColor\":\"\",\"DuskSunColor\":\"\",\"NightSunColor\":\"\",\"SunriseDirection\":\"\",\"SunsetDirection\":\"\"}","{\"Name\":\"Winter\",\"StartMonth\":\"12\",\"DawnStart\":\"6\",\"DayStart\":\"8\",\"DuskStart\":\"16\",\"NightStart\":\"18\",\"DawnAmbientColor\":\"\",\"DayAmbientColor\":\"#8a98b0\",\"DuskAmbientColor\":\"\",\"NightAmbientColor\":\"\",\"DawnSunColor\":\"\",\"DaySunColor\":\"#f0f4ff\",\"DuskSunColor\":\"\",\"NightSunColor\":\"\",\"SunriseDirection\":\"\",\"SunsetDirection\":\"\"}"]
+ * @desc Seasons by starting month. Each can override phase hours, colors
+ * and sun directions; blank fields use the main parameters.
+ *
+ * @param HourVariable
+ * @text Hour Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the hour (0 = none)
+ *
+ * @param MinuteVariable
+ * @text Minute Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the minute (0 = none)
+ *
+ * @param DayVariable
+ * @text Day Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the day count (0 = none)
+ *
+ * @param PhaseVariable
+ * @text Phase Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the phase: 1 dawn, 2 day, 3 dusk, 4 night (0 = none)
+ *
+ * @param DawnSwitch
+ * @text Dawn Switch
+ * @type switch
+ * @default 0
+ * @desc Switch that is ON during dawn (0 = none)
+ *
+ * @param DaySwitch
+ * @text Day Switch
+ * @type switch
+ * @default 0
+ * @desc Switch that is ON during day (0 = none)
+ *
+ * @param DuskSwitch
+ * @text Dusk Switch
+ * @type switch
+ * @default 0
+ * @desc Switch that is ON during dusk (0 = none)
+ *
+ * @param NightSwitch
+ * @text Night Switch
+ * @type switch
+ * @default 0
+ * @desc Switch that is ON during night (0 = none)
+ *
+ * @param HourRangeSwitches
+ * @text Hour Range Switches
+ * @type struct<HourRange>[]
+ * @default []
+ * @desc Switches that are ON between two times (shop opening hours)
+ *
+ * @param SetTimeVariable
+ * @text Set Time Variable
+ * @type variable
+ * @default 0
+ * @desc Changing this variable to HHMM (e.g. 1830) sets the time (0 = none)
+ *
+ * @param YearVariable
+ * @text Year Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the year (0 = none)
+ *
+ * @param MonthVariable
+ * @text Month Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the month, 1-based (0 = none)
+ *
+ * @param WeekdayVariable
+ * @text Weekday Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the weekday, 1 = first name (0 = none)
+ *
+ * @param SeasonVariable
+ * @text Season Variable
+ * @type variable
+ * @default 0
+ * @desc Game variable kept equal to the season, 1 = first season (0 = none)
+ *
  * @param ShowTimeWindow
  * @text Show Time Window
  * @type boolean
@@ -193,6 +361,18 @@
  * @type number
  * @default 10
  *
+ * @param ShowDate
+ * @text Show Date
+ * @type boolean
+ * @default false
+ * @desc Add a date line to the time window
+ *
+ * @param DateFormat
+ * @text Date Format
+ * @type text
+ * @default {weekday} {day} {month}
+ * @desc Placeholders: {weekday} {day} {month} {monthNumber} {year} {season}
+ *
  * @help
  * ============================================================================
  * Dynamic Time & Day/Night Cycle System v2.0 - Modular Architecture
@@ -204,6 +384,74 @@
  * IMPORTANT: This plugin ONLY works when the sun is enabled on the map!
  * Use <sun:direction,intensity,color> in map notes to enable sun.
  *
+ * Clock Modes:
+ *   Simulated       - Time Speed game seconds pass per real second,
+ *                     starting at Starting Hour.
+ *   System clock    - The clock shows the computer's local time plus
+ *                     Timezone Offset hours. Each real midnight adds a
+ *                     day, also while the game is closed. SetTime and
+ *                     AddTime shift the clock, which then keeps running
+ *                     in real time; Time Speed has no effect. Pause Time
+ *                     and <timelock> stop the clock: it resumes where it
+ *                     stopped, shifted by the stopped time, so schedules
+ *                     in that span do not fire. A save made while paused
+ *                     stays paused, also while the game is closed.
+ *   Offline progress - Like Simulated, but loading a save adds the real
+ *                     time since saving (times the speed when saving,
+ *                     capped by Offline Max Hours). Saves made while
+ *                     paused or on a <timelock> map do not progress.
+ *   Lighting, variables, switches and schedules follow whichever clock is
+ *   used; schedules passed while the game was closed run on load.
+ *
+ * Calendar:
+ *   Days are grouped into months (Days per Month, one per Month Name) and
+ *   years, and cycle through the Weekday Names. Each season starts on the
+ *   first day of its Start Month and lasts until the next one; a season
+ *   can override the phase hours, ambient and sun colors, and sunrise and
+ *   sunset directions (e.g. short winter days, long summer evenings).
+ *   Script: $gameTime.year(), month(), dayOfMonth(), weekday(),
+ *           weekdayName(), monthName(), season(), seasonIndex()
+ *   Year/Month/Weekday/Season Variable keep game variables in sync for
+ *   conditional branches.
+ *
+ * Variables and Switches:
+ *   Hour/Minute/Day/Phase Variable mirror the time into game variables
+ *   whenever it changes (phase: 1 dawn, 2 day, 3 dusk, 4 night).
+ *   Dawn/Day/Dusk/Night Switch are ON only during their phase.
+ *   Hour Range Switches are ON from Start up to (not including) End;
+ *   ranges may wrap past midnight (22:00 to 6:00).
+ *   Set Time Variable works the other way: Control Variables to HHMM
+ *   (e.g. 1830 for 18:30) and the clock jumps to that time.
+ *   Use them in conditional branches and event page conditions.
+ *
+ * Schedules:
+ *   AddSchedule runs a common event and/or script at a time of day, when
+ *   a phase begins, or when a new day starts; RemoveSchedule stops it.
+ *   Schedules repeat every day unless Once is set, and are saved.
+ *   Jumps from AddTime, SetTime or a high time speed run a schedule once
+ *   for each day it passed (up to 100), in time order. Moving the clock
+ *   back runs nothing, and times already passed do not run again.
+ *   Script: $gameTime.schedule({ id, trigger, time, phase,
+ *             commonEventId, script, callback, once })
+ *           (time in minutes since midnight; callbacks are not saved)
+ *           $gameTime.unschedule(id)
+ *
+ * Time Profiles:
+ *   A profile is a list of keyframes, each at an hour:minute, setting any
+ *   of ambient color/intensity, sun color/intensity/direction and sun
+ *   shadow strength. Every value is interpolated between the keyframes
+ *   that set it (wrapping past midnight), so a keyframe can change only
+ *   the sun. Values a profile never sets come from the phase settings.
+ *   Interpolation: linear, smooth, cosine (eased) or step (hold until the
+ *   next keyframe).
+ *   Map note: <timeProfile:desert>
+ *   Define profiles in Time Profiles or in Time Profile File:
+ *     { "desert": { "interpolation": "smooth", "keyframes": [
+ *       { "time": "5:00", "ambientColor": "#2a2040", "ambientIntensity": 0.1 },
+ *       { "time": "12:00", "sunColor": "#fff4d0", "sunIntensity": 1.2,
+ *         "sunDirection": 180, "shadowStrength": 0.9 } ] } }
+ *   Sun direction keyframes override Sun Rotation.
+ *
  * @command SetTime
  * @text Set Time
  * @arg hour
@@ -248,6 +496,78 @@
  * @command HideTimeWindow
  * @text Hide Time Window
  *
+ * @command SetDate
+ * @text Set Date
+ * @arg year
+ * @type number
+ * @min 1
+ * @default 1
+ * @arg month
+ * @type number
+ * @min 1
+ * @default 1
+ * @arg day
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @command AddSchedule
+ * @text Add Schedule
+ * @desc Run a common event or script at a time, phase change or new day
+ * @arg id
+ * @text Schedule ID
+ * @type text
+ * @default schedule1
+ * @desc Name used to remove it; adding the same ID replaces the schedule
+ * @arg trigger
+ * @text Trigger
+ * @type select
+ * @option Time of day
+ * @value time
+ * @option Phase begins
+ * @value phase
+ * @option New day
+ * @value day
+ * @default time
+ * @arg time
+ * @text Time
+ * @type text
+ * @default 18:00
+ * @desc hour:minute (Trigger = Time of day)
+ * @arg phase
+ * @text Phase
+ * @type select
+ * @option Dawn
+ * @value dawn
+ * @option Day
+ * @value day
+ * @option Dusk
+ * @value dusk
+ * @option Night
+ * @value night
+ * @default night
+ * @desc Phase (Trigger = Phase begins)
+ * @arg commonEventId
+ * @text Common Event
+ * @type common_event
+ * @default 0
+ * @arg script
+ * @text Script
+ * @type multiline_string
+ * @default
+ * @arg once
+ * @text Once
+ * @type boolean
+ * @default false
+ * @desc Remove the schedule after it runs
+ *
+ * @command RemoveSchedule
+ * @text Remove Schedule
+ * @arg id
+ * @text Schedule ID
+ * @type text
+ * @default schedule1
+ *
  * @command SetPhase
  * @text Set Phase
  * @arg phase
@@ -263,6 +583,191 @@
  * @default day
  */
 
+/*~struct~HourRange:
+ * @param Switch
+ * @text Switch
+ * @type switch
+ * @default 0
+ *
+ * @param Start
+ * @text Start Time
+ * @type text
+ * @default 9:00
+ * @desc Time the switch turns ON (hour:minute)
+ *
+ * @param End
+ * @text End Time
+ * @type text
+ * @default 17:00
+ * @desc Time the switch turns OFF (hour:minute)
+ */
+
+/*~struct~TimeProfile:
+ * @param Name
+ * @text Name
+ * @type text
+ * @default desert
+ *
+ * @param Interpolation
+ * @text Interpolation
+ * @type select
+ * @option linear
+ * @option smooth
+ * @option cosine
+ * @option step
+ * @default smooth
+ *
+ * @param Keyframes
+ * @text Keyframes
+ * @type struct<Keyframe>[]
+ * @default []
+ */
+
+/*~struct~Keyframe:
+ * @param Time
+ * @text Time
+ * @type text
+ * @default 12:00
+ * @desc Time of day (hour:minute)
+ *
+ * @param AmbientColor
+ * @text Ambient Color
+ * @type text
+ * @default
+ * @desc Blank = not set by this keyframe
+ *
+ * @param AmbientIntensity
+ * @text Ambient Intensity
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default
+ *
+ * @param SunColor
+ * @text Sun Color
+ * @type text
+ * @default
+ *
+ * @param SunIntensity
+ * @text Sun Intensity
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 2
+ * @default
+ *
+ * @param SunDirection
+ * @text Sun Direction
+ * @type number
+ * @min 0
+ * @max 360
+ * @default
+ *
+ * @param ShadowStrength
+ * @text Shadow Strength
+ * @type number
+ * @decimals 2
+ * @min 0
+ * @max 1
+ * @default
+ */
+
+/*~struct~Season:
+ * @param Name
+ * @text Name
+ * @type text
+ * @default Spring
+ *
+ * @param StartMonth
+ * @text Start Month
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @param DawnStart
+ * @text Dawn Start Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @default
+ *
+ * @param DayStart
+ * @text Day Start Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @default
+ *
+ * @param DuskStart
+ * @text Dusk Start Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @default
+ *
+ * @param NightStart
+ * @text Night Start Hour
+ * @type number
+ * @min 0
+ * @max 23
+ * @default
+ *
+ * @param DawnAmbientColor
+ * @text Dawn Ambient Color
+ * @type text
+ * @default
+ *
+ * @param DayAmbientColor
+ * @text Day Ambient Color
+ * @type text
+ * @default
+ *
+ * @param DuskAmbientColor
+ * @text Dusk Ambient Color
+ * @type text
+ * @default
+ *
+ * @param NightAmbientColor
+ * @text Night Ambient Color
+ * @type text
+ * @default
+ *
+ * @param DawnSunColor
+ * @text Dawn Sun Color
+ * @type text
+ * @default
+ *
+ * @param DaySunColor
+ * @text Day Sun Color
+ * @type text
+ * @default
+ *
+ * @param DuskSunColor
+ * @text Dusk Sun Color
+ * @type text
+ * @default
+ *
+ * @param NightSunColor
+ * @text Night Sun Color
+ * @type text
+ * @default
+ *
+ * @param SunriseDirection
+ * @text Sunrise Direction
+ * @type number
+ * @min 0
+ * @max 360
+ * @default
+ *
+ * @param SunsetDirection
+ * @text Sunset Direction
+ * @type number
+ * @min 0
+ * @max 360
+ * @default
+ */
+
 (function() {
     'use strict';
 
@@ -293,8 +798,152 @@
     const parameters = ourPlugin ? ourPlugin.parameters : {};
     console.log('[DynamicLighting_Time] Parameters:', parameters);
     
+    /**
+     * Parse a plugin parameter list (stored as a JSON string)
+     * @param {string} text - Parameter value
+     * @returns {Array} Parsed list, or an empty array
+     */
+    function parseList(text) {
+        try {
+            const list = JSON.parse(text || '[]');
+            return Array.isArray(list) ? list : [];
+        } catch (e) {
+            console.warn('[DynamicLighting_Time] Invalid list parameter:', text);
+            return [];
+        }
+    }
+
+    // Season fields that override TIME_CONFIG: parameter -> [key, type]
+    const SEASON_OVERRIDES = {
+        DawnStart: ['dawnStart', Number],
+        DayStart: ['dayStart', Number],
+        DuskStart: ['duskStart', Number],
+        NightStart: ['nightStart', Number],
+        DawnAmbientColor: ['dawnAmbientColor', String],
+        DayAmbientColor: ['dayAmbientColor', String],
+        DuskAmbientColor: ['duskAmbientColor', String],
+        NightAmbientColor: ['nightAmbientColor', String],
+        DawnSunColor: ['dawnSunColor', String],
+        DaySunColor: ['daySunColor', String],
+        DuskSunColor: ['duskSunColor', String],
+        NightSunColor: ['nightSunColor', String],
+        SunriseDirection: ['sunriseDirection', Number],
+        SunsetDirection: ['sunsetDirection', Number]
+    };
+
+    /**
+     * Parse the Seasons parameter
+     * @param {string} text - Parameter value
+     * @returns {Array} {name, startMonth, overrides}
+     */
+    function parseSeasons(text) {
+        return parseList(text).map(entry => {
+            const season = typeof entry === 'string' ? JSON.parse(entry) : entry;
+            const overrides = {};
+            for (const param in SEASON_OVERRIDES) {
+                const value = season[param];
+                if (value === undefined || value === '') continue;
+                const [key, type] = SEASON_OVERRIDES[param];
+                overrides[key] = type(value);
+            }
+            return {
+                name: String(season.Name || ''),
+                startMonth: Number(season.StartMonth || 1),
+                overrides: overrides
+            };
+        });
+    }
+
+    /**
+     * Parse "hour:minute" into minutes of the day
+     * @param {string} text - Time text
+     * @returns {number} Minutes since midnight
+     */
+    function parseClockTime(text) {
+        const [hour, minute] = String(text || '0').split(':').map(p => Number(p.trim()) || 0);
+        return ((hour * 60 + minute) % 1440 + 1440) % 1440;
+    }
+
+    /**
+     * Parse the Hour Range Switches parameter
+     * @param {string} text - Parameter value
+     * @returns {Array} {switchId, start, end} in minutes of the day
+     */
+    function parseHourRanges(text) {
+        return parseList(text).map(entry => {
+            const range = typeof entry === 'string' ? JSON.parse(entry) : entry;
+            return {
+                switchId: Number(range.Switch || 0),
+                start: parseClockTime(range.Start),
+                end: parseClockTime(range.End)
+            };
+        }).filter(range => range.switchId > 0);
+    }
+
+    // Keyframe fields: parameter -> [key, type]
+    const KEYFRAME_FIELDS = {
+        AmbientColor: ['ambientColor', String],
+        AmbientIntensity: ['ambientIntensity', Number],
+        SunColor: ['sunColor', String],
+        SunIntensity: ['sunIntensity', Number],
+        SunDirection: ['sunDirection', Number],
+        ShadowStrength: ['shadowStrength', Number]
+    };
+
+    /**
+     * Parse the Time Profiles parameter into profile data
+     * @param {string} text - Parameter value
+     * @returns {object} Name -> { interpolation, keyframes }
+     */
+    function parseTimeProfiles(text) {
+        const data = {};
+        for (const entry of parseList(text)) {
+            const profile = typeof entry === 'string' ? JSON.parse(entry) : entry;
+            const keyframes = parseList(profile.Keyframes).map(item => {
+                const keyframe = typeof item === 'string' ? JSON.parse(item) : item;
+                const frame = { time: String(keyframe.Time || '0:00') };
+                for (const param in KEYFRAME_FIELDS) {
+                    const value = keyframe[param];
+                    if (value === undefined || value === '') continue;
+                    const [key, type] = KEYFRAME_FIELDS[param];
+                    frame[key] = type(value);
+                }
+                return frame;
+            });
+            data[String(profile.Name || '')] = {
+                interpolation: String(profile.Interpolation || 'smooth'),
+                keyframes: keyframes
+            };
+        }
+        return data;
+    }
+
+    /**
+     * Load profile data from a JSON file
+     * @param {string} path - File path ('' = none)
+     * @returns {object} Name -> { interpolation, keyframes }
+     */
+    function loadTimeProfileFile(path) {
+        if (!path) return {};
+        try {
+            const xhr = new XMLHttpRequest();
+            xhr.open('GET', path, false);
+            xhr.send();
+            if (xhr.status === 200 || (xhr.status === 0 && xhr.responseText)) {
+                return JSON.parse(xhr.responseText);
+            }
+            console.error('[DynamicLighting_Time] Failed to load time profiles:', path);
+        } catch (e) {
+            console.error('[DynamicLighting_Time] Invalid time profile file:', path, e);
+        }
+        return {};
+    }
+
     // Pre-parse time configuration and store it for modules to use
     const TIME_CONFIG = {
+        clockMode: String(parameters['ClockMode'] || 'simulated'),
+        timezoneOffset: Number(parameters['TimezoneOffset'] || 0),
+        offlineMaxHours: Number(parameters['OfflineMaxHours'] || 0),
         speed: Number(parameters['TimeSpeed'] || 60),
         startHour: Number(parameters['StartHour'] || 12),
         startMinute: Number(parameters['StartMinute'] || 0),
@@ -333,11 +982,41 @@
         sunRotation: parameters['SunRotation'] === 'true',
         sunriseDirection: Number(parameters['SunriseDirection'] || 315),
         sunsetDirection: Number(parameters['SunsetDirection'] || 225),
+        noonSunElevation: Number(parameters['NoonSunElevation'] || 0.9),
+        
+        // Calendar
+        daysPerMonth: Math.max(1, Number(parameters['DaysPerMonth'] || 30)),
+        monthNames: parseList(parameters['MonthNames']).map(String),
+        weekdayNames: parseList(parameters['WeekdayNames']).map(String),
+        seasons: parseSeasons(parameters['Seasons']),
+        
+        // Keyframe profiles (built after the modules load)
+        timeProfiles: {},
+        defaultTimeProfile: String(parameters['DefaultTimeProfile'] || ''),
+        
+        hourVariable: Number(parameters['HourVariable'] || 0),
+        minuteVariable: Number(parameters['MinuteVariable'] || 0),
+        dayVariable: Number(parameters['DayVariable'] || 0),
+        phaseVariable: Number(parameters['PhaseVariable'] || 0),
+        phaseSwitches: {
+            dawn: Number(parameters['DawnSwitch'] || 0),
+            day: Number(parameters['DaySwitch'] || 0),
+            dusk: Number(parameters['DuskSwitch'] || 0),
+            night: Number(parameters['NightSwitch'] || 0)
+        },
+        hourRangeSwitches: parseHourRanges(parameters['HourRangeSwitches']),
+        setTimeVariable: Number(parameters['SetTimeVariable'] || 0),
+        yearVariable: Number(parameters['YearVariable'] || 0),
+        monthVariable: Number(parameters['MonthVariable'] || 0),
+        weekdayVariable: Number(parameters['WeekdayVariable'] || 0),
+        seasonVariable: Number(parameters['SeasonVariable'] || 0),
         
         // Time window
         showTimeWindow: parameters['ShowTimeWindow'] === 'true',
         timeWindowX: Number(parameters['TimeWindowX'] || 10),
-        timeWindowY: Number(parameters['TimeWindowY'] || 10)
+        timeWindowY: Number(parameters['TimeWindowY'] || 10),
+        showDate: parameters['ShowDate'] === 'true',
+        dateFormat: String(parameters['DateFormat'] || '{weekday} {day} {month}')
     };
     
     console.log('[DynamicLighting_Time] Parsed TIME_CONFIG:', TIME_CONFIG);
@@ -373,6 +1052,8 @@
     // Load time modules
     const modules = [
         'TimeSystem.js',
+        'TimeProfile.js',
+        'TimeScheduler.js',
         'TimeWindow.js'
     ];
 
@@ -388,6 +1069,15 @@
     
     console.log('[DynamicLighting_Time] All modules loaded successfully');
 
+    // Profiles from the file are added to (and replace same-named) parameter profiles
+    TIME_CONFIG.timeProfiles = DL.Time.createProfiles(Object.assign(
+        parseTimeProfiles(parameters['TimeProfiles']),
+        loadTimeProfileFile(String(parameters['TimeProfileFile'] || ''))
+    ));
+    if (TIME_CONFIG.defaultTimeProfile && !TIME_CONFIG.timeProfiles[TIME_CONFIG.defaultTimeProfile]) {
+        console.warn('[DynamicLighting_Time] Unknown default time profile:', TIME_CONFIG.defaultTimeProfile);
+    }
+
     // Get references
     const Game_Time = DL.Time.Game_Time;
     const Window_GameTime = DL.Time.Window_GameTime;
@@ -443,6 +1133,7 @@
         
         $gameTime.clearMapTimeLock();
         $gameTime.clearMapSpeedOverride();
+        $gameTime.clearMapProfile();
         
         if ($dataMap && $dataMap.note) {
             const timeLockMatch = $dataMap.note.match(/<timelock[:\s]*(\d+)(?::(\d+))?>/i);
@@ -459,6 +1150,12 @@
                 $gameTime.setMapSpeedOverride(speed);
                 Debug.log('Map time speed set to', speed);
             }
+            
+            const profileMatch = $dataMap.note.match(/<timeProfile[:\s]*([^>]+)>/i);
+            if (profileMatch) {
+                $gameTime.setMapProfile(profileMatch[1].trim());
+                Debug.log('Map time profile set to', profileMatch[1].trim());
+            }
         }
     };
 
@@ -493,8 +1190,10 @@
         if (!$gameTime || !$gameMap) return;
         
         $gameTime.incrementFrame();
+        this.updateSetTimeVariable();
         $gameTime.update();
         $gameTime._invalidateCache();
+        this.updateTimeVariables();
         
         if (!$gameMap.isSunEnabled()) {
             return;
@@ -517,12 +1216,79 @@
             if (sunDirection !== null) {
                 $gameMap._sunLight.direction = sunDirection * Math.PI / 180;
             }
+            $gameMap._sunLight.elevation = $gameTime.getSunElevation();
+            
+            const shadowStrength = $gameTime.getShadowStrength();
+            if (shadowStrength !== null) {
+                $gameMap._sunLight.shadowStrength = shadowStrength;
+            } else {
+                delete $gameMap._sunLight.shadowStrength;
+            }
         }
         
         $gameMap._ambientColor = ambientColor;
         $gameMap._ambientIntensity = ambientIntensity;
     };
 
+    const PHASE_NUMBERS = { dawn: 1, day: 2, dusk: 3, night: 4 };
+
+    /**
+     * Set the time when the Set Time Variable was changed by an event
+     */
+    Scene_Map.prototype.updateSetTimeVariable = function() {
+        const variableId = TimeConfig.setTimeVariable;
+        if (variableId <= 0) return;
+
+        const value = $gameVariables.value(variableId);
+        // The first value seen (new game or load) is only recorded
+        if ($gameTime._setTimeValue !== undefined && $gameTime._setTimeValue !== value) {
+            const hhmm = Math.max(0, Math.floor(Number(value) || 0));
+            $gameTime.setTime(Math.floor(hhmm / 100) % 24, Math.min(59, hhmm % 100));
+        }
+        $gameTime._setTimeValue = value;
+    };
+
+    /**
+     * Keep the time variables and switches equal to the current time
+     */
+    Scene_Map.prototype.updateTimeVariables = function() {
+        const phase = $gameTime.phase();
+        const bindings = [
+            [TimeConfig.hourVariable, $gameTime.hour()],
+            [TimeConfig.minuteVariable, $gameTime.minute()],
+            [TimeConfig.dayVariable, $gameTime.day()],
+            [TimeConfig.phaseVariable, PHASE_NUMBERS[phase]],
+            [TimeConfig.yearVariable, $gameTime.year()],
+            [TimeConfig.monthVariable, $gameTime.month()],
+            [TimeConfig.weekdayVariable, $gameTime.weekday() + 1],
+            [TimeConfig.seasonVariable, $gameTime.seasonIndex() + 1]
+        ];
+        for (const [variableId, value] of bindings) {
+            if (variableId > 0 && $gameVariables.value(variableId) !== value) {
+                $gameVariables.setValue(variableId, value);
+            }
+        }
+
+        // A switch used by several phases or ranges is ON if any of them is
+        const minutes = $gameTime.hour() * 60 + $gameTime.minute();
+        const switches = {};
+        for (const name in TimeConfig.phaseSwitches) {
+            const switchId = TimeConfig.phaseSwitches[name];
+            if (switchId > 0) switches[switchId] = switches[switchId] || name === phase;
+        }
+        for (const range of TimeConfig.hourRangeSwitches) {
+            const inRange = range.start <= range.end ?
+                minutes >= range.start && minutes < range.end :
+                minutes >= range.start || minutes < range.end;
+            switches[range.switchId] = switches[range.switchId] || inRange;
+        }
+        for (const switchId in switches) {
+            if ($gameSwitches.value(switchId) !== switches[switchId]) {
+                $gameSwitches.setValue(switchId, switches[switchId]);
+            }
+        }
+    };
+
     Scene_Map.prototype.updateTimeWindow = function() {
         if (this._timeWindow && $gameTime) {
             this._timeWindow.visible = $gameTime._showWindow;
@@ -576,15 +1342,42 @@
         }
     });
 
+    PluginManager.registerCommand(pluginName, 'SetDate', args => {
+        if ($gameTime) {
+            $gameTime.setDate(Number(args.year), Number(args.month), Number(args.day));
+        }
+    });
+
+    PluginManager.registerCommand(pluginName, 'AddSchedule', args => {
+        if ($gameTime) {
+            $gameTime.schedule({
+                id: args.id,
+                trigger: args.trigger,
+                time: parseClockTime(args.time),
+                phase: args.phase,
+                commonEventId: Number(args.commonEventId || 0),
+                script: args.script || '',
+                once: args.once === 'true'
+            });
+        }
+    });
+
+    PluginManager.registerCommand(pluginName, 'RemoveSchedule', args => {
+        if ($gameTime) {
+            $gameTime.unschedule(args.id);
+        }
+    });
+
     PluginManager.registerCommand(pluginName, 'SetPhase', args => {
         if ($gameTime) {
             const phase = args.phase;
+            const config = $gameTime.settings();
             let hour;
             switch (phase) {
-                case 'dawn': hour = TimeConfig.dawnStart; break;
-                case 'day': hour = TimeConfig.dayStart + 2; break;
-                case 'dusk': hour = TimeConfig.duskStart; break;
-                case 'night': hour = TimeConfig.nightStart + 2; break;
+                case 'dawn': hour = config.dawnStart; break;
+                case 'day': hour = config.dayStart + 2; break;
+                case 'dusk': hour = config.duskStart; break;
+                case 'night': hour = config.nightStart + 2; break;
                 default: hour = 12;
             }
             $gameTime.setTime(hour, 0);
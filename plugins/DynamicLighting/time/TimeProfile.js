@@ -0,0 +1,289 @@
+/**
+ * DynamicLighting - Time Profile
+ * Keyframed day/night lighting curves
+ * @module DynamicLighting/time/TimeProfile
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL || !DL.Time) {
+        console.error('[DynamicLighting] Time module not loaded!');
+        return;
+    }
+
+    const Utils = DL.Utils;
+    const Debug = DL.Debug;
+
+    const MINUTES_PER_DAY = 1440;
+
+    // Keyframe channels and how they are interpolated
+    const CHANNELS = {
+        ambientColor: 'color',
+        ambientIntensity: 'number',
+        sunColor: 'color',
+        sunIntensity: 'number',
+        sunDirection: 'angle',
+        shadowStrength: 'number'
+    };
+
+    // Utils.hexToRgb falls back to white, so colors are checked up front
+    const HEX_COLOR = /^#?([a-f\d]{3}|[a-f\d]{6})$/i;
+
+    // Easing applied to the progress between two keyframes
+    const INTERPOLATIONS = {
+        linear: t => t,
+        smooth: t => t * t * (3 - 2 * t),
+        cosine: t => (1 - Math.cos(Math.PI * t)) / 2,
+        step: t => 0
+    };
+
+    /**
+     * Interpolate between two angles in degrees along the shorter arc
+     */
+    function lerpAngle(a, b, t) {
+        const delta = ((b - a) % 360 + 540) % 360 - 180;
+        return ((a + delta * t) % 360 + 360) % 360;
+    }
+
+    /**
+     * Time Profile
+     * Each channel interpolates only between the keyframes that set it, so
+     * a keyframe can change the sun without touching the ambient light.
+     * Keyframes wrap around midnight.
+     */
+    class TimeProfile {
+        /**
+         * @param {string} name - Profile name
+         * @param {Array} keyframes - {time (minutes since midnight), ...channels}
+         * @param {string} interpolation - 'linear', 'smooth', 'cosine' or 'step'
+         */
+        constructor(name, keyframes, interpolation) {
+            this._name = name;
+            this._ease = INTERPOLATIONS[interpolation] || INTERPOLATIONS.smooth;
+            this._channels = {};
+
+            for (const channel in CHANNELS) {
+                const frames = keyframes
+                    .filter(frame => frame[channel] !== undefined && frame[channel] !== null)
+                    .map(frame => ({
+                        time: ((frame.time % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY,
+                        value: CHANNELS[channel] === 'color' ? Utils.hexToRgb(String(frame[channel]).trim()) : Number(frame[channel])
+                    }))
+                    .sort((a, b) => a.time - b.time);
+                if (frames.length > 0) {
+                    this._channels[channel] = frames;
+                }
+            }
+        }
+
+        /**
+         * Check whether any keyframe sets a channel
+         * @param {string} channel - Channel name
+         * @returns {boolean} True if the channel is keyed
+         */
+        has(channel) {
+            return !!this._channels[channel];
+        }
+
+        /**
+         * Sample one channel
+         * @param {string} channel - Channel name
+         * @param {number} minute - Minutes since midnight (fractional)
+         * @returns {*} Value (hex color for color channels), or null if not keyed
+         */
+        sample(channel, minute) {
+            const frames = this._channels[channel];
+            if (!frames) return null;
+
+            const type = CHANNELS[channel];
+            let value;
+            if (frames.length === 1) {
+                value = frames[0].value;
+            } else {
+                // Previous keyframe at or before the minute, wrapping to yesterday
+                let index = frames.length - 1;
+                for (let i = 0; i < frames.length; i++) {
+                    if (frames[i].time <= minute) index = i;
+                }
+                const from = frames[index];
+                const to = frames[(index + 1) % frames.length];
+                const fromTime = from.time <= minute ? from.time : from.time - MINUTES_PER_DAY;
+                const toTime = to.time > fromTime ? to.time : to.time + MINUTES_PER_DAY;
+                const t = this._ease(Utils.clamp((minute - fromTime) / (toTime - fromTime), 0, 1));
+
+                if (type === 'color') {
+                    value = Utils.lerpColor(from.value, to.value, t);
+                } else if (type === 'angle') {
+                    value = lerpAngle(from.value, to.value, t);
+                } else {
+                    value = Utils.lerp(from.value, to.value, t);
+                }
+            }
+            return type === 'color' ? Utils.rgbToHex(value.r, value.g, value.b) : value;
+        }
+
+        /**
+         * Build the classic four-phase curve from day/night settings
+         * @param {object} config - TIME_CONFIG or season settings
+         * @returns {PhaseProfile} Profile
+         */
+        static fromPhases(config) {
+            return new PhaseProfile(config);
+        }
+
+        get name() {
+            return this._name;
+        }
+    }
+
+    // Channels the four phases set, and the settings suffix for each
+    const PHASE_CHANNELS = {
+        ambientColor: 'AmbientColor',
+        ambientIntensity: 'AmbientIntensity',
+        sunColor: 'SunColor',
+        sunIntensity: 'SunIntensity'
+    };
+
+    /**
+     * Phase Profile
+     * The classic four-phase curve, timed as it was before keyframe
+     * profiles: every phase eases over its whole length, day colors are
+     * reached when the eased day progress hits 0.2, and dusk colors pass
+     * through the dusk color while dusk intensities go straight to night.
+     * Has the same interface as TimeProfile.
+     */
+    class PhaseProfile {
+        /**
+         * @param {object} config - TIME_CONFIG or season settings
+         */
+        constructor(config) {
+            this._config = config;
+        }
+
+        has(channel) {
+            return PHASE_CHANNELS.hasOwnProperty(channel);
+        }
+
+        /**
+         * Phase at a minute of the day and how far into it
+         * @param {number} minute - Minutes since midnight
+         * @returns {object} {phase, progress (0-1)}
+         */
+        _phaseAt(minute) {
+            const config = this._config;
+            const dawn = config.dawnStart * 60;
+            const day = config.dayStart * 60;
+            const dusk = config.duskStart * 60;
+            const night = config.nightStart * 60;
+
+            if (minute >= night || minute < dawn) {
+                const length = MINUTES_PER_DAY - night + dawn;
+                const elapsed = minute >= night ? minute - night : MINUTES_PER_DAY - night + minute;
+                return { phase: 'night', progress: elapsed / length };
+            }
+            if (minute >= dusk) return { phase: 'dusk', progress: (minute - dusk) / (night - dusk) };
+            if (minute >= day) return { phase: 'day', progress: (minute - day) / (dusk - day) };
+            return { phase: 'dawn', progress: (minute - dawn) / (day - dawn) };
+        }
+
+        /**
+         * Sample one channel
+         * @param {string} channel - Channel name
+         * @param {number} minute - Minutes since midnight (fractional)
+         * @returns {*} Value (hex color for color channels), or null if not set
+         */
+        sample(channel, minute) {
+            if (!this.has(channel)) return null;
+
+            const setting = phase => this._config[phase + PHASE_CHANNELS[channel]];
+            const isColor = CHANNELS[channel] === 'color';
+            const mix = (from, to, t) => {
+                if (!isColor) return Utils.lerp(from, to, t);
+                const rgb = Utils.lerpColor(Utils.hexToRgb(from), Utils.hexToRgb(to), t);
+                return Utils.rgbToHex(rgb.r, rgb.g, rgb.b);
+            };
+
+            const { phase, progress } = this._phaseAt(minute);
+            const t = INTERPOLATIONS.smooth(Utils.clamp(progress, 0, 1));
+            switch (phase) {
+                case 'dawn':
+                    return mix(setting('night'), setting('dawn'), t);
+                case 'day':
+                    return t < 0.2 ? mix(setting('dawn'), setting('day'), t / 0.2) : setting('day');
+                case 'dusk':
+                    if (!isColor) return mix(setting('day'), setting('night'), t);
+                    return t < 0.5 ?
+                        mix(setting('day'), setting('dusk'), t * 2) :
+                        mix(setting('dusk'), setting('night'), (t - 0.5) * 2);
+                default:
+                    return setting('night');
+            }
+        }
+
+        get name() {
+            return '';
+        }
+    }
+
+    /**
+     * Parse "hour:minute" into minutes since midnight
+     * @param {string|number} text - Time text, or minutes
+     * @returns {number} Minutes since midnight
+     */
+    function parseKeyframeTime(text) {
+        if (typeof text === 'number') return text;
+        const [hour, minute] = String(text || '0').split(':').map(p => Number(p.trim()) || 0);
+        return hour * 60 + minute;
+    }
+
+    /**
+     * Check that every color a keyframe sets is a valid hex color
+     * @param {object} frame - Keyframe
+     * @returns {boolean} True if the keyframe's colors parse
+     */
+    function hasValidColors(frame) {
+        for (const channel in CHANNELS) {
+            const value = frame[channel];
+            if (CHANNELS[channel] !== 'color' || value === undefined || value === null) continue;
+            if (!HEX_COLOR.test(String(value).trim())) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Create profiles from data: { name: { interpolation, keyframes: [
+     *   { time: 'hh:mm', ambientColor, ambientIntensity, sunColor,
+     *     sunIntensity, sunDirection, shadowStrength } ] } }
+     * Keyframes with an invalid color are skipped with a warning.
+     * @param {object} data - Profile data
+     * @returns {object} Name -> TimeProfile
+     */
+    function createProfiles(data) {
+        const profiles = {};
+        for (const name in data || {}) {
+            const entry = data[name] || {};
+            const keyframes = (entry.keyframes || [])
+                .filter(frame => {
+                    if (hasValidColors(frame)) return true;
+                    Debug.warn('Invalid color in time profile keyframe:', name, frame.time);
+                    return false;
+                })
+                .map(frame => Object.assign({}, frame, { time: parseKeyframeTime(frame.time) }));
+            if (keyframes.length === 0) {
+                Debug.warn('Time profile has no keyframes:', name);
+                continue;
+            }
+            profiles[name] = new TimeProfile(name, keyframes, entry.interpolation);
+        }
+        return profiles;
+    }
+
+    // Export
+    DL.Time.TimeProfile = TimeProfile;
+    DL.Time.createProfiles = createProfiles;
+
+    Debug.log('TimeProfile module loaded');
+
+})();
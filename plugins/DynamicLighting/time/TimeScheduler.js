@@ -0,0 +1,206 @@
+/**
+ * DynamicLighting - Time Scheduler
+ * Runs common events, scripts or callbacks at times of day, phase changes
+ * and day rollover
+ * @module DynamicLighting/time/TimeScheduler
+ */
+
+(function() {
+    'use strict';
+
+    const DL = window.DynamicLighting;
+    if (!DL || !DL.Time) {
+        console.error('[DynamicLighting] Time module not loaded!');
+        return;
+    }
+
+    const Debug = DL.Debug;
+
+    const MINUTES_PER_DAY = 1440;
+
+    // Occurrences a schedule fires for in one range at most (a long offline
+    // catch-up would otherwise queue hundreds of common events)
+    const MAX_OCCURRENCES = 100;
+
+    /**
+     * Time Scheduler
+     * Game_Time reports every change of the clock as a range of absolute
+     * minutes (from, to]. Each schedule fires once for every time its minute
+     * of day falls in the range (up to MAX_OCCURRENCES), so a multi-day
+     * AddTime jump or a fast time speed fires daily schedules once per day.
+     * Schedules marked once fire only for the first occurrence.
+     *
+     * Schedule fields:
+     *   id            - Name used to remove it
+     *   trigger       - 'time', 'phase' or 'day'
+     *   time          - Minutes since midnight (trigger 'time')
+     *   phase         - 'dawn', 'day', 'dusk' or 'night' (trigger 'phase')
+     *   commonEventId - Common event to reserve (0 = none)
+     *   script        - JavaScript to evaluate ('' = none)
+     *   callback      - Function(schedule) (not saved)
+     *   once          - Remove after firing
+     */
+    class TimeScheduler {
+        constructor() {
+            this._schedules = [];
+        }
+
+        /**
+         * Add a schedule, replacing any with the same id
+         * @param {object} schedule - Schedule fields
+         */
+        add(schedule) {
+            this.remove(schedule.id);
+            this._schedules.push({
+                id: String(schedule.id || ''),
+                trigger: schedule.trigger || 'time',
+                time: Number(schedule.time || 0),
+                phase: schedule.phase || 'day',
+                commonEventId: Number(schedule.commonEventId || 0),
+                script: schedule.script || '',
+                callback: schedule.callback || null,
+                once: !!schedule.once
+            });
+            Debug.log('Schedule added:', schedule.id);
+        }
+
+        /**
+         * Remove schedules by id
+         * @param {string} id - Schedule id
+         */
+        remove(id) {
+            this._schedules = this._schedules.filter(s => s.id !== String(id));
+        }
+
+        /**
+         * Remove every schedule
+         */
+        clear() {
+            this._schedules = [];
+        }
+
+        /**
+         * Check whether a schedule exists
+         * @param {string} id - Schedule id
+         * @returns {boolean} True if registered
+         */
+        has(id) {
+            return this._schedules.some(s => s.id === String(id));
+        }
+
+        /**
+         * Minute of the day a schedule fires at
+         * @param {object} schedule - Schedule
+         * @param {object} settings - Day/night settings (phase start hours)
+         * @returns {number} Minutes since midnight
+         */
+        _minuteOfDay(schedule, settings) {
+            switch (schedule.trigger) {
+                case 'day':
+                    return 0;
+                case 'phase':
+                    return Math.round((settings[schedule.phase + 'Start'] || 0) * 60);
+                default:
+                    return schedule.time;
+            }
+        }
+
+        /**
+         * First absolute minute after `from` that falls on a minute of day
+         * @param {number} from - Absolute minute (exclusive)
+         * @param {number} minuteOfDay - Minutes since midnight
+         * @returns {number} Absolute minute
+         */
+        _nextOccurrence(from, minuteOfDay) {
+            const day = Math.floor((from - minuteOfDay) / MINUTES_PER_DAY) + 1;
+            return day * MINUTES_PER_DAY + minuteOfDay;
+        }
+
+        /**
+         * Fire schedules for every occurrence in (from, to], in time order
+         * @param {number} from - Absolute minute already processed
+         * @param {number} to - Current absolute minute
+         * @param {object} settings - Day/night settings (phase start hours)
+         */
+        process(from, to, settings) {
+            if (to <= from || this._schedules.length === 0) return;
+
+            const due = [];
+            for (const schedule of this._schedules) {
+                let at = this._nextOccurrence(from, this._minuteOfDay(schedule, settings));
+                const limit = schedule.once ? 1 : MAX_OCCURRENCES;
+                for (let count = 0; at <= to && count < limit; count++) {
+                    due.push({ schedule, at });
+                    at += MINUTES_PER_DAY;
+                }
+                if (at <= to && !schedule.once) {
+                    Debug.warn('Schedule', schedule.id, 'passed more than', MAX_OCCURRENCES, 'times; skipping the rest');
+                }
+            }
+            due.sort((a, b) => a.at - b.at);
+
+            for (const { schedule } of due) {
+                if (schedule.once) {
+                    this._schedules.splice(this._schedules.indexOf(schedule), 1);
+                }
+                this._fire(schedule);
+            }
+        }
+
+        _fire(schedule) {
+            Debug.log('Schedule fired:', schedule.id);
+            if (schedule.commonEventId > 0) {
+                $gameTemp.reserveCommonEvent(schedule.commonEventId);
+            }
+            if (schedule.script) {
+                try {
+                    eval(schedule.script);
+                } catch (e) {
+                    console.error('[DynamicLighting_Time] Schedule script failed:', schedule.id, e);
+                }
+            }
+            if (schedule.callback) {
+                schedule.callback(schedule);
+            }
+        }
+
+        /**
+         * Create save data (callbacks are not saved)
+         * @returns {Array} Serializable schedules
+         */
+        makeSaveContents() {
+            return this._schedules
+                .filter(s => s.commonEventId > 0 || s.script)
+                .map(s => {
+                    const saved = Object.assign({}, s);
+                    delete saved.callback;
+                    return saved;
+                });
+        }
+
+        /**
+         * Restore schedules from save data
+         * @param {Array} contents - Data from makeSaveContents
+         */
+        extractSaveContents(contents) {
+            this.clear();
+            for (const schedule of contents || []) {
+                this.add(schedule);
+            }
+        }
+
+        /**
+         * Get all schedules
+         * @returns {Array} Schedules
+         */
+        get schedules() {
+            return this._schedules;
+        }
+    }
+
+    // Export
+    DL.Time.TimeScheduler = TimeScheduler;
+
+    Debug.log('TimeScheduler module loaded');
+
+})();
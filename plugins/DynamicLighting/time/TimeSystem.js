@@ -30,15 +30,8 @@
      * Interpolate between two colors
      */
     function lerpColor(color1, color2, t) {
-        const rgb1 = Utils.hexToRgb(color1);
-        const rgb2 = Utils.hexToRgb(color2);
-        const r = Math.round(rgb1[0] + (rgb2[0] - rgb1[0]) * t);
-        const g = Math.round(rgb1[1] + (rgb2[1] - rgb1[1]) * t);
-        const b = Math.round(rgb1[2] + (rgb2[2] - rgb1[2]) * t);
-        return '#' + [r, g, b].map(x => {
-            const hex = Math.max(0, Math.min(255, x)).toString(16);
-            return hex.length === 1 ? '0' + hex : hex;
-        }).join('');
+        const rgb = Utils.lerpColor(Utils.hexToRgb(color1), Utils.hexToRgb(color2), Utils.clamp(t, 0, 1));
+        return Utils.rgbToHex(rgb.r, rgb.g, rgb.b);
     }
 
     /**
@@ -48,6 +41,14 @@
         return a + (b - a) * t;
     }
 
+    const SECONDS_PER_DAY = 86400;
+
+    // Four-phase profiles built per settings object (TIME_CONFIG or a season)
+    const PHASE_PROFILES = new Map();
+
+    // Sun elevation at sunrise and sunset (consumers clamp below this)
+    const HORIZON_ELEVATION = 0.1;
+
     /**
      * Smooth step interpolation (ease in-out)
      */
@@ -55,6 +56,23 @@
         return t * t * (3 - 2 * t);
     }
 
+    //==========================================================================
+    // Calendar
+    //==========================================================================
+
+    const MONTHS_PER_YEAR = TIME_CONFIG.monthNames.length || 12;
+    const DAYS_PER_YEAR = TIME_CONFIG.daysPerMonth * MONTHS_PER_YEAR;
+
+    // Seasons sorted by start month, each with its lighting settings
+    // (TIME_CONFIG with the season's overrides applied)
+    const SEASONS = TIME_CONFIG.seasons
+        .map(season => ({
+            name: season.name,
+            startMonth: season.startMonth,
+            settings: Object.assign({}, TIME_CONFIG, season.overrides)
+        }))
+        .sort((a, b) => a.startMonth - b.startMonth);
+
     //==========================================================================
     // Game_Time - Core time system
     //==========================================================================
@@ -73,6 +91,23 @@
             this._showWindow = TIME_CONFIG.showTimeWindow;
             this._mapTimeLock = null;
             this._mapSpeedOverride = null;
+            // Last seen Set Time Variable value. Left out of the save and
+            // cleared on load, so a loaded value is recorded, not applied.
+            this._setTimeValue = undefined;
+            
+            // System clock mode: seconds added by SetTime/AddTime, the local
+            // calendar day of the last sync, and when the clock was stopped
+            // by Pause Time or a time lock (ms, null = running)
+            this._clockOffset = 0;
+            this._clockEpochDay = null;
+            this._stoppedAt = null;
+            if (TIME_CONFIG.clockMode === 'system') {
+                this._syncSystemClock();
+            }
+            
+            // Schedules and the last absolute minute they were checked at
+            this._scheduler = new DL.Time.TimeScheduler();
+            this._scheduleMinute = this._absoluteMinute();
             
             // Cached lighting values
             this._cachedMinute = -1;
@@ -82,8 +117,13 @@
             this._cachedSunColorRgb = null;
             this._cachedSunIntensity = null;
             this._cachedSunDirection = null;
+            this._cachedSunElevation = null;
+            this._cachedShadowStrength = null;
             this._cacheValid = false;
             
+            // Keyframe profile named by the map note (null = default)
+            this._mapProfile = null;
+            
             // Frame counter
             this._frameCounter = 0;
             this._lastLightingUpdateFrame = 0;
@@ -111,6 +151,8 @@
                 this._cachedSunColorRgb = Utils.hexToRgb(this._cachedSunColor);
                 this._cachedSunIntensity = this._calculateSunIntensity();
                 this._cachedSunDirection = this._calculateSunDirection();
+                this._cachedSunElevation = this._calculateSunElevation();
+                this._cachedShadowStrength = this._sampleProfile('shadowStrength');
                 this._cacheValid = true;
             }
         }
@@ -123,6 +165,8 @@
             this._cachedSunColorRgb = Utils.hexToRgb(this._cachedSunColor);
             this._cachedSunIntensity = this._calculateSunIntensity();
             this._cachedSunDirection = this._calculateSunDirection();
+            this._cachedSunElevation = this._calculateSunElevation();
+            this._cachedShadowStrength = this._sampleProfile('shadowStrength');
             this._cacheValid = true;
         }
 
@@ -136,8 +180,15 @@
         }
 
         update() {
+            this._updateClockStop();
             if (this._paused || this._mapTimeLock !== null) return;
             
+            if (TIME_CONFIG.clockMode === 'system') {
+                this._syncSystemClock();
+                this._processSchedules();
+                return;
+            }
+            
             const currentTime = performance.now();
             if (this._lastUpdate === 0) {
                 this._lastUpdate = currentTime;
@@ -147,17 +198,112 @@
             const deltaMs = currentTime - this._lastUpdate;
             this._lastUpdate = currentTime;
             
-            const speed = this._mapSpeedOverride !== null ? this._mapSpeedOverride : this._speed;
-            const secondsToAdd = (deltaMs / 1000) * speed;
-            
-            this._totalSeconds += secondsToAdd;
-            
-            while (this._totalSeconds >= 86400) {
-                this._totalSeconds -= 86400;
+            this._advanceSeconds((deltaMs / 1000) * this.currentSpeed());
+            this._processSchedules();
+        }
+
+        /**
+         * Move the simulated clock forward, rolling over days
+         * @param {number} seconds - Game seconds
+         */
+        _advanceSeconds(seconds) {
+            this._totalSeconds += seconds;
+            while (this._totalSeconds >= SECONDS_PER_DAY) {
+                this._totalSeconds -= SECONDS_PER_DAY;
                 this._day++;
             }
         }
 
+        /**
+         * Follow the computer's local time (plus the timezone offset and
+         * any SetTime/AddTime offset). Each local midnight passed since the
+         * last sync, including while the game was closed, adds a day.
+         */
+        _syncSystemClock() {
+            const now = this._stoppedAt !== null ? new Date(this._stoppedAt) : new Date();
+            const localSeconds = (now.getTime() - now.getTimezoneOffset() * 60000) / 1000 +
+                TIME_CONFIG.timezoneOffset * 3600 + this._clockOffset;
+            const epochDay = Math.floor(localSeconds / SECONDS_PER_DAY);
+            
+            if (this._clockEpochDay !== null && epochDay > this._clockEpochDay) {
+                this._day += epochDay - this._clockEpochDay;
+            }
+            this._clockEpochDay = epochDay;
+            this._totalSeconds = localSeconds - epochDay * SECONDS_PER_DAY;
+        }
+
+        /**
+         * Stop or restart the system clock when Pause Time or a time lock
+         * starts or ends. The stopped span is taken off the clock offset, so
+         * the clock resumes where it stopped and no schedule in that span
+         * fires.
+         */
+        _updateClockStop() {
+            if (TIME_CONFIG.clockMode !== 'system') return;
+            const stopped = this._paused || this._mapTimeLock !== null;
+            if (stopped && this._stoppedAt === null) {
+                this._syncSystemClock();
+                this._stoppedAt = Date.now();
+            } else if (!stopped && this._stoppedAt !== null) {
+                this._clockOffset -= (Date.now() - this._stoppedAt) / 1000;
+                this._stoppedAt = null;
+                this._syncSystemClock();
+            }
+        }
+
+        /**
+         * Game seconds that passed while the game was closed (offline
+         * progress mode), capped by Offline Max Hours
+         * @param {number} savedAt - Save timestamp (ms)
+         * @param {number} speed - Game seconds per real second when saved
+         * @returns {number} Game seconds
+         */
+        _offlineSeconds(savedAt, speed) {
+            let realSeconds = Math.max(0, (Date.now() - savedAt) / 1000);
+            if (TIME_CONFIG.offlineMaxHours > 0) {
+                realSeconds = Math.min(realSeconds, TIME_CONFIG.offlineMaxHours * 3600);
+            }
+            return realSeconds * speed;
+        }
+
+        /**
+         * Minutes since the start of day 1
+         * @returns {number} Absolute minute
+         */
+        _absoluteMinute() {
+            return (this._day - 1) * 1440 + Math.floor(this._totalSeconds / 60);
+        }
+
+        /**
+         * Fire schedules passed since the last check. The last checked
+         * minute only moves forward: moving the clock backwards fires
+         * nothing, and the stretch already passed does not fire again.
+         */
+        _processSchedules() {
+            const now = this._absoluteMinute();
+            if (now > this._scheduleMinute) {
+                this._scheduler.process(this._scheduleMinute, now, this.settings());
+                this._scheduleMinute = now;
+            }
+        }
+
+        /**
+         * Register a schedule (see TimeScheduler), e.g.
+         *   $gameTime.schedule({ id: 'shop', trigger: 'time', time: 18 * 60, commonEventId: 3 })
+         * @param {object} schedule - Schedule fields
+         */
+        schedule(schedule) {
+            this._scheduler.add(schedule);
+        }
+
+        unschedule(id) {
+            this._scheduler.remove(id);
+        }
+
+        scheduler() {
+            return this._scheduler;
+        }
+
         hour() {
             if (this._mapTimeLock !== null) {
                 return Math.floor(this._mapTimeLock / 60);
@@ -183,13 +329,117 @@
             return this._day;
         }
 
+        /**
+         * Day within the year (0-based)
+         * @returns {number} Day of year
+         */
+        _dayOfYear() {
+            return (this._day - 1) % DAYS_PER_YEAR;
+        }
+
+        year() {
+            return Math.floor((this._day - 1) / DAYS_PER_YEAR) + 1;
+        }
+
+        /**
+         * @returns {number} Month (1-based)
+         */
+        month() {
+            return Math.floor(this._dayOfYear() / TIME_CONFIG.daysPerMonth) + 1;
+        }
+
+        monthName() {
+            return TIME_CONFIG.monthNames[this.month() - 1] || String(this.month());
+        }
+
+        /**
+         * @returns {number} Day of the month (1-based)
+         */
+        dayOfMonth() {
+            return (this._dayOfYear() % TIME_CONFIG.daysPerMonth) + 1;
+        }
+
+        /**
+         * @returns {number} Weekday index (0 = first weekday name)
+         */
+        weekday() {
+            return (this._day - 1) % Math.max(1, TIME_CONFIG.weekdayNames.length);
+        }
+
+        weekdayName() {
+            return TIME_CONFIG.weekdayNames[this.weekday()] || '';
+        }
+
+        /**
+         * Index of the current season: the last one starting at or before
+         * this month, wrapping to the last season of the year before
+         * @returns {number} Season index (-1 if no seasons are defined)
+         */
+        seasonIndex() {
+            if (SEASONS.length === 0) return -1;
+            const month = this.month();
+            for (let i = SEASONS.length - 1; i >= 0; i--) {
+                if (SEASONS[i].startMonth <= month) return i;
+            }
+            return SEASONS.length - 1;
+        }
+
+        /**
+         * @returns {string} Season name ('' if no seasons are defined)
+         */
+        season() {
+            const index = this.seasonIndex();
+            return index >= 0 ? SEASONS[index].name : '';
+        }
+
+        /**
+         * Lighting settings for the current season
+         * @returns {object} TIME_CONFIG with the season's overrides
+         */
+        settings() {
+            const index = this.seasonIndex();
+            return index >= 0 ? SEASONS[index].settings : TIME_CONFIG;
+        }
+
+        /**
+         * Set the calendar date (time of day is kept)
+         * @param {number} year - Year (1-based)
+         * @param {number} month - Month (1-based)
+         * @param {number} dayOfMonth - Day of the month (1-based)
+         */
+        setDate(year, month, dayOfMonth) {
+            const monthIndex = Utils.clamp(month, 1, MONTHS_PER_YEAR) - 1;
+            const dayIndex = Utils.clamp(dayOfMonth, 1, TIME_CONFIG.daysPerMonth) - 1;
+            this._day = (Math.max(1, year) - 1) * DAYS_PER_YEAR +
+                monthIndex * TIME_CONFIG.daysPerMonth + dayIndex + 1;
+            this._invalidateCache();
+            this._processSchedules();
+        }
+
+        /**
+         * Format the date with {weekday}, {day}, {month}, {monthNumber},
+         * {year} and {season} placeholders
+         * @param {string} format - Date format
+         * @returns {string} Formatted date
+         */
+        getDateString(format = TIME_CONFIG.dateFormat) {
+            return format
+                .replace(/\{weekday\}/g, this.weekdayName())
+                .replace(/\{day\}/g, this.dayOfMonth())
+                .replace(/\{monthNumber\}/g, this.month())
+                .replace(/\{month\}/g, this.monthName())
+                .replace(/\{year\}/g, this.year())
+                .replace(/\{season\}/g, this.season());
+        }
+
         phase() {
+            const config = this.settings();
             const hour = this.hour();
-            if (hour >= TIME_CONFIG.nightStart || hour < TIME_CONFIG.dawnStart) {
+            if (hour >= config.nightStart || hour < config.dawnStart) {
                 return 'night';
-            } else if (hour >= TIME_CONFIG.duskStart) {
+            } else if (hour >= config.duskStart) {
                 return 'dusk';
-            } else if (hour >= TIME_CONFIG.dayStart) {
+            } else if (hour >= config.dayStart) {
                 return 'day';
             } else {
                 return 'dawn';
@@ -205,14 +455,15 @@
         }
 
         phaseProgress() {
+            const config = this.settings();
             const hour = this.hour();
             const minute = this.minute();
             const currentMinutes = hour * 60 + minute;
             
-            const dawnStartMin = TIME_CONFIG.dawnStart * 60;
-            const dayStartMin = TIME_CONFIG.dayStart * 60;
-            const duskStartMin = TIME_CONFIG.duskStart * 60;
-            const nightStartMin = TIME_CONFIG.nightStart * 60;
+            const dawnStartMin = config.dawnStart * 60;
+            const dayStartMin = config.dayStart * 60;
+            const duskStartMin = config.duskStart * 60;
+            const nightStartMin = config.nightStart * 60;
             
             const phase = this.phase();
             
@@ -228,7 +479,7 @@
             } else {
                 let nightDuration;
                 let progress;
-                if (hour >= TIME_CONFIG.nightStart) {
+                if (hour >= config.nightStart) {
                     nightDuration = (24 * 60 - nightStartMin) + dawnStartMin;
                     progress = currentMinutes - nightStartMin;
                 } else {
@@ -264,88 +515,101 @@
             return this._cachedSunDirection;
         }
 
-        _calculateAmbientColor() {
-            const phase = this.phase();
-            const progress = smoothstep(this.phaseProgress());
-            
-            if (phase === 'dawn') {
-                return lerpColor(TIME_CONFIG.nightAmbientColor, TIME_CONFIG.dawnAmbientColor, progress);
-            } else if (phase === 'day') {
-                if (progress < 0.2) {
-                    return lerpColor(TIME_CONFIG.dawnAmbientColor, TIME_CONFIG.dayAmbientColor, progress / 0.2);
-                }
-                return TIME_CONFIG.dayAmbientColor;
-            } else if (phase === 'dusk') {
-                if (progress < 0.5) {
-                    return lerpColor(TIME_CONFIG.dayAmbientColor, TIME_CONFIG.duskAmbientColor, progress * 2);
-                } else {
-                    return lerpColor(TIME_CONFIG.duskAmbientColor, TIME_CONFIG.nightAmbientColor, (progress - 0.5) * 2);
-                }
-            } else {
-                return TIME_CONFIG.nightAmbientColor;
+        getSunElevation() {
+            this._updateCache();
+            return this._cachedSunElevation;
+        }
+
+        getShadowStrength() {
+            this._updateCache();
+            return this._cachedShadowStrength;
+        }
+
+        /**
+         * Minutes since midnight including seconds
+         * @returns {number} Fractional minute of the day
+         */
+        minuteOfDay() {
+            if (this._mapTimeLock !== null) {
+                return this._mapTimeLock;
+            }
+            return (this._totalSeconds / 60) % 1440;
+        }
+
+        /**
+         * Keyframe profile in use: the map's <timeProfile>, else Default
+         * Time Profile, else the four-phase curve of the current season
+         * @returns {TimeProfile} Profile
+         */
+        profile() {
+            const name = this._mapProfile || TIME_CONFIG.defaultTimeProfile;
+            return (name && TIME_CONFIG.timeProfiles[name]) || this._phaseProfile();
+        }
+
+        /**
+         * Four-phase curve for the current season's settings
+         * @returns {TimeProfile} Profile
+         */
+        _phaseProfile() {
+            const settings = this.settings();
+            if (!PHASE_PROFILES.has(settings)) {
+                PHASE_PROFILES.set(settings, DL.Time.TimeProfile.fromPhases(settings));
+            }
+            return PHASE_PROFILES.get(settings);
+        }
+
+        /**
+         * Sample a channel of the current profile, falling back to the
+         * four-phase curve for channels the profile does not key
+         * @param {string} channel - Channel name
+         * @returns {*} Value, or null if neither profile keys it
+         */
+        _sampleProfile(channel) {
+            const minute = this.minuteOfDay();
+            const profile = this.profile();
+            if (profile.has(channel)) {
+                return profile.sample(channel, minute);
             }
+            return this._phaseProfile().sample(channel, minute);
         }
 
-        _calculateAmbientIntensity() {
-            const phase = this.phase();
-            const progress = smoothstep(this.phaseProgress());
-            
-            if (phase === 'dawn') {
-                return lerp(TIME_CONFIG.nightAmbientIntensity, TIME_CONFIG.dawnAmbientIntensity, progress);
-            } else if (phase === 'day') {
-                if (progress < 0.2) {
-                    return lerp(TIME_CONFIG.dawnAmbientIntensity, TIME_CONFIG.dayAmbientIntensity, progress / 0.2);
-                }
-                return TIME_CONFIG.dayAmbientIntensity;
-            } else if (phase === 'dusk') {
-                return lerp(TIME_CONFIG.dayAmbientIntensity, TIME_CONFIG.nightAmbientIntensity, progress);
-            } else {
-                return TIME_CONFIG.nightAmbientIntensity;
+        setMapProfile(name) {
+            if (!TIME_CONFIG.timeProfiles[name]) {
+                Debug.warn('Unknown time profile:', name);
             }
+            this._mapProfile = name;
+            this._invalidateCache();
+        }
+
+        clearMapProfile() {
+            this._mapProfile = null;
+            this._invalidateCache();
+        }
+
+        _calculateAmbientColor() {
+            return this._sampleProfile('ambientColor');
+        }
+
+        _calculateAmbientIntensity() {
+            return this._sampleProfile('ambientIntensity');
         }
 
         _calculateSunColor() {
-            const phase = this.phase();
-            const progress = smoothstep(this.phaseProgress());
-            
-            if (phase === 'dawn') {
-                return lerpColor(TIME_CONFIG.nightSunColor, TIME_CONFIG.dawnSunColor, progress);
-            } else if (phase === 'day') {
-                if (progress < 0.2) {
-                    return lerpColor(TIME_CONFIG.dawnSunColor, TIME_CONFIG.daySunColor, progress / 0.2);
-                }
-                return TIME_CONFIG.daySunColor;
-            } else if (phase === 'dusk') {
-                if (progress < 0.5) {
-                    return lerpColor(TIME_CONFIG.daySunColor, TIME_CONFIG.duskSunColor, progress * 2);
-                } else {
-                    return lerpColor(TIME_CONFIG.duskSunColor, TIME_CONFIG.nightSunColor, (progress - 0.5) * 2);
-                }
-            } else {
-                return TIME_CONFIG.nightSunColor;
-            }
+            return this._sampleProfile('sunColor');
         }
 
         _calculateSunIntensity() {
-            const phase = this.phase();
-            const progress = smoothstep(this.phaseProgress());
-            
-            if (phase === 'dawn') {
-                return lerp(TIME_CONFIG.nightSunIntensity, TIME_CONFIG.dawnSunIntensity, progress);
-            } else if (phase === 'day') {
-                if (progress < 0.2) {
-                    return lerp(TIME_CONFIG.dawnSunIntensity, TIME_CONFIG.daySunIntensity, progress / 0.2);
-                }
-                return TIME_CONFIG.daySunIntensity;
-            } else if (phase === 'dusk') {
-                return lerp(TIME_CONFIG.daySunIntensity, TIME_CONFIG.nightSunIntensity, progress);
-            } else {
-                return TIME_CONFIG.nightSunIntensity;
-            }
+            return this._sampleProfile('sunIntensity');
         }
 
         _calculateSunDirection() {
-            if (!TIME_CONFIG.sunRotation) {
+            const keyed = this.profile().has('sunDirection');
+            if (keyed) {
+                return this._sampleProfile('sunDirection');
+            }
+            
+            const config = this.settings();
+            if (!config.sunRotation) {
                 return null;
             }
             
@@ -353,9 +617,9 @@
             const minute = this.minute();
             const currentMinutes = hour * 60 + minute;
             
-            const dawnMin = TIME_CONFIG.dawnStart * 60;
-            const sunriseDir = TIME_CONFIG.sunriseDirection;
-            const sunsetDir = TIME_CONFIG.sunsetDirection;
+            const dawnMin = config.dawnStart * 60;
+            const sunriseDir = config.sunriseDirection;
+            const sunsetDir = config.sunsetDirection;
             
             const dayRotation = sunsetDir - sunriseDir;
             const rotationDirection = dayRotation < 0 ? -1 : 1;
@@ -373,13 +637,43 @@
             return ((currentDir % 360) + 360) % 360;
         }
 
+        /**
+         * Sun height over the day: rises at dawn, peaks halfway to night
+         * start, sets at night start and stays at the horizon overnight
+         * @returns {number} Elevation (HORIZON_ELEVATION to noonSunElevation)
+         */
+        _calculateSunElevation() {
+            const config = this.settings();
+            const currentMinutes = this.hour() * 60 + this.minute();
+            const sunrise = config.dawnStart * 60;
+            const sunset = config.nightStart * 60;
+            const progress = (currentMinutes - sunrise) / Math.max(1, sunset - sunrise);
+            
+            if (progress <= 0 || progress >= 1) {
+                return HORIZON_ELEVATION;
+            }
+            return lerp(HORIZON_ELEVATION, config.noonSunElevation, Math.sin(Math.PI * progress));
+        }
+
         setTime(hour, minute = 0) {
-            this._totalSeconds = (hour * 3600) + (minute * 60);
+            const seconds = (hour * 3600) + (minute * 60);
+            if (TIME_CONFIG.clockMode === 'system') {
+                this._clockOffset += seconds - this._totalSeconds;
+            }
+            this._totalSeconds = seconds;
             this._invalidateCache();
+            this._processSchedules();
             Debug.log('Time set to', hour + ':' + minute.toString().padStart(2, '0'));
         }
 
         addMinutes(minutes) {
+            if (TIME_CONFIG.clockMode === 'system') {
+                this._clockOffset += minutes * 60;
+                this._syncSystemClock();
+                this._invalidateCache();
+                this._processSchedules();
+                return;
+            }
             this._totalSeconds += minutes * 60;
             while (this._totalSeconds >= 86400) {
                 this._totalSeconds -= 86400;
@@ -390,6 +684,7 @@
                 this._day = Math.max(1, this._day - 1);
             }
             this._invalidateCache();
+            this._processSchedules();
         }
 
         addHours(hours) {
@@ -402,23 +697,37 @@
 
         pause() {
             this._paused = true;
+            this._updateClockStop();
         }
 
         resume() {
             this._paused = false;
             this._lastUpdate = performance.now();
+            this._updateClockStop();
         }
 
         isPaused() {
             return this._paused;
         }
 
+        /**
+         * Game seconds passing per real second right now
+         * @returns {number} Speed (0 while paused or time-locked)
+         */
+        currentSpeed() {
+            if (this._paused || this._mapTimeLock !== null) return 0;
+            if (TIME_CONFIG.clockMode === 'system') return 1;
+            return this._mapSpeedOverride !== null ? this._mapSpeedOverride : this._speed;
+        }
+
         setMapTimeLock(totalMinutes) {
             this._mapTimeLock = totalMinutes;
+            this._updateClockStop();
         }
 
         clearMapTimeLock() {
             this._mapTimeLock = null;
+            this._updateClockStop();
         }
 
         setMapSpeedOverride(speed) {
@@ -436,12 +745,24 @@
         }
 
         makeSaveContents() {
+            // Time locks are not saved, so a locked system clock is saved as
+            // if it restarted now; a paused one stays stopped
+            const lockedSpan = this._stoppedAt !== null && !this._paused ?
+                (Date.now() - this._stoppedAt) / 1000 : 0;
             return {
                 totalSeconds: this._totalSeconds,
                 day: this._day,
                 speed: this._speed,
                 paused: this._paused,
-                showWindow: this._showWindow
+                showWindow: this._showWindow,
+                schedules: this._scheduler.makeSaveContents(),
+                scheduleMinute: this._scheduleMinute,
+                clockOffset: this._clockOffset - lockedSpan,
+                clockEpochDay: this._clockEpochDay,
+                stoppedAt: this._paused ? this._stoppedAt : null,
+                offlineSpeed: this.currentSpeed(),
+                mapProfile: this._mapProfile,
+                savedAt: Date.now()
             };
         }
 
@@ -451,7 +772,27 @@
             this._speed = contents.speed || TIME_CONFIG.speed;
             this._paused = contents.paused || false;
             this._showWindow = contents.showWindow !== undefined ? contents.showWindow : TIME_CONFIG.showTimeWindow;
+            this._mapProfile = contents.mapProfile || null;
+            this._setTimeValue = undefined;
+            this._invalidateCache();
             this._lastUpdate = performance.now();
+            this._scheduler.extractSaveContents(contents.schedules);
+            this._scheduleMinute = contents.scheduleMinute !== undefined ?
+                contents.scheduleMinute : this._absoluteMinute();
+            
+            this._clockOffset = contents.clockOffset || 0;
+            this._clockEpochDay = contents.clockEpochDay !== undefined ? contents.clockEpochDay : null;
+            this._stoppedAt = typeof contents.stoppedAt === 'number' ? contents.stoppedAt : null;
+            if (TIME_CONFIG.clockMode === 'system') {
+                this._updateClockStop();
+                this._syncSystemClock();
+            } else if (TIME_CONFIG.clockMode === 'offline' && contents.savedAt) {
+                // Speed in effect when saving: 0 if paused or time-locked
+                const speed = contents.offlineSpeed !== undefined ? contents.offlineSpeed :
+                    (this._paused ? 0 : this._speed);
+                this._advanceSeconds(this._offlineSeconds(contents.savedAt, speed));
+            }
+            // Schedules passed while the game was closed run on the next update
         }
     }
 
@@ -30,8 +30,9 @@
         }
 
         static create() {
-            const width = 120;
-            const height = 60;
+            const lines = TimeConfig.showDate ? 2 : 1;
+            const width = TimeConfig.showDate ? 240 : 120;
+            const height = Window_Base.prototype.fittingHeight(lines);
             const x = TimeConfig.timeWindowX;
             const y = TimeConfig.timeWindowY;
             const rect = new Rectangle(x, y, width, height);
@@ -61,6 +62,9 @@
                 const phase = $gameTime.phase();
                 const phaseIcon = this.getPhaseIcon(phase);
                 this.drawText(phaseIcon + ' ' + timeString, 0, 0, this.contentsWidth(), 'center');
+                if (TimeConfig.showDate) {
+                    this.drawText($gameTime.getDateString(), 0, this.lineHeight(), this.contentsWidth(), 'center');
+                }
             }
         }
 